@@ -0,0 +1,85 @@
+// __tests__/AisensyProvider.test.js - Webhook parsing and interactive replies
+const AisensyProvider = require('../utils/messaging/AisensyProvider');
+
+describe('AisensyProvider', () => {
+  const provider = new AisensyProvider({ apiKey: 'test' });
+
+  describe('parseWebhook', () => {
+    test('flat text message', () => {
+      const body = { type: 'message', id: 'msg_1', from: '+911234567890', timestamp: 1767225600000, text: 'hello', senderName: 'Mina' };
+
+      expect(provider.parseWebhook(body)).toEqual([{
+        message: {
+          id: 'msg_1',
+          from: '+911234567890',
+          timestamp: 1767225600000,
+          type: 'text',
+          text: { body: 'hello' },
+          interactive: null,
+          image: null
+        },
+        contact: { profile: { name: 'Mina' } }
+      }]);
+    });
+
+    test('image message in a messages array, with the alternative field names', () => {
+      const body = {
+        messages: [{
+          messageId: 'msg_2',
+          sender: '+911234567890',
+          messageType: 'image',
+          media_url: 'https://media.example.com/selfie.jpg',
+          mediaId: 'media_1',
+          name: 'Mina'
+        }]
+      };
+
+      const [{ message, contact }] = provider.parseWebhook(body);
+
+      expect(message).toMatchObject({
+        id: 'msg_2',
+        from: '+911234567890',
+        type: 'image',
+        text: null,
+        image: { url: 'https://media.example.com/selfie.jpg', id: 'media_1' }
+      });
+      expect(contact.profile.name).toBe('Mina');
+    });
+
+    test('only the first of several messages', () => {
+      const body = { messages: [{ id: 'msg_1', from: '+911', text: 'a' }, { id: 'msg_2', from: '+911', text: 'b' }] };
+
+      expect(provider.parseWebhook(body).map(({ message }) => message.id)).toEqual(['msg_1']);
+    });
+
+    test.each([
+      ['delivery status', { type: 'status', status: 'delivered', id: 'msg_1' }],
+      ['read receipt', { event: 'message_status', messageId: 'msg_1', status: 'read' }],
+      ['empty body', {}]
+    ])('%s carries no messages', (_, body) => {
+      expect(provider.parseWebhook(body)).toEqual([]);
+    });
+
+    test('forwarded button and list replies', () => {
+      const parse = msgData => provider.parseWebhook({ messages: [{ id: 'msg_3', from: '+911', ...msgData }] })[0].message;
+
+      expect(parse({ interactive: { button_reply: { id: 'get_pdf', title: 'Get PDF' } } })).toMatchObject({
+        type: 'interactive',
+        interactive: { button_reply: { id: 'get_pdf', title: 'Get PDF' } }
+      });
+      expect(parse({ interactive: { list_reply: { id: 'share_results', title: 'Share' } } }).interactive)
+        .toEqual({ list_reply: { id: 'share_results', title: 'Share' } });
+      expect(parse({ type: 'button', button: { payload: 'start_analysis', text: 'Start' } }).interactive)
+        .toEqual({ button_reply: { id: 'start_analysis', title: 'Start' } });
+    });
+
+    test('drops messages without a sender', () => {
+      expect(provider.parseWebhook({ type: 'message', id: 'msg_1', text: 'hello' })).toEqual([]);
+      expect(provider.parseWebhook({ messages: [{ id: 'msg_1', text: 'hello' }] })).toEqual([]);
+    });
+
+    test('ignores a messages field that is not a list', () => {
+      expect(provider.parseWebhook({ messages: 'oops' })).toEqual([]);
+    });
+  });
+});
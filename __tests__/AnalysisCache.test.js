@@ -0,0 +1,125 @@
+// __tests__/AnalysisCache.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalysisCache = require('../utils/AnalysisCache');
+
+const fixture = () => JSON.parse(JSON.stringify(require('../utils/analysis/fixtures/autumn.json')));
+
+describe('AnalysisCache', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-'));
+    filePath = path.join(dir, 'analysis-cache.json');
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('hashes the same image to the same key', () => {
+    expect(AnalysisCache.hash(Buffer.from('selfie'))).toBe(AnalysisCache.hash(Buffer.from('selfie')));
+    expect(AnalysisCache.hash(Buffer.from('selfie'))).not.toBe(AnalysisCache.hash(Buffer.from('other')));
+  });
+
+  test('expires entries after the ttl', () => {
+    const cache = new AnalysisCache({ filePath, ttlMs: 60 * 1000 });
+    cache.set('abc', fixture());
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:59Z'));
+    expect(cache.get('abc')).toEqual(fixture());
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    expect(cache.get('abc')).toBeNull();
+
+    cache.cleanup();
+    expect(cache.size()).toBe(0);
+  });
+
+  test('keeps its own copy on set and hands out copies on get', () => {
+    const cache = new AnalysisCache({ filePath });
+    const analysis = fixture();
+    cache.set('abc', analysis);
+
+    analysis.personal_profile.season = 'Changed';
+    cache.get('abc').color_palettes.key_colors.pop();
+
+    expect(cache.get('abc')).toEqual(fixture());
+  });
+
+  test('only returns entries from the same provider', () => {
+    const cache = new AnalysisCache({ filePath });
+    cache.set('abc', fixture(), { provider: 'Gemini' });
+
+    expect(cache.get('abc', { provider: 'Mock' })).toBeNull();
+    expect(cache.get('abc', { provider: 'Gemini' })).toEqual(fixture());
+  });
+
+  test('keeps each language\'s analysis separately', () => {
+    const cache = new AnalysisCache({ filePath });
+    const hindi = { ...fixture(), localized: { personal_profile: { summary: 'सारांश' } } };
+    cache.set('abc', fixture(), { provider: 'Gemini', language: 'English' });
+
+    expect(cache.get('abc', { provider: 'Gemini', language: 'Hindi' })).toBeNull();
+
+    cache.set('abc', hindi, { provider: 'Gemini', language: 'Hindi' });
+    expect(cache.get('abc', { provider: 'Gemini', language: 'Hindi' })).toEqual(hindi);
+    expect(cache.get('abc', { provider: 'Gemini' })).toEqual(fixture());
+    expect(cache.size()).toBe(2);
+  });
+
+  test('purges one image in every language, or everything', () => {
+    const cache = new AnalysisCache({ filePath });
+    cache.set('abc', fixture());
+    cache.set('abc', fixture(), { language: 'Korean' });
+    cache.set('def', fixture());
+    cache.set('ghi', fixture());
+
+    expect(cache.purge('abc')).toBe(2);
+    expect(cache.purge('abc')).toBe(0);
+    expect(cache.get('def')).not.toBeNull();
+    expect(cache.purge()).toBe(2);
+    expect(cache.size()).toBe(0);
+  });
+
+  test('purges every analysis given to a user', () => {
+    const cache = new AnalysisCache({ filePath });
+    cache.set('abc', fixture(), { phoneNumber: '+911' });
+    cache.set('def', fixture(), { phoneNumber: '+912' });
+    cache.addPhoneNumber('def', '+911');
+    cache.set('ghi', fixture(), { phoneNumber: '+912' });
+
+    expect(cache.purgePhoneNumber('+911')).toBe(2);
+    expect(cache.get('ghi')).not.toBeNull();
+    expect(cache.size()).toBe(1);
+  });
+
+  test('keeps unexpired entries across restarts', () => {
+    const cache = new AnalysisCache({ filePath, ttlMs: 60 * 1000 });
+    cache.set('abc', fixture(), { phoneNumber: '+911' });
+    jest.setSystemTime(new Date('2026-01-01T00:00:30Z'));
+    cache.set('def', fixture());
+    jest.advanceTimersByTime(1000);
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:10Z'));
+    const reloaded = new AnalysisCache({ filePath, ttlMs: 60 * 1000 });
+
+    expect(reloaded.size()).toBe(1);
+    expect(reloaded.get('def')).toEqual(fixture());
+  });
+
+  test('loads entries saved by image hash alone, before users were recorded', () => {
+    const expiresAt = Date.now() + 60 * 1000;
+    fs.writeFileSync(filePath, JSON.stringify([['abc', { analysis: fixture(), provider: null, language: 'Hindi', expiresAt }]]));
+    const cache = new AnalysisCache({ filePath });
+
+    expect(cache.get('abc', { language: 'Hindi' })).toEqual(fixture());
+    expect(cache.purgePhoneNumber('+911')).toBe(0);
+    cache.addPhoneNumber('abc', '+911');
+    expect(cache.purgePhoneNumber('+911')).toBe(1);
+  });
+});
@@ -0,0 +1,42 @@
+// __tests__/AnalysisValidator.test.js
+const AnalysisValidator = require('../utils/AnalysisValidator');
+
+const fixture = name => JSON.parse(JSON.stringify(require(`../utils/analysis/fixtures/${name}.json`)));
+
+describe('AnalysisValidator', () => {
+  const validator = new AnalysisValidator();
+
+  test.each(['spring', 'summer', 'autumn', 'winter'])('accepts the %s fixture', name => {
+    expect(validator.validate(fixture(name))).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports every problem with its field', () => {
+    const analysis = fixture('autumn');
+    delete analysis.personal_profile.summary;
+    analysis.color_palettes.key_colors.pop();
+    analysis.color_palettes.neutrals[0].hex = 'camel';
+    analysis.recommendations.hair_colors = ['Copper'];
+    analysis.extra = true;
+
+    expect(validator.validate(analysis).errors.sort()).toEqual([
+      '(root): unexpected "extra"',
+      '/color_palettes/key_colors: must NOT have fewer than 6 items',
+      '/color_palettes/neutrals/0/hex: must be a hex color like "#A1B2C3"',
+      '/personal_profile: missing "summary"',
+      '/recommendations/hair_colors: must NOT have fewer than 3 items'
+    ]);
+  });
+
+  test('rejects empty text', () => {
+    const analysis = fixture('autumn');
+    analysis.recommendations.makeup.vibe = '';
+
+    expect(validator.validate(analysis).errors).toEqual([
+      '/recommendations/makeup/vibe: must NOT have fewer than 1 characters'
+    ]);
+  });
+
+  test('rejects a non-object', () => {
+    expect(validator.validate(null)).toEqual({ valid: false, errors: ['(root): must be object'] });
+  });
+});
@@ -0,0 +1,115 @@
+// __tests__/ColorMeasurer.test.js - Skin and hair measurements on synthetic selfies
+// (measurePixels only; decoding is sharp's job)
+jest.mock('sharp', () => jest.fn());
+
+const ColorMeasurer = require('../utils/ColorMeasurer');
+
+const SIZE = 200;
+const FACE = { x: 100, y: 95, radiusX: 45, radiusY: 60 };
+
+// A face-sized ellipse on a plain background, optionally with hair across
+// the top of the head and a skin-coloured patch (a raised hand) at the side.
+// `top` moves the face up or down.
+function selfie({ background = [240, 240, 240], skin, hair, hand, top = FACE.y - FACE.radiusY }) {
+  const centerY = top + FACE.radiusY;
+  const data = Buffer.alloc(SIZE * SIZE * 3);
+
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const inFace = ((x - FACE.x) / FACE.radiusX) ** 2 + ((y - centerY) / FACE.radiusY) ** 2 <= 1;
+      const inHair = hair && y < 45 && Math.abs(x - FACE.x) < 55;
+      const inHand = hand && x >= 160 && x < 168 && y >= 120 && y < 150;
+
+      let color = background;
+      if (inFace || inHand) color = skin;
+      else if (inHair) color = hair;
+
+      data.set(color, (y * SIZE + x) * 3);
+    }
+  }
+
+  return data;
+}
+
+function pixelsOf(data) {
+  return (x, y) => {
+    const offset = (y * SIZE + x) * 3;
+    return [data[offset], data[offset + 1], data[offset + 2]];
+  };
+}
+
+describe('ColorMeasurer', () => {
+  const measurer = new ColorMeasurer();
+
+  describe('findFace', () => {
+    test('boxes the skin-coloured area in the middle of the photo', () => {
+      const face = measurer.findFace(pixelsOf(selfie({ skin: [224, 172, 140] })), SIZE, SIZE);
+
+      expect(face.x + face.width / 2).toBeCloseTo(FACE.x, 0);
+      expect(face.x).toBeGreaterThanOrEqual(FACE.x - FACE.radiusX);
+      expect(face.x + face.width).toBeLessThanOrEqual(FACE.x + FACE.radiusX);
+      expect(face.y).toBeGreaterThanOrEqual(FACE.y - FACE.radiusY);
+      expect(face.y + face.height).toBeLessThanOrEqual(FACE.y + FACE.radiusY);
+    });
+
+    test('is not stretched by a small skin-coloured patch beside the face', () => {
+      const alone = measurer.findFace(pixelsOf(selfie({ skin: [224, 172, 140] })), SIZE, SIZE);
+      const withHand = measurer.findFace(pixelsOf(selfie({ skin: [224, 172, 140], hand: true })), SIZE, SIZE);
+
+      expect(withHand.x + withHand.width).toBeLessThanOrEqual(FACE.x + FACE.radiusX);
+      expect(Math.abs(withHand.width - alone.width)).toBeLessThanOrEqual(5);
+    });
+
+    test('finds nothing in a photo without skin-coloured pixels', () => {
+      expect(measurer.findFace(pixelsOf(Buffer.alloc(SIZE * SIZE * 3, 240)), SIZE, SIZE)).toBeNull();
+    });
+
+    test('finds nothing when the skin area is below the minimum share', () => {
+      const strict = new ColorMeasurer({ minSkinShare: 0.5 });
+      expect(strict.findFace(pixelsOf(selfie({ skin: [224, 172, 140] })), SIZE, SIZE)).toBeNull();
+    });
+  });
+
+  describe('measurePixels', () => {
+    test.each([
+      ['pink-leaning light skin', [230, 180, 170], { undertone: 'cool', value: 'light', chromaLevel: 'moderate' }],
+      ['golden light skin', [236, 188, 150], { undertone: 'warm', value: 'light', chromaLevel: 'clear' }],
+      ['pale, greyed skin', [235, 200, 185], { undertone: 'neutral', value: 'light', chromaLevel: 'muted' }],
+      ['medium skin', [198, 134, 98], { undertone: 'neutral', value: 'medium', chromaLevel: 'clear' }],
+      ['deep skin', [141, 85, 60], { undertone: 'neutral', value: 'deep', chromaLevel: 'clear' }]
+    ])('levels %s', (_, skin, levels) => {
+      const { skin: measured } = measurer.measurePixels(selfie({ skin }), SIZE, SIZE, 3);
+
+      expect(measured).toEqual(expect.objectContaining(levels));
+      expect(measured.hex).toBe('#' + skin.map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase());
+    });
+
+    test('measures dark hair above light skin as high contrast', () => {
+      const measurements = measurer.measurePixels(selfie({ skin: [230, 180, 170], hair: [40, 30, 25] }), SIZE, SIZE, 3);
+
+      expect(measurements.hair.hex).toBe('#281E19');
+      expect(measurements.contrast.level).toBe('high');
+      expect(measurements.contrast.lightnessDifference).toBeCloseTo(measurements.skin.lab.l - measurements.hair.lab.l, 0);
+    });
+
+    test('leaves hair and contrast empty when the face fills the top of the photo', () => {
+      const measurements = measurer.measurePixels(selfie({ skin: [224, 172, 140], top: 0 }), SIZE, SIZE, 3);
+
+      expect(measurements.skin.undertone).toBe('warm');
+      expect(measurements.hair).toBeNull();
+      expect(measurements.contrast).toBeNull();
+    });
+
+    test('returns null when no face is found', () => {
+      expect(measurer.measurePixels(Buffer.alloc(SIZE * SIZE * 3, 240), SIZE, SIZE, 3)).toBeNull();
+    });
+
+    test('skips the alpha channel of RGBA pixels', () => {
+      const rgb = selfie({ skin: [224, 172, 140] });
+      const rgba = Buffer.alloc(SIZE * SIZE * 4, 255);
+      for (let i = 0; i < SIZE * SIZE; i++) rgb.copy(rgba, i * 4, i * 3, i * 3 + 3);
+
+      expect(measurer.measurePixels(rgba, SIZE, SIZE, 4)).toEqual(measurer.measurePixels(rgb, SIZE, SIZE, 3));
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// __tests__/FilePaymentRepository.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FilePaymentRepository = require('../utils/storage/FilePaymentRepository');
+const { writeFileAtomicSync } = require('../utils/storage/atomicWrite');
+
+describe('FilePaymentRepository', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-'));
+    filePath = path.join(dir, 'payments.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const payment = (orderId, phoneNumber, createdAt) => ({ orderId, phoneNumber, status: 'created', createdAt });
+
+  test('keeps payments across restarts', () => {
+    const repository = new FilePaymentRepository({ filePath });
+    repository.save(payment('order_1', '+911', '2026-01-01T00:00:00Z'));
+    repository.save({ ...payment('order_1', '+911', '2026-01-01T00:00:00Z'), status: 'completed' });
+
+    const reloaded = new FilePaymentRepository({ filePath });
+
+    expect(reloaded.count()).toBe(1);
+    expect(reloaded.get('order_1').status).toBe('completed');
+  });
+
+  test('finds a number\'s payments, newest first, and deletes them', () => {
+    const repository = new FilePaymentRepository({ filePath });
+    repository.save(payment('order_1', '+911', '2026-01-01T00:00:00Z'));
+    repository.save(payment('order_2', '+911', '2026-01-02T00:00:00Z'));
+    repository.save(payment('order_3', '+912', '2026-01-03T00:00:00Z'));
+
+    expect(repository.findByPhoneNumber('+911').map(p => p.orderId)).toEqual(['order_2', 'order_1']);
+    expect(repository.delete('order_1')).toBe(true);
+    expect(repository.delete('order_1')).toBe(false);
+    expect(new FilePaymentRepository({ filePath }).all().map(p => p.orderId).sort()).toEqual(['order_2', 'order_3']);
+  });
+
+  test('refuses payments without an order id', () => {
+    expect(() => new FilePaymentRepository({ filePath }).save({ phoneNumber: '+911' })).toThrow('orderId');
+  });
+
+  test('moves an unreadable file aside instead of overwriting it', () => {
+    fs.writeFileSync(filePath, '{ not json');
+
+    const repository = new FilePaymentRepository({ filePath });
+
+    expect(repository.count()).toBe(0);
+    expect(fs.existsSync(filePath)).toBe(false);
+    const [corrupt] = fs.readdirSync(dir).filter(file => file.startsWith('payments.json.corrupt-'));
+    expect(fs.readFileSync(path.join(dir, corrupt), 'utf8')).toBe('{ not json');
+  });
+});
+
+describe('writeFileAtomicSync', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('replaces the file and leaves no temporary files behind', () => {
+    const filePath = path.join(dir, 'data.json');
+    fs.writeFileSync(filePath, 'old');
+
+    writeFileAtomicSync(filePath, 'new');
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('new');
+    expect(fs.readdirSync(dir)).toEqual(['data.json']);
+  });
+
+  test('keeps the old file when the rename fails', () => {
+    const filePath = path.join(dir, 'data.json');
+    fs.writeFileSync(filePath, 'old');
+    jest.spyOn(fs, 'renameSync').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+
+    expect(() => writeFileAtomicSync(filePath, 'new')).toThrow('disk full');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('old');
+    expect(fs.readdirSync(dir)).toEqual(['data.json']);
+  });
+});
@@ -0,0 +1,85 @@
+// __tests__/GeminiAnalysisProvider.test.js - The validation and repair round-trip
+jest.mock('axios');
+
+const axios = require('axios');
+const GeminiAnalysisProvider = require('../utils/analysis/GeminiAnalysisProvider');
+
+const fixture = () => JSON.parse(JSON.stringify(require('../utils/analysis/fixtures/autumn.json')));
+const reply = body => ({
+  status: 200,
+  data: { candidates: [{ content: { parts: [{ text: typeof body === 'string' ? body : JSON.stringify(body) }] } }] }
+});
+
+describe('GeminiAnalysisProvider', () => {
+  const provider = new GeminiAnalysisProvider({ apiKey: 'test' });
+  const image = Buffer.from('selfie');
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns a valid analysis without a repair request', async () => {
+    axios.post.mockResolvedValueOnce(reply(fixture()));
+
+    const result = await provider.analyzeFromBuffer(image);
+
+    expect(result.success).toBe(true);
+    expect(result.analysis.personal_profile).toMatchObject({ season: 'True Autumn', season_id: 'true_autumn' });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends the schema errors back once and uses the repaired answer', async () => {
+    const broken = fixture();
+    broken.color_palettes.key_colors.pop();
+    delete broken.personal_profile.undertone;
+    axios.post
+      .mockResolvedValueOnce(reply(broken))
+      .mockResolvedValueOnce(reply(fixture()));
+
+    const result = await provider.analyzeFromBuffer(image);
+
+    expect(result.success).toBe(true);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+
+    const { contents } = axios.post.mock.calls[1][1];
+    expect(contents.map(content => content.role)).toEqual(['user', 'model', 'user']);
+    expect(contents[1].parts[0].text).toBe(JSON.stringify(broken));
+    expect(contents[2].parts[0].text).toContain('- /personal_profile: missing "undertone"');
+    expect(contents[2].parts[0].text).toContain('- /color_palettes/key_colors: must NOT have fewer than 6 items');
+  });
+
+  test('asks for a repair when the reply is not JSON', async () => {
+    axios.post
+      .mockResolvedValueOnce(reply('{"personal_profile": '))
+      .mockResolvedValueOnce(reply(fixture()));
+
+    const result = await provider.analyzeFromBuffer(image);
+
+    expect(result.success).toBe(true);
+    expect(axios.post.mock.calls[1][1].contents[2].parts[0].text).toContain('(root): not valid JSON');
+  });
+
+  test('fails when the repaired answer is still invalid', async () => {
+    const broken = fixture();
+    broken.colors_to_avoid = [];
+    axios.post.mockResolvedValue(reply(broken));
+
+    const result = await provider.analyzeFromBuffer(image);
+
+    expect(result).toEqual({ success: false, error: 'Analysis results are incomplete or invalid' });
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('marks rate limits as worth retrying', async () => {
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('429'), { response: { status: 429 } }));
+
+    expect(await provider.analyzeFromBuffer(image)).toMatchObject({ success: false, retryable: true });
+  });
+});
@@ -0,0 +1,106 @@
+// __tests__/ImageNormalizer.test.js - The sharp pipeline, with sharp and the
+// HEIC decoder mocked (their native and WebAssembly builds are exercised in use)
+jest.mock('sharp', () => jest.fn());
+jest.mock('heic-decode', () => jest.fn());
+
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const ImageNormalizer = require('../utils/ImageNormalizer');
+
+// Records the pipeline's calls; toBuffer resolves to `output` or rejects with it
+function pipeline(output) {
+  const calls = [];
+  const image = {};
+  ['rotate', 'resize', 'flatten', 'toColourspace', 'jpeg'].forEach(method => {
+    image[method] = jest.fn((...args) => {
+      calls.push([method, ...args]);
+      return image;
+    });
+  });
+  image.toBuffer = jest.fn(() => (output instanceof Error ? Promise.reject(output) : Promise.resolve(output)));
+  image.calls = calls;
+  return image;
+}
+
+// Start of an ISO BMFF file: ftyp box with a major and one compatible brand
+const ftyp = (major, compatible) => {
+  const box = Buffer.alloc(24);
+  box.writeUInt32BE(24, 0);
+  box.write('ftyp', 4, 'latin1');
+  box.write(major, 8, 'latin1');
+  box.write(compatible, 16, 'latin1');
+  box.write('mif1', 20, 'latin1');
+  return box;
+};
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+describe('ImageNormalizer', () => {
+  const normalizer = new ImageNormalizer({ maxDimension: 1600 });
+
+  beforeEach(() => {
+    sharp.mockReset();
+    decodeHeic.mockReset();
+  });
+
+  test('rotates from EXIF, downsizes and re-encodes as a metadata-free JPEG', async () => {
+    const image = pipeline({ data: Buffer.from('jpeg'), info: { width: 1200, height: 1600 } });
+    sharp.mockReturnValue(image);
+
+    const result = await normalizer.normalize(JPEG);
+
+    expect(sharp).toHaveBeenCalledWith(JPEG);
+    expect(image.calls).toEqual([
+      ['rotate'],
+      ['resize', 1600, 1600, { fit: 'inside', withoutEnlargement: true }],
+      ['flatten', { background: '#ffffff' }],
+      ['toColourspace', 'srgb'],
+      ['jpeg', { quality: 90, mozjpeg: true }]
+    ]);
+    expect(result).toEqual({ data: Buffer.from('jpeg'), contentType: 'image/jpeg', width: 1200, height: 1600 });
+    expect(decodeHeic).not.toHaveBeenCalled();
+  });
+
+  test('rejects a buffer libvips cannot read', async () => {
+    sharp.mockReturnValue(pipeline(new Error('Input buffer contains unsupported image format')));
+
+    await expect(normalizer.normalize(Buffer.from('not an image'))).rejects.toThrow('unsupported image format');
+  });
+
+  test('decodes HEIC with libheif and hands sharp the raw pixels', async () => {
+    const pixels = new Uint8ClampedArray(3 * 4 * 4);
+    decodeHeic.mockResolvedValue({ width: 3, height: 4, data: pixels });
+    const image = pipeline({ data: Buffer.from('jpeg'), info: { width: 3, height: 4 } });
+    sharp.mockReturnValue(image);
+    const heic = ftyp('heic', 'heic');
+
+    const result = await normalizer.normalize(heic);
+
+    expect(decodeHeic).toHaveBeenCalledWith({ buffer: heic });
+    expect(sharp).toHaveBeenCalledWith(expect.any(Buffer), { raw: { width: 3, height: 4, channels: 4 } });
+    expect(sharp.mock.calls[0][0]).toHaveLength(pixels.length);
+    expect(result).toMatchObject({ contentType: 'image/jpeg', width: 3, height: 4 });
+  });
+
+  test('rejects a HEIC file libheif cannot read', async () => {
+    decodeHeic.mockRejectedValue(new Error('HEIF image not found'));
+
+    await expect(normalizer.normalize(ftyp('heic', 'heic'))).rejects.toThrow('HEIF image not found');
+    expect(sharp).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['heic', 'heic', true],
+    ['mif1', 'heic', true],
+    ['heix', 'mif1', true],
+    ['avif', 'avif', false],
+    ['mif1', 'avif', false]
+  ])('isHeic: major %s, compatible %s -> %s', (major, compatible, expected) => {
+    expect(ImageNormalizer.isHeic(ftyp(major, compatible))).toBe(expected);
+  });
+
+  test('isHeic: other formats are not HEIC', () => {
+    expect(ImageNormalizer.isHeic(JPEG)).toBe(false);
+    expect(ImageNormalizer.isHeic(Buffer.alloc(4))).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+// __tests__/ImageQualityChecker.test.js - Quality checks on synthetic selfies
+// (measurePixels only; decoding is sharp's job)
+jest.mock('sharp', () => jest.fn());
+
+const ImageQualityChecker = require('../utils/ImageQualityChecker');
+
+const SIZE = 200;
+
+// A face-sized ellipse on a plain background, with a fine texture so the
+// photo isn't blurry
+function selfie({ background, face }) {
+  const data = Buffer.alloc(SIZE * SIZE * 3);
+
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const inFace = ((x - 100) / 45) ** 2 + ((y - 95) / 60) ** 2 <= 1;
+      const texture = (x + y) % 2 === 0 ? 6 : -6;
+      const color = inFace ? face : background;
+
+      color.forEach((value, channel) => {
+        data[(y * SIZE + x) * 3 + channel] = Math.max(0, Math.min(255, value + texture));
+      });
+    }
+  }
+
+  return data;
+}
+
+function check(image) {
+  const checker = new ImageQualityChecker({ minDimension: 100 });
+  const metrics = checker.measurePixels(image, SIZE, SIZE, 3);
+  const problem = ['tooSmall', 'tooDark', 'tooBright', 'blurry', 'colorCast'].find(name => checker.hasProblem(name, metrics));
+
+  return { problem: problem || null, metrics };
+}
+
+describe('ImageQualityChecker', () => {
+  test.each([
+    ['white', [250, 250, 250]],
+    ['light grey', [225, 225, 228]],
+    ['cream', [245, 238, 225]]
+  ])('accepts a well-lit face against a plain %s background', (_, background) => {
+    const { problem, metrics } = check(selfie({ background, face: [224, 172, 140] }));
+
+    expect(metrics.faceFound).toBe(true);
+    expect(problem).toBeNull();
+  });
+
+  test.each([
+    ['light', [241, 194, 167]],
+    ['medium', [198, 134, 98]],
+    ['deep', [141, 85, 60]]
+  ])('accepts %s skin', (_, face) => {
+    expect(check(selfie({ background: [240, 240, 240], face })).problem).toBeNull();
+  });
+
+  test('rejects an underexposed face', () => {
+    const { problem } = check(selfie({ background: [40, 40, 40], face: [70, 50, 40] }));
+    expect(problem).toBe('tooDark');
+  });
+
+  test('rejects a washed-out face', () => {
+    expect(check(selfie({ background: [255, 255, 255], face: [255, 245, 235] })).problem).toBe('tooBright');
+  });
+
+  test('rejects a face under strong orange light', () => {
+    const { problem, metrics } = check(selfie({ background: [240, 200, 150], face: [225, 150, 85] }));
+
+    expect(metrics.faceFound).toBe(true);
+    expect(problem).toBe('colorCast');
+  });
+
+  test('rejects a photo tinted strongly as a whole when no face is found', () => {
+    expect(check(selfie({ background: [60, 200, 60], face: [40, 170, 60] })).problem).toBe('colorCast');
+  });
+
+  test('rejects a blurry photo', () => {
+    const flat = Buffer.alloc(SIZE * SIZE * 3, 200);
+    expect(check(flat).problem).toBe('blurry');
+  });
+});
@@ -0,0 +1,22 @@
+// __tests__/IntentRecognizer.test.js - Runs the utterance table in __tests__/fixtures/intentExamples.js
+const IntentRecognizer = require('../utils/IntentRecognizer');
+const examples = require('./fixtures/intentExamples');
+
+describe('IntentRecognizer', () => {
+  const recognizer = new IntentRecognizer();
+
+  test.each(examples.map(example => [example.text, example]))('%j', (text, example) => {
+    expect(recognizer.recognize(text, example)[0] || null).toBe(example.expect);
+  });
+
+  test('ranks every matching intent, best first', () => {
+    expect(recognizer.recognize('I paid, please send the link again')).toEqual(['resend', 'paid']);
+  });
+
+  test('custom vocabularies replace the default one', () => {
+    const custom = new IntentRecognizer({ intents: { greet: { words: ['hello'] } } });
+
+    expect(custom.recognize('hello there')).toEqual(['greet']);
+    expect(custom.recognize('ready')).toEqual([]);
+  });
+});
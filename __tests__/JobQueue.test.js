@@ -0,0 +1,130 @@
+// __tests__/JobQueue.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../utils/JobQueue');
+
+describe('JobQueue', () => {
+  let dir;
+  let filePath;
+  let queues;
+
+  const createQueue = options => {
+    const queue = new JobQueue({ name: 'test', filePath, retryDelayMs: 1000, ...options });
+    queues.push(queue);
+    return queue;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    filePath = path.join(dir, 'test-jobs.json');
+    queues = [];
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    queues.forEach(queue => clearTimeout(queue.timer));
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('runs a job and forgets it once it succeeds', async () => {
+    const handler = jest.fn().mockResolvedValue();
+    const queue = createQueue({ handler });
+
+    queue.enqueue({ phoneNumber: '+911' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ data: { phoneNumber: '+911' }, attempts: 1 }));
+    expect(queue.jobs.size).toBe(0);
+  });
+
+  test('retries with a doubling delay, then reports the failure', async () => {
+    const attemptedAt = [];
+    const handler = jest.fn(async () => {
+      attemptedAt.push(Date.now());
+      throw new Error('provider down');
+    });
+    const onFailure = jest.fn();
+    const queue = createQueue({ handler, onFailure, maxAttempts: 3 });
+
+    const start = Date.now();
+    queue.enqueue({ phoneNumber: '+911' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(handler).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(attemptedAt.map(time => time - start)).toEqual([0, 1000, 3000]);
+    expect(onFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ attempts: 3, lastError: 'provider down' }),
+      expect.any(Error)
+    );
+    expect(queue.jobs.size).toBe(0);
+  });
+
+  test('stops retrying once a job succeeds', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValue();
+    const onFailure = jest.fn();
+    const queue = createQueue({ handler, onFailure });
+
+    queue.enqueue({ phoneNumber: '+911' });
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(onFailure).not.toHaveBeenCalled();
+    expect(queue.jobs.size).toBe(0);
+  });
+
+  test('resumes persisted jobs after a restart', async () => {
+    const stopped = createQueue({ handler: jest.fn() });
+    stopped.jobs.set('job_1', { id: 'job_1', data: { phoneNumber: '+911' }, attempts: 1, runAt: Date.now() });
+    stopped.persist();
+
+    const handler = jest.fn().mockResolvedValue();
+    const queue = createQueue({ handler });
+    queue.start();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: 'job_1', attempts: 2 }));
+  });
+
+  test('moves an unreadable jobs file aside instead of overwriting it', () => {
+    fs.writeFileSync(filePath, '[{ broken');
+
+    const queue = createQueue({ handler: jest.fn() });
+    queue.enqueue({ phoneNumber: '+911' });
+
+    const [corrupt] = fs.readdirSync(dir).filter(file => file.startsWith('test-jobs.json.corrupt-'));
+    expect(fs.readFileSync(path.join(dir, corrupt), 'utf8')).toBe('[{ broken');
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toHaveLength(1);
+  });
+
+  test('removeWhere drops matching waiting jobs only', async () => {
+    let finish;
+    const handler = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    const queue = createQueue({ handler });
+
+    queue.enqueue({ phoneNumber: '+911' });
+    await jest.advanceTimersByTimeAsync(0);
+    queue.enqueue({ phoneNumber: '+911' });
+    queue.enqueue({ phoneNumber: '+912' });
+
+    expect(queue.removeWhere(job => job.data.phoneNumber === '+911')).toBe(1);
+    expect(queue.getStats()).toEqual({ queued: 1, running: 1 });
+
+    finish();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(handler.mock.calls.map(([job]) => job.data.phoneNumber)).toEqual(['+911', '+912']);
+  });
+});
@@ -0,0 +1,59 @@
+// __tests__/JsonFile.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFile = require('../utils/storage/JsonFile');
+
+describe('JsonFile', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+    filePath = path.join(dir, 'nested', 'data.json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads the fallback until something is written', () => {
+    let data = { a: 1 };
+    const file = new JsonFile({ filePath, debounceMs: 0, serialize: () => data });
+
+    expect(file.read([])).toEqual([]);
+
+    file.scheduleWrite();
+    data = { a: 2 };
+    expect(file.read(null)).toEqual({ a: 1 });
+  });
+
+  test('batches writes within the debounce window', () => {
+    jest.useFakeTimers();
+    const serialize = jest.fn(() => ['latest']);
+    const file = new JsonFile({ filePath, debounceMs: 1000, serialize });
+
+    file.scheduleWrite();
+    file.scheduleWrite();
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(serialize).toHaveBeenCalledTimes(1);
+    expect(file.read(null)).toEqual(['latest']);
+  });
+
+  test('moves an unreadable file aside instead of overwriting it', () => {
+    const file = new JsonFile({ filePath, label: 'test data', serialize: () => [] });
+    fs.writeFileSync(filePath, '[{ broken');
+
+    expect(file.read([])).toEqual([]);
+    file.flush();
+
+    const [corrupt] = fs.readdirSync(path.dirname(filePath)).filter(name => name.startsWith('data.json.corrupt-'));
+    expect(fs.readFileSync(path.join(path.dirname(filePath), corrupt), 'utf8')).toBe('[{ broken');
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^Error loading test data, moved unreadable file to /), expect.any(Error));
+  });
+});
@@ -0,0 +1,75 @@
+// __tests__/KeyedQueue.test.js
+const KeyedQueue = require('../utils/KeyedQueue');
+
+// A task that waits until released, recording when it starts and ends
+function gate(log, name) {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    log.push(`start ${name}`);
+    await released;
+    log.push(`end ${name}`);
+    return name;
+  };
+  return { task, release };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('KeyedQueue', () => {
+  test('runs one task at a time per key, in arrival order', async () => {
+    const queue = new KeyedQueue();
+    const log = [];
+    const first = gate(log, 'a1');
+    const second = gate(log, 'a2');
+
+    const results = [queue.run('+911', first.task), queue.run('+911', second.task)];
+    await tick();
+    expect(log).toEqual(['start a1']);
+
+    first.release();
+    await tick();
+    expect(log).toEqual(['start a1', 'end a1', 'start a2']);
+
+    second.release();
+    await expect(Promise.all(results)).resolves.toEqual(['a1', 'a2']);
+  });
+
+  test('runs different keys concurrently', async () => {
+    const queue = new KeyedQueue();
+    const log = [];
+    const a = gate(log, 'a');
+    const b = gate(log, 'b');
+
+    const results = [queue.run('+911', a.task), queue.run('+912', b.task)];
+    await tick();
+    expect(log).toEqual(['start a', 'start b']);
+    expect(queue.activeKeys).toBe(2);
+
+    b.release();
+    a.release();
+    await Promise.all(results);
+  });
+
+  test('a failed task rejects its caller without blocking the next', async () => {
+    const queue = new KeyedQueue();
+
+    const failed = queue.run('+911', async () => { throw new Error('boom'); });
+    const next = queue.run('+911', async () => 'ok');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+  });
+
+  test('forgets a key once its queue drains', async () => {
+    const queue = new KeyedQueue();
+
+    const result = queue.run('+911', async () => 'done');
+    expect(queue.isBusy('+911')).toBe(true);
+
+    await result;
+    await tick();
+    expect(queue.isBusy('+911')).toBe(false);
+    expect(queue.activeKeys).toBe(0);
+  });
+});
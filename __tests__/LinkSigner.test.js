@@ -0,0 +1,59 @@
+// __tests__/LinkSigner.test.js
+const LinkSigner = require('../utils/LinkSigner');
+
+describe('LinkSigner', () => {
+  const signer = new LinkSigner({ secret: 'test-secret', ttlMs: 60 * 1000 });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('verifies its own tokens and returns the payload', () => {
+    const result = signer.verify(signer.sign({ file: 'guide.pdf', orderId: 'order_1' }));
+
+    expect(result.valid).toBe(true);
+    expect(result.payload).toMatchObject({ file: 'guide.pdf', orderId: 'order_1' });
+  });
+
+  test('rejects expired tokens but still returns their payload', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const token = signer.sign({ orderId: 'order_1' });
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:01Z'));
+    const result = signer.verify(token);
+
+    expect(result).toMatchObject({ valid: false, reason: 'expired', payload: { orderId: 'order_1' } });
+  });
+
+  test('honours a per-token ttl', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const token = signer.sign({ dataExport: '+911234567890' }, 10 * 60 * 1000);
+
+    jest.setSystemTime(new Date('2026-01-01T00:05:00Z'));
+    expect(signer.verify(token).valid).toBe(true);
+  });
+
+  test('rejects a token whose payload was changed', () => {
+    const [, signature] = signer.sign({ file: 'mine.pdf' }).split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ file: 'someone-else.pdf', exp: Date.now() + 60000 })).toString('base64url');
+
+    expect(signer.verify(`${forgedBody}.${signature}`)).toEqual({ valid: false, reason: 'invalid' });
+  });
+
+  test('rejects a token whose signature was changed', () => {
+    const token = signer.sign({ file: 'mine.pdf' });
+    const tampered = token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A');
+
+    expect(signer.verify(tampered)).toEqual({ valid: false, reason: 'invalid' });
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const other = new LinkSigner({ secret: 'other-secret' });
+
+    expect(signer.verify(other.sign({ file: 'mine.pdf' })).valid).toBe(false);
+  });
+
+  test.each(['', 'garbage', 'a.b.c', null])('rejects malformed token %j', token => {
+    expect(signer.verify(token)).toEqual({ valid: false, reason: 'invalid' });
+  });
+});
@@ -0,0 +1,109 @@
+// __tests__/LocalAnalysisProvider.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalAnalysisProvider = require('../utils/analysis/LocalAnalysisProvider');
+
+const fixture = name => JSON.parse(JSON.stringify(require(`../utils/analysis/fixtures/${name}.json`)));
+const measured = (undertone, value, chromaLevel) => ({ skin: { undertone, value, chromaLevel }, hair: null, contrast: null });
+
+describe('LocalAnalysisProvider', () => {
+  const provider = new LocalAnalysisProvider({ fixture: null });
+  const image = Buffer.from('selfie');
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pickSeason', () => {
+    test.each([
+      ['cool', 'light', 'muted', 'light_summer'],
+      ['cool', 'medium', 'muted', 'true_summer'],
+      ['cool', 'deep', 'clear', 'true_winter'],
+      ['neutral', 'light', 'moderate', 'light_spring'],
+      ['neutral', 'deep', 'moderate', 'deep_autumn'],
+      ['neutral', 'deep', 'clear', 'deep_winter'],
+      ['warm', 'light', 'moderate', 'light_spring'],
+      ['warm', 'medium', 'moderate', 'true_autumn'],
+      ['warm', 'medium', 'clear', 'true_spring']
+    ])('%s, %s, %s skin -> %s', (undertone, value, chromaLevel, id) => {
+      expect(provider.pickSeason(image, measured(undertone, value, chromaLevel)).id).toBe(id);
+    });
+
+    test.each([
+      ['muted', 'soft_summer'],
+      ['clear', 'bright_spring']
+    ])('neutral, medium, %s skin ties go to the season listed first (%s)', (chromaLevel, id) => {
+      expect(provider.pickSeason(image, measured('neutral', 'medium', chromaLevel)).id).toBe(id);
+    });
+
+    test('only picks seasons on the measured undertone\'s side', () => {
+      ['light', 'medium', 'deep'].forEach(value => {
+        ['muted', 'moderate', 'clear'].forEach(chromaLevel => {
+          expect(provider.pickSeason(image, measured('warm', value, chromaLevel)).temperature).toMatch(/warm/);
+          expect(provider.pickSeason(image, measured('cool', value, chromaLevel)).temperature).toMatch(/cool/);
+        });
+      });
+    });
+
+    test('picks the same season for the same photo when nothing was measured', () => {
+      const season = provider.pickSeason(image, null);
+
+      expect(provider.pickSeason(Buffer.from('selfie'), { skin: null })).toBe(season);
+      expect(provider.seasons.list()).toContain(season);
+    });
+  });
+
+  describe('analyzeFromBuffer', () => {
+    test('fills in the parent season\'s fixture with the picked season', async () => {
+      const result = await provider.analyzeFromBuffer(image, 'image/jpeg', { measurements: measured('warm', 'deep', 'moderate') });
+      const autumn = fixture('autumn');
+
+      expect(result.success).toBe(true);
+      expect(result.analysis.personal_profile).toEqual(expect.objectContaining({ season: 'True Autumn', season_id: 'true_autumn' }));
+      expect(result.analysis.color_palettes.key_colors.map(color => color.hex))
+        .toEqual(autumn.color_palettes.key_colors.map(color => color.hex));
+    });
+
+    describe('with a fixture file', () => {
+      let dir;
+
+      beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-analysis-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      test('returns that file for every photo', async () => {
+        const file = path.join(dir, 'analysis.json');
+        const analysis = fixture('winter');
+        analysis.personal_profile.season = 'Dark Winter';
+        fs.writeFileSync(file, JSON.stringify(analysis));
+
+        const fromFile = new LocalAnalysisProvider({ fixture: file });
+        const result = await fromFile.analyzeFromBuffer(image, 'image/jpeg', { measurements: measured('warm', 'light', 'clear') });
+
+        expect(result.success).toBe(true);
+        expect(result.analysis.personal_profile).toEqual(expect.objectContaining({ season: 'Deep Winter', season_id: 'deep_winter' }));
+      });
+
+      test('reports a fixture that fails the schema', async () => {
+        const file = path.join(dir, 'analysis.json');
+        const analysis = fixture('winter');
+        delete analysis.personal_profile;
+        fs.writeFileSync(file, JSON.stringify(analysis));
+
+        const result = await new LocalAnalysisProvider({ fixture: file }).analyzeFromBuffer(image);
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/^Local analysis fixture is invalid:/);
+      });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// __tests__/MessageCatalog.test.js
+const MessageCatalog = require('../utils/MessageCatalog');
+
+describe('MessageCatalog', () => {
+  const messages = new MessageCatalog();
+
+  describe('detectLocale', () => {
+    test.each([
+      ['नमस्ते', 'hi'],
+      ['안녕하세요', 'ko'],
+      ['namaste aap kaise ho', 'hi'],
+      ['mujhe color analysis chahiye, kripya', 'hi']
+    ])('%j -> %s', (text, locale) => {
+      expect(messages.detectLocale(text)).toBe(locale);
+    });
+
+    test.each([
+      'hai',
+      'hai, what colours suit me?',
+      'kya',
+      'namaste',
+      'hello'
+    ])('%j stays in the default locale', text => {
+      expect(messages.detectLocale(text)).toBeNull();
+    });
+  });
+
+  describe('parseLocale', () => {
+    test.each([
+      ['LANGUAGE HINDI', 'hi'],
+      ['language hi', 'hi'],
+      ['Language: ko', 'ko'],
+      ['lang en', 'en'],
+      ['change language to korean', 'ko'],
+      ['english please', 'en'],
+      ['한국어로', 'ko'],
+      ['हिंदी में', 'hi']
+    ])('%j -> %s', (text, locale) => {
+      expect(messages.parseLocale(text)).toBe(locale);
+    });
+
+    test.each([
+      'Hi, can I change the language?',
+      'hi',
+      'language',
+      'I grew up in England, can I change the language?',
+      'change language, my engine is new'
+    ])('%j names no locale', text => {
+      expect(messages.parseLocale(text)).toBeNull();
+    });
+  });
+
+  describe('t', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('renders declared variables', () => {
+      const text = messages.t('en', 'guideReady', { name: 'Mina', link: 'https://example.com/pdfs/abc', days: 7 });
+
+      expect(text).toContain('https://example.com/pdfs/abc');
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('logs and renders values of the wrong type instead of throwing', () => {
+      const text = messages.t('en', 'guideReady', { name: 'Mina', link: 'undefined/pdfs/abc', days: '7' });
+
+      expect(text).toContain('undefined/pdfs/abc');
+      expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    test('renders missing and undeclared variables without throwing', () => {
+      expect(() => messages.t('en', 'guideReady', { name: 'Mina', extra: 1 })).not.toThrow();
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    test('renders unknown locales in English', () => {
+      expect(messages.t('xx', 'welcome', { name: 'Mina' })).toBe(messages.t('en', 'welcome', { name: 'Mina' }));
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// __tests__/MessageDeduplicator.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageDeduplicator = require('../utils/MessageDeduplicator');
+const AisensyProvider = require('../utils/messaging/AisensyProvider');
+
+describe('MessageDeduplicator', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-'));
+    filePath = path.join(dir, 'processed-messages.json');
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('claims an id once', () => {
+    const dedup = new MessageDeduplicator({ filePath });
+
+    expect(dedup.claim('wamid.1')).toBe(true);
+    expect(dedup.claim('wamid.1')).toBe(false);
+    expect(dedup.claim('wamid.2')).toBe(true);
+  });
+
+  test('forgets ids once the ttl has passed', () => {
+    const dedup = new MessageDeduplicator({ filePath, ttlMs: 60 * 1000 });
+    dedup.claim('wamid.1');
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:59Z'));
+    expect(dedup.has('wamid.1')).toBe(true);
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    expect(dedup.has('wamid.1')).toBe(false);
+    expect(dedup.claim('wamid.1')).toBe(true);
+  });
+
+  test('remembers claimed ids across restarts, but not expired ones', () => {
+    const dedup = new MessageDeduplicator({ filePath, ttlMs: 60 * 1000 });
+    dedup.claim('wamid.1');
+    jest.setSystemTime(new Date('2026-01-01T00:00:30Z'));
+    dedup.claim('wamid.2');
+    jest.advanceTimersByTime(1000);
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:10Z'));
+    const reloaded = new MessageDeduplicator({ filePath, ttlMs: 60 * 1000 });
+
+    expect(reloaded.has('wamid.1')).toBe(false);
+    expect(reloaded.has('wamid.2')).toBe(true);
+    expect(reloaded.processed.size).toBe(1);
+  });
+
+  test('keeps an unreadable ids file for recovery instead of overwriting it', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.writeFileSync(filePath, '[["wamid.1", 17');
+
+    const dedup = new MessageDeduplicator({ filePath });
+    dedup.claim('wamid.2');
+    dedup.flush();
+
+    const [corrupt] = fs.readdirSync(dir).filter(file => file.startsWith('processed-messages.json.corrupt-'));
+    expect(fs.readFileSync(path.join(dir, corrupt), 'utf8')).toBe('[["wamid.1", 17');
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  test('fingerprints the same fields to the same id', () => {
+    const fields = ['+911', '1767225600', 'text', 'hi'];
+
+    expect(MessageDeduplicator.fingerprint(fields)).toBe(MessageDeduplicator.fingerprint([...fields]));
+    expect(MessageDeduplicator.fingerprint(fields)).not.toBe(MessageDeduplicator.fingerprint(['+911', '1767225601', 'text', 'hi']));
+  });
+});
+
+describe('AisensyProvider message ids', () => {
+  const provider = new AisensyProvider({ apiKey: 'test' });
+  const parseId = message => provider.parseWebhook({ type: 'message', ...message })[0].message.id;
+
+  test('uses the provider id when there is one', () => {
+    expect(parseId({ id: 'msg_1', from: '+911', text: 'hi' })).toBe('msg_1');
+  });
+
+  test('fingerprints a retried delivery to the same id', () => {
+    const delivery = { from: '+911', timestamp: '1767225600', text: 'hi' };
+
+    expect(parseId(delivery)).toMatch(/^fp_/);
+    expect(parseId({ ...delivery })).toBe(parseId(delivery));
+  });
+
+  test('does not fingerprint a message without a timestamp', () => {
+    expect(parseId({ from: '+911', text: 'hi' })).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+// __tests__/MetaCloudProvider.test.js - Webhook parsing, signatures and interactive messages
+jest.mock('axios');
+
+const axios = require('axios');
+const crypto = require('crypto');
+const MetaCloudProvider = require('../utils/messaging/MetaCloudProvider');
+
+// A webhook body as Meta sends it, with one change
+const webhook = value => ({
+  object: 'whatsapp_business_account',
+  entry: [{ id: 'waba_1', changes: [{ field: 'messages', value: { messaging_product: 'whatsapp', ...value } }] }]
+});
+
+const contacts = [{ wa_id: '911234567890', profile: { name: 'Mina' } }];
+
+describe('MetaCloudProvider', () => {
+  const provider = new MetaCloudProvider({ accessToken: 'token', phoneNumberId: '123', appSecret: 'app-secret' });
+
+  describe('parseWebhook', () => {
+    test('text message', () => {
+      const body = webhook({
+        contacts,
+        messages: [{ id: 'wamid.1', from: '911234567890', timestamp: '1767225600', type: 'text', text: { body: 'hello' } }]
+      });
+
+      expect(provider.parseWebhook(body)).toEqual([{
+        message: {
+          id: 'wamid.1',
+          from: '911234567890',
+          timestamp: 1767225600000,
+          type: 'text',
+          text: { body: 'hello' },
+          image: null,
+          interactive: null
+        },
+        contact: { profile: { name: 'Mina' } }
+      }]);
+    });
+
+    test('image message', () => {
+      const body = webhook({
+        contacts,
+        messages: [{
+          id: 'wamid.2',
+          from: '911234567890',
+          timestamp: '1767225600',
+          type: 'image',
+          image: { id: 'media_1', mime_type: 'image/heic', sha256: 'abc' }
+        }]
+      });
+
+      const [{ message }] = provider.parseWebhook(body);
+
+      expect(message.type).toBe('image');
+      expect(message.image).toEqual({ id: 'media_1', mimeType: 'image/heic' });
+      expect(message.text).toBeNull();
+    });
+
+    test('every message of every change, each with its own contact', () => {
+      const body = webhook({
+        contacts: [...contacts, { wa_id: '919876543210', profile: { name: 'Arjun' } }],
+        messages: [
+          { id: 'wamid.1', from: '911234567890', type: 'text', text: { body: 'a' } },
+          { id: 'wamid.2', from: '919876543210', type: 'text', text: { body: 'b' } }
+        ]
+      });
+
+      expect(provider.parseWebhook(body).map(({ message, contact }) => [message.id, contact.profile.name]))
+        .toEqual([['wamid.1', 'Mina'], ['wamid.2', 'Arjun']]);
+    });
+
+    test('status updates carry no messages', () => {
+      const body = webhook({
+        statuses: [{ id: 'wamid.1', status: 'delivered', timestamp: '1767225600', recipient_id: '911234567890' }]
+      });
+
+      expect(provider.parseWebhook(body)).toEqual([]);
+    });
+
+    test.each([
+      ['an empty body', {}],
+      ['another object type', { object: 'page', entry: [] }],
+      ['entry that is not a list', { object: 'whatsapp_business_account', entry: {} }],
+      ['a change without a value', { object: 'whatsapp_business_account', entry: [{ changes: [{}] }] }],
+      ['an entry without changes', { object: 'whatsapp_business_account', entry: [{}] }]
+    ])('malformed payload: %s', (_, body) => {
+      expect(provider.parseWebhook(body)).toEqual([]);
+    });
+  });
+
+  describe('interactive replies', () => {
+    const reply = msgData => provider.parseWebhook(webhook({
+      contacts,
+      messages: [{ id: 'wamid.3', from: '911234567890', timestamp: '1767225600', ...msgData }]
+    }))[0].message;
+
+    test('reply button', () => {
+      const message = reply({ type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: 'get_pdf', title: 'Get PDF' } } });
+
+      expect(message.type).toBe('interactive');
+      expect(message.interactive).toEqual({ button_reply: { id: 'get_pdf', title: 'Get PDF' } });
+    });
+
+    test('list selection', () => {
+      const message = reply({
+        type: 'interactive',
+        interactive: { type: 'list_reply', list_reply: { id: 'share_results', title: 'Share', description: 'Send to a friend' } }
+      });
+
+      expect(message.interactive).toEqual({ list_reply: { id: 'share_results', title: 'Share' } });
+    });
+
+    test('template quick-reply button', () => {
+      const message = reply({ type: 'button', button: { payload: 'start_analysis', text: 'Start' } });
+
+      expect(message.type).toBe('interactive');
+      expect(message.interactive).toEqual({ button_reply: { id: 'start_analysis', title: 'Start' } });
+    });
+
+    test.each([
+      ['a flow reply', { type: 'interactive', interactive: { type: 'nfm_reply', nfm_reply: {} } }],
+      ['an interactive message without a body', { type: 'interactive' }],
+      ['a button without a payload object', { type: 'button' }]
+    ])('%s is not a reply we know', (_, msgData) => {
+      expect(reply(msgData).interactive).toBeNull();
+    });
+  });
+
+  describe('sendButtonMessage', () => {
+    beforeEach(() => {
+      axios.post.mockReset().mockResolvedValue({ data: {} });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('sends up to three native reply buttons with the ids given', async () => {
+      await provider.sendButtonMessage('+91 12345 67890', 'Ready?', [
+        { id: 'start_analysis', text: 'Start my analysis now please' },
+        { text: 'Later' }
+      ]);
+
+      const [, payload] = axios.post.mock.calls[0];
+      expect(payload.to).toBe('911234567890');
+      expect(payload.interactive.action.buttons).toEqual([
+        { type: 'reply', reply: { id: 'start_analysis', title: 'Start my analysis no' } },
+        { type: 'reply', reply: { id: '2', title: 'Later' } }
+      ]);
+    });
+
+    test('falls back to numbered text beyond three buttons', async () => {
+      const buttons = ['A', 'B', 'C', 'D'].map(text => ({ id: text, text }));
+
+      await provider.sendButtonMessage('+911', 'Pick one', buttons, { replyHint: 'Reply 1-4.' });
+
+      const [, payload] = axios.post.mock.calls[0];
+      expect(payload.type).toBe('text');
+      expect(payload.text.body).toBe('Pick one\n\n1. A\n2. B\n3. C\n4. D\n\nReply 1-4.');
+    });
+  });
+
+  describe('verifySignature', () => {
+    const rawBody = Buffer.from(JSON.stringify(webhook({ contacts, messages: [] })));
+    const sign = (body, secret = 'app-secret') =>
+      'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    test('accepts a valid signature', () => {
+      expect(provider.verifySignature(rawBody, { 'x-hub-signature-256': sign(rawBody) })).toBe(true);
+    });
+
+    test('rejects a tampered body', () => {
+      const tampered = Buffer.from(rawBody.toString().replace('whatsapp', 'whatsapq'));
+
+      expect(provider.verifySignature(tampered, { 'x-hub-signature-256': sign(rawBody) })).toBe(false);
+    });
+
+    test('rejects a signature made with another secret', () => {
+      expect(provider.verifySignature(rawBody, { 'x-hub-signature-256': sign(rawBody, 'other') })).toBe(false);
+    });
+
+    test.each([
+      ['missing', {}],
+      ['empty', { 'x-hub-signature-256': '' }],
+      ['truncated', { 'x-hub-signature-256': 'sha256=abc' }]
+    ])('rejects a %s header', (_, headers) => {
+      expect(provider.verifySignature(rawBody, headers)).toBe(false);
+    });
+
+    test('skips the check when no app secret is configured', () => {
+      const unsigned = new MetaCloudProvider({ accessToken: 'token', phoneNumberId: '123' });
+      unsigned.appSecret = null;
+
+      expect(unsigned.verifySignature(rawBody, {})).toBe(true);
+    });
+  });
+});
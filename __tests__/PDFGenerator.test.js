@@ -0,0 +1,76 @@
+// __tests__/PDFGenerator.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFGenerator = require('../utils/PDFGenerator');
+
+const fixture = () => JSON.parse(JSON.stringify(require('../utils/analysis/fixtures/autumn.json')));
+
+// jsPDF writes uncompressed PDFs, so pages and text can be read back directly
+const pageCount = pdf => (pdf.match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+describe('PDFGenerator', () => {
+  let dir;
+  let generator;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfs-'));
+    generator = new PDFGenerator({ outputDir: dir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('renders the 15-page guide', async () => {
+    const { fileName, filePath } = await generator.generate(fixture(), '+91 12345 67890');
+    const pdf = fs.readFileSync(filePath, 'latin1');
+
+    expect(fileName).toMatch(/^color-analysis-911234567890-\d+\.pdf$/);
+    expect(pageCount(pdf)).toBe(15);
+    expect(pdf).toContain('Page 15 of 15');
+  });
+
+  test('continues a swatch list that does not fit on a new page', async () => {
+    const analysis = fixture();
+    analysis.color_palettes.key_colors.forEach(color => {
+      color.description = 'A long description that wraps over several lines. '.repeat(8);
+    });
+
+    const pdf = fs.readFileSync((await generator.generate(analysis, '+911')).filePath, 'latin1');
+
+    expect(pageCount(pdf)).toBe(16);
+    expect(pdf).toContain('Your Key Colors \\(continued\\)'); // parentheses are escaped in PDF strings
+    expect(pdf).toContain('Page 16 of 16');
+    analysis.color_palettes.key_colors.forEach(color => expect(pdf).toContain(color.hex));
+  });
+
+  test('draws a grey swatch for an invalid hex', () => {
+    const doc = { setFillColor: jest.fn(), setDrawColor: jest.fn(), roundedRect: jest.fn() };
+
+    generator.drawSwatch(doc, 'camel', 0, 0, 10, 10);
+    generator.drawSwatch(doc, undefined, 0, 0, 10, 10);
+    generator.drawSwatch(doc, '#B8860B', 0, 0, 10, 10);
+
+    expect(doc.setFillColor.mock.calls).toEqual([['#CCCCCC'], ['#CCCCCC'], ['#B8860B']]);
+  });
+
+  test('toPdfText keeps Latin-1 and replaces or drops everything else', () => {
+    expect(generator.toPdfText('“Café” – it’s • 💖 नमस्ते 한국\nnext')).toBe('"Café" - it\'s -   \nnext');
+  });
+
+  test('deleteFilesFor removes only that number\'s guides', async () => {
+    await generator.generate(fixture(), '+911');
+    await generator.generate(fixture(), '+9112');
+    fs.writeFileSync(path.join(dir, 'color-analysis-911-notes.txt'), 'keep');
+
+    expect(generator.deleteFilesFor('+911')).toBe(1);
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      'color-analysis-911-notes.txt',
+      expect.stringMatching(/^color-analysis-9112-\d+\.pdf$/)
+    ]);
+    expect(generator.deleteFilesFor('+911')).toBe(0);
+  });
+});
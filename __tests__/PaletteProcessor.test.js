@@ -0,0 +1,79 @@
+// __tests__/PaletteProcessor.test.js
+const PaletteProcessor = require('../utils/PaletteProcessor');
+const AnalysisValidator = require('../utils/AnalysisValidator');
+const AnalysisProvider = require('../utils/analysis/AnalysisProvider');
+
+const fixture = () => JSON.parse(JSON.stringify(require('../utils/analysis/fixtures/autumn.json')));
+
+describe('PaletteProcessor', () => {
+  const palettes = new PaletteProcessor();
+
+  test('normalizes hex codes', () => {
+    const analysis = fixture();
+    analysis.color_palettes.accent_colors[0].hex = 'b8860b';
+    analysis.colors_to_avoid[0].hex = '#f0f';
+
+    expect(palettes.sanitize(analysis)).toEqual([]);
+    expect(analysis.color_palettes.accent_colors[0].hex).toBe('#B8860B');
+    expect(analysis.colors_to_avoid[0].hex).toBe('#FF00FF');
+  });
+
+  test('drops colours without a usable hex, and their translations', () => {
+    const analysis = fixture();
+    analysis.color_palettes.neutrals[1].hex = 'camel';
+    analysis.localized = { color_palettes: { neutrals: ['N0', 'N1', 'N2', 'N3'] } };
+
+    const notes = palettes.sanitize(analysis);
+
+    expect(notes).toEqual(['/color_palettes/neutrals/1: dropped, "camel" is not a hex color']);
+    expect(analysis.color_palettes.neutrals.map(color => color.name)).toEqual(['Cream', 'Coffee Brown', 'Warm Khaki']);
+    expect(analysis.localized.color_palettes.neutrals).toEqual(['N0', 'N2', 'N3']);
+  });
+
+  test('merges near-identical colours within a list, keeping the first', () => {
+    const analysis = fixture();
+    analysis.color_palettes.key_colors[1] = { name: 'Terracotta Again', hex: '#C9633F', description: 'd' };
+
+    const notes = palettes.sanitize(analysis);
+
+    expect(notes).toHaveLength(1);
+    expect(notes[0]).toMatch(/^\/color_palettes\/key_colors: dropped "Terracotta Again"/);
+    expect(analysis.color_palettes.key_colors).toHaveLength(5);
+    expect(analysis.color_palettes.key_colors[0].name).toBe('Terracotta');
+  });
+
+  test('flags key colours close to a colour to avoid', () => {
+    const analysis = fixture();
+    analysis.colors_to_avoid[0] = { name: 'Brick', hex: '#C0583A' };
+
+    palettes.flagConflicts(analysis);
+
+    expect(analysis.color_palettes.key_colors[0].close_to_avoid).toEqual({
+      name: 'Brick',
+      hex: '#C0583A',
+      delta_e: expect.any(Number)
+    });
+    expect(analysis.color_palettes.key_colors[2].close_to_avoid).toBeUndefined();
+    expect(new AnalysisValidator().validate(analysis)).toEqual({ valid: true, errors: [] });
+  });
+});
+
+describe('AnalysisProvider.checkAnalysis', () => {
+  const provider = new AnalysisProvider('Test');
+
+  test('accepts a complete analysis', () => {
+    expect(provider.checkAnalysis(fixture())).toEqual([]);
+  });
+
+  test('a list left short by merged duplicates fails validation, with the reason', () => {
+    const analysis = fixture();
+    analysis.color_palettes.key_colors[1] = { name: 'Terracotta Again', hex: '#C9633F', description: 'd' };
+
+    const errors = provider.checkAnalysis(analysis);
+
+    expect(errors).toEqual([
+      expect.stringMatching(/dropped "Terracotta Again"/),
+      '/color_palettes/key_colors: must NOT have fewer than 6 items'
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+// __tests__/SeasonRegistry.test.js
+const SeasonRegistry = require('../utils/SeasonRegistry');
+
+describe('SeasonRegistry.resolve', () => {
+  const registry = new SeasonRegistry();
+  const resolveId = text => registry.resolve(text)?.id ?? null;
+
+  test.each([
+    ['Soft Autumn', 'soft_autumn'],
+    ['soft autumn', 'soft_autumn'],
+    ['Autumn Soft', 'soft_autumn'],
+    ['Autumn, soft', 'soft_autumn'],
+    ['Soft Autumn (Muted)', 'soft_autumn'],
+    ['Muted Fall', 'soft_autumn'],
+    ['deep winter-ish', 'deep_winter'],
+    ['Dark Winter', 'deep_winter'],
+    ['Warm Spring', 'true_spring'],
+    ['Cool Light Summer', 'light_summer'],
+    ['You are a Bright Winter!', 'bright_winter']
+  ])('%j -> %s', (text, id) => {
+    expect(resolveId(text)).toBe(id);
+  });
+
+  test('the first season named in the text wins', () => {
+    expect(resolveId('Deep Winter, bordering on Dark Autumn')).toBe('deep_winter');
+    expect(resolveId('Dark Autumn, bordering on Deep Winter')).toBe('deep_autumn');
+  });
+
+  test('prefers the longer name when two start at the same word', () => {
+    const seasons = new SeasonRegistry({
+      seasons: {
+        autumn: { name: 'Autumn' },
+        soft_autumn: { name: 'Autumn Soft' }
+      }
+    });
+
+    expect(seasons.resolve('Autumn soft and warm').id).toBe('soft_autumn');
+    expect(seasons.resolve('Autumn').id).toBe('autumn');
+  });
+
+  test.each(['Spring', 'Soft', 'Soft Spring', 'Autumnal', '', null, undefined])('%j names no season', text => {
+    expect(registry.resolve(text)).toBeNull();
+  });
+
+  test('lists the 12 seasons and finds them by id', () => {
+    expect(registry.list()).toHaveLength(12);
+    expect(registry.get('soft_autumn').name).toBe('Soft Autumn');
+    expect(registry.get('autumn')).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+// __tests__/StateMachine.test.js
+const StateMachine = require('../utils/StateMachine');
+const conversationFlow = require('../utils/conversationFlow');
+
+const flow = {
+  initial: 'waiting_for_photo',
+  global: {
+    help: { action: 'sendHelp' }
+  },
+  states: {
+    waiting_for_photo: {
+      on: {
+        photo: { action: 'queueAnalysis', target: 'analyzing' },
+        fallback: { action: 'remindPhoto' }
+      }
+    },
+    analyzing: {
+      on: {
+        analysis_succeeded: { target: 'results_shown' },
+        fallback: { action: 'sendStillAnalyzing' }
+      }
+    },
+    results_shown: {
+      onEnter: 'sendAnalysisResults',
+      on: {
+        pdf: { action: 'requestPDF' },
+        payment_link_sent: { target: 'payment_pending' },
+        fallback: { action: 'sendResultsOptions' }
+      }
+    },
+    payment_pending: {
+      on: {
+        fallback: { action: 'remindPayment' }
+      }
+    }
+  }
+};
+
+function createMachine() {
+  const actions = Object.fromEntries([
+    'sendHelp', 'queueAnalysis', 'remindPhoto', 'sendStillAnalyzing',
+    'sendAnalysisResults', 'requestPDF', 'sendResultsOptions', 'remindPayment'
+  ].map(name => [name, jest.fn()]));
+
+  return { machine: new StateMachine(flow, actions), actions };
+}
+
+describe('StateMachine', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('dispatch runs the first handled event, else the fallback', async () => {
+    const { machine, actions } = createMachine();
+    const conversation = { state: 'waiting_for_photo' };
+
+    await machine.dispatch(conversation, ['pdf', 'help']);
+    expect(actions.sendHelp).toHaveBeenCalled();
+
+    await machine.dispatch(conversation, 'pdf');
+    expect(actions.remindPhoto).toHaveBeenCalled();
+    expect(conversation.state).toBe('waiting_for_photo');
+
+    await machine.dispatch(conversation, 'photo', { phoneNumber: '+911' });
+    expect(actions.queueAnalysis).toHaveBeenCalledWith({ phoneNumber: '+911', conversation });
+    expect(conversation.state).toBe('analyzing');
+  });
+
+  test('trigger runs declared system events and the target\'s entry action', async () => {
+    const { machine, actions } = createMachine();
+    const conversation = { state: 'analyzing' };
+
+    await expect(machine.trigger(conversation, 'analysis_succeeded')).resolves.toBe(true);
+    expect(conversation.state).toBe('results_shown');
+    expect(actions.sendAnalysisResults).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ['an event the state does not declare', 'waiting_for_photo', 'analysis_succeeded'],
+    ['the fallback', 'analyzing', 'fallback']
+  ])('trigger rejects %s without running anything', async (_, state, event) => {
+    const { machine, actions } = createMachine();
+    const conversation = { state };
+
+    await expect(machine.trigger(conversation, event)).resolves.toBe(false);
+    expect(conversation.state).toBe(state);
+    Object.values(actions).forEach(action => expect(action).not.toHaveBeenCalled());
+  });
+
+  test('an action moves the conversation by triggering a declared event', async () => {
+    const { machine, actions } = createMachine();
+    const conversation = { state: 'results_shown' };
+    actions.requestPDF.mockImplementation(({ conversation }) => machine.trigger(conversation, 'payment_link_sent'));
+
+    await machine.dispatch(conversation, 'pdf');
+
+    expect(conversation.state).toBe('payment_pending');
+  });
+
+  test('transition allows declared targets and rejects the rest', async () => {
+    const { machine } = createMachine();
+    const conversation = { state: 'results_shown' };
+
+    await expect(machine.transition(conversation, 'analyzing'))
+      .rejects.toThrow('Invalid transition from "results_shown" to "analyzing"');
+    expect(conversation.state).toBe('results_shown');
+
+    await machine.transition(conversation, 'payment_pending');
+    expect(conversation.state).toBe('payment_pending');
+  });
+
+  test('resets conversations in unknown states', async () => {
+    const { machine, actions } = createMachine();
+    const conversation = { state: 'removed_state' };
+
+    await machine.dispatch(conversation, 'hello');
+
+    expect(conversation.state).toBe('waiting_for_photo');
+    expect(actions.remindPhoto).toHaveBeenCalled();
+  });
+
+  test('rejects flows with unknown states, missing fallbacks or unknown actions', () => {
+    const broken = {
+      initial: 'start',
+      states: {
+        start: { on: { go: { action: 'missing', target: 'nowhere' } } }
+      }
+    };
+
+    expect(() => new StateMachine(broken, {})).toThrow([
+      'Invalid conversation flow:',
+      '- state "start" has no fallback handler',
+      '- state "start" event "go" targets unknown state "nowhere"',
+      '- state "start" event "go" uses unknown action "missing"'
+    ].join('\n'));
+  });
+
+  test('the bot\'s flow is valid', () => {
+    expect(() => new StateMachine(conversationFlow)).not.toThrow();
+  });
+});
@@ -0,0 +1,118 @@
+// __tests__/conversationStores.test.js - Both conversation stores against the same contract
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileConversationStore = require('../utils/storage/JsonFileConversationStore');
+const SqliteConversationStore = require('../utils/storage/SqliteConversationStore');
+const createConversationStore = require('../utils/storage/createConversationStore');
+
+// better-sqlite3 is an optional dependency with a native build; its suite
+// is skipped where the build isn't available
+const sqliteAvailable = (() => {
+  try {
+    new (require('better-sqlite3'))(':memory:').close();
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const STORES = [
+  ['JsonFileConversationStore', dir => new JsonFileConversationStore({ filePath: path.join(dir, 'conversations.json'), debounceMs: 0 }), true],
+  ['SqliteConversationStore', dir => new SqliteConversationStore({ filePath: path.join(dir, 'conversations.db') }), sqliteAvailable]
+];
+
+STORES.forEach(([name, createStore, available]) => (available ? describe : describe.skip)(name, () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+    store = createStore(dir);
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const reopen = () => {
+    store.close();
+    store = createStore(dir);
+    return store.loadAll();
+  };
+
+  test('starts empty', () => {
+    expect(store.loadAll()).toEqual([]);
+  });
+
+  test('keeps saved conversations across restarts', () => {
+    store.save({ phoneNumber: '+911', state: 'initial' });
+    store.save({ phoneNumber: '+912', state: 'results_shown', analysis: { season: 'Soft Autumn' } });
+    store.save({ phoneNumber: '+911', state: 'waiting_for_photo' });
+
+    const conversations = reopen();
+
+    expect(conversations).toHaveLength(2);
+    expect(conversations.find(c => c.phoneNumber === '+911').state).toBe('waiting_for_photo');
+    expect(conversations.find(c => c.phoneNumber === '+912').analysis).toEqual({ season: 'Soft Autumn' });
+  });
+
+  test('deletes a conversation', () => {
+    store.save({ phoneNumber: '+911', state: 'initial' });
+    store.save({ phoneNumber: '+912', state: 'initial' });
+    store.delete('+911');
+    store.flush();
+
+    expect(reopen().map(c => c.phoneNumber)).toEqual(['+912']);
+  });
+
+  test('saveAll replaces the stored set', () => {
+    store.save({ phoneNumber: '+911', state: 'initial' });
+    store.saveAll([{ phoneNumber: '+913', state: 'initial' }]);
+
+    expect(reopen().map(c => c.phoneNumber)).toEqual(['+913']);
+  });
+}));
+
+describe('JsonFileConversationStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('batches writes within the debounce window', () => {
+    jest.useFakeTimers();
+    const filePath = path.join(dir, 'conversations.json');
+    const store = new JsonFileConversationStore({ filePath, debounceMs: 1000 });
+
+    store.save({ phoneNumber: '+911', state: 'initial' });
+    store.save({ phoneNumber: '+912', state: 'initial' });
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toHaveLength(2);
+  });
+
+  test('moves an unreadable file aside instead of overwriting it', () => {
+    const filePath = path.join(dir, 'conversations.json');
+    fs.writeFileSync(filePath, '[{ broken');
+
+    expect(new JsonFileConversationStore({ filePath }).loadAll()).toEqual([]);
+    expect(fs.readdirSync(dir).some(file => file.startsWith('conversations.json.corrupt-'))).toBe(true);
+  });
+});
+
+describe('createConversationStore', () => {
+  test('rejects unknown store types', () => {
+    expect(() => createConversationStore({ type: 'redis' })).toThrow('Unknown CONVERSATION_STORE "redis"');
+  });
+});
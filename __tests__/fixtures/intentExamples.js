@@ -0,0 +1,106 @@
+// __tests__/fixtures/intentExamples.js - Utterances the intent recognizer must handle
+//
+// `expect` is the top intent (null when nothing should match). `options` are
+// the numbered choices offered in the state the message is sent in.
+module.exports = [
+  // Word boundaries: these used to match "hi", "new" and "done" as substrings
+  { text: 'Can I wear white clothes?', expect: null },
+  { text: 'this is nice', expect: null },
+  { text: 'any news?', expect: null },
+  { text: 'I abandoned my old wardrobe', expect: null },
+  { text: 'Is yesterday\'s analysis still valid?', expect: null },
+  { text: 'what colors suit me', expect: null },
+
+  // Real words one typo away from a trigger word
+  { text: 'What shade of lipstick should I wear?', expect: null },
+  { text: 'shape of glasses', expect: null },
+  { text: 'which shades suit me', expect: null },
+  { text: 'shaer', expect: null },
+
+  // Mentioning the guide is not asking to buy it
+  { text: 'thanks for the guide!', expect: null },
+  { text: 'is this a good report', expect: null },
+  { text: 'what does the pdf include', expect: null },
+
+  // ready
+  { text: 'ready', expect: 'ready' },
+  { text: 'READY!', expect: 'ready' },
+  { text: 'Yes please', expect: 'ready' },
+  { text: 'ok', expect: 'ready' },
+  { text: "let's go 🎉", expect: 'ready' },
+  { text: 'continue', expect: 'ready' },
+  { text: 'raedy', expect: 'ready' },
+  { text: 'contiune', expect: 'ready' },
+  { text: 'I am reday', expect: 'ready' },
+
+  // pdf
+  { text: 'pdf', expect: 'pdf' },
+  { text: 'I want the full guide', expect: 'pdf' },
+  { text: 'buy', expect: 'pdf' },
+  { text: 'send me the PDF report', expect: 'pdf' },
+  { text: 'purchse', expect: 'pdf' },
+  { text: 'Get guide', expect: 'pdf' },
+
+  // new_analysis
+  { text: 'new', expect: 'new_analysis' },
+  { text: 'New analysis please', expect: 'new_analysis' },
+  { text: 'can I try again with another photo', expect: 'new_analysis' },
+  { text: 'start over', expect: 'new_analysis' },
+  { text: 'retake', expect: 'new_analysis' },
+
+  // share
+  { text: 'share', expect: 'share' },
+  { text: 'how do I share this?', expect: 'share' },
+  { text: 'share with my sister', expect: 'share' },
+
+  // paid
+  { text: 'done', expect: 'paid' },
+  { text: 'I paid', expect: 'paid' },
+  { text: 'payment done ✅', expect: 'paid' },
+  { text: 'paymnet completed', expect: 'paid' },
+
+  // resend
+  { text: 'resend', expect: 'resend' },
+  { text: 'please send the link again', expect: 'resend' },
+  { text: 'my link expired', expect: 'resend' },
+  { text: 'resnd', expect: 'resend' },
+
+  // Global commands
+  { text: 'HELP', expect: 'help' },
+  { text: 'help me please', expect: 'help' },
+  { text: 'Restart', expect: 'restart' },
+  { text: 'status', expect: 'status' },
+  { text: "what's my payment status?", expect: 'status' },
+  { text: 'STOP', expect: 'stop' },
+  { text: 'please stop messaging me', expect: 'stop' },
+  { text: 'resume', expect: 'resume' },
+  { text: 'MY DATA', expect: 'export_data' },
+  { text: 'can I download my data?', expect: 'export_data' },
+  { text: 'DELETE MY DATA', expect: 'delete_data' },
+  { text: 'please delete my data', expect: 'delete_data' },
+  { text: 'DELETE', expect: 'confirm_delete' },
+  { text: 'stop light colors?', expect: null },
+
+  // Languages
+  { text: 'LANGUAGE HINDI', expect: 'language' },
+  { text: 'change language', expect: 'language' },
+  { text: '한국어', expect: 'language' },
+  // Which language is MessageCatalog.parseLocale's job: this one names none
+  { text: 'Hi, can I change the language?', expect: 'language' },
+  { text: 'hi', expect: null },
+  { text: 'hi en', expect: null },
+  { text: 'I love England', expect: null },
+  { text: 'my engine broke', expect: null },
+  { text: 'हाँ', expect: 'ready' },
+  { text: '네', expect: 'ready' },
+  { text: 'मदद', expect: 'help' },
+
+  // Numbered options
+  { text: '1', options: ['pdf', 'new_analysis', 'share'], expect: 'pdf' },
+  { text: '2.', options: ['pdf', 'new_analysis', 'share'], expect: 'new_analysis' },
+  { text: 'option 3', options: ['pdf', 'new_analysis', 'share'], expect: 'share' },
+  { text: '#1', options: ['ready'], expect: 'ready' },
+  { text: '1️⃣', options: ['ready'], expect: 'ready' },
+  { text: '4', options: ['pdf', 'new_analysis', 'share'], expect: null },
+  { text: '1', expect: null }
+];
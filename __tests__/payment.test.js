@@ -0,0 +1,56 @@
+// __tests__/payment.test.js - WhatsApp notifications from the payment routes
+const createPaymentRouter = require('../routes/payment');
+
+// Calls a route's handler directly with a minimal request and response
+async function call(router, method, routePath, body) {
+  const layer = router.stack.find(l => l.route?.path === routePath && l.route.methods[method]);
+  const res = { json: jest.fn(), send: jest.fn(), status: jest.fn(() => res) };
+
+  await layer.route.stack[0].handle({ body, params: {}, query: {} }, res, () => {});
+  return res;
+}
+
+describe('payment routes', () => {
+  const paymentData = { orderId: 'order_1', phoneNumber: '+911', status: 'completed' };
+  let conversations;
+  let paymentManager;
+  let messagingClient;
+  let router;
+
+  beforeEach(() => {
+    conversations = { '+911': { phoneNumber: '+911', locale: 'en' } };
+    paymentManager = {
+      verifyPayment: jest.fn().mockResolvedValue({ success: true, paymentData }),
+      triggerPostPaymentActions: jest.fn()
+    };
+    messagingClient = { sendTextMessage: jest.fn().mockResolvedValue({}) };
+    const conversationManager = {
+      getConversation: phoneNumber => conversations[phoneNumber],
+      isOptedOut: phoneNumber => !!conversations[phoneNumber]?.optedOut
+    };
+    router = createPaymentRouter({ paymentManager, conversationManager, messagingClient });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tells the user on WhatsApp when a payment is verified', async () => {
+    const res = await call(router, 'post', '/api/verify-payment', { razorpay_order_id: 'order_1' });
+
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+    expect(messagingClient.sendTextMessage).toHaveBeenCalledWith('+911', expect.stringContaining('Payment successful'));
+    expect(paymentManager.triggerPostPaymentActions).toHaveBeenCalledWith(paymentData);
+  });
+
+  test('sends no update to a user who opted out, but still delivers what they paid for', async () => {
+    conversations['+911'].optedOut = true;
+
+    const res = await call(router, 'post', '/api/verify-payment', { razorpay_order_id: 'order_1' });
+
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+    expect(messagingClient.sendTextMessage).not.toHaveBeenCalled();
+    expect(paymentManager.triggerPostPaymentActions).toHaveBeenCalledWith(paymentData);
+  });
+});
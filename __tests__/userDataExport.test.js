@@ -0,0 +1,91 @@
+// __tests__/userDataExport.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConversationManager = require('../utils/ConversationManager');
+const { buildUserDataExport, renderUserDataSummary } = require('../utils/userDataExport');
+
+const fixture = name => JSON.parse(JSON.stringify(require(`../utils/analysis/fixtures/${name}.json`)));
+const PHONE = '+911234567890';
+const PDF_FILE = 'guide-ab12cd34-1767225600000.pdf';
+const PDF_URL = `https://example.com/download/${PDF_FILE}?expires=1767830400&signature=abc`;
+
+describe('user data export', () => {
+  let dir;
+  let manager;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    manager = new ConversationManager({ dataDir: dir });
+
+    manager.createConversation(PHONE, { name: 'Asha' });
+    manager.setAnalysisResult(PHONE, fixture('winter'));
+    manager.trackUserAction(PHONE, 'pdf_requested');
+    manager.markPDFGenerated(PHONE, PDF_URL, { pdfFile: PDF_FILE, pdfOrderId: 'order_1' });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const payments = () => [{
+    orderId: 'order_1',
+    amount: 299,
+    currency: 'INR',
+    status: 'completed',
+    createdAt: '2025-12-31T12:00:00.000Z',
+    completedAt: '2025-12-31T12:05:00.000Z',
+    paymentId: 'pay_1',
+    analysis: fixture('autumn')
+  }];
+
+  test('includes the analysis copy kept on each order', () => {
+    const exportData = buildUserDataExport(manager.exportUserData(PHONE), payments());
+
+    expect(exportData.analyses.map(({ source, season }) => ({ source, season }))).toEqual([
+      { source: 'latest analysis', season: 'True Winter' },
+      { source: 'order order_1', season: 'True Autumn' }
+    ]);
+    expect(exportData.analyses[1].analysis).toEqual(fixture('autumn'));
+    expect(exportData.payments[0]).not.toHaveProperty('analysis');
+    expect(exportData.payments[0]).toEqual(expect.objectContaining({ orderId: 'order_1', status: 'completed' }));
+    expect(exportData.actions).toEqual([expect.objectContaining({ action: 'pdf_requested' })]);
+  });
+
+  test('leaves out the guide link and file name', () => {
+    const exported = manager.exportUserData(PHONE);
+    const json = JSON.stringify(buildUserDataExport(exported, payments()));
+
+    expect(exported).not.toHaveProperty('pdfUrl');
+    expect(exported).not.toHaveProperty('pdfFile');
+    expect(exported).toEqual(expect.objectContaining({ pdfGenerated: true, pdfOrderId: 'order_1' }));
+    expect(json).not.toContain(PDF_FILE);
+    expect(json).not.toContain(dir);
+  });
+
+  test('does not change the stored conversation', () => {
+    manager.exportUserData(PHONE);
+
+    expect(manager.getConversation(PHONE)).toEqual(expect.objectContaining({ pdfUrl: PDF_URL, pdfFile: PDF_FILE }));
+  });
+
+  test('summarizes the profile, analyses, payments and actions', () => {
+    const summary = renderUserDataSummary(buildUserDataExport(manager.exportUserData(PHONE), payments()));
+
+    expect(summary).toContain(`Phone number: ${PHONE}`);
+    expect(summary).toContain('Name: Asha');
+    expect(summary).toContain('COLOR ANALYSES (2)');
+    expect(summary).toContain('- True Winter, Cool with blue and pink hues undertone (latest analysis, Thu, 01 Jan 2026 00:00:00 GMT)');
+    expect(summary).toContain('- True Autumn, Warm with golden and olive hues undertone (order order_1)');
+    expect(summary).toContain('- Wed, 31 Dec 2025 12:00:00 GMT: INR 299 - completed (order order_1)');
+    expect(summary).toContain('RECORDED ACTIONS (1)');
+    expect(summary).not.toContain(PDF_FILE);
+  });
+
+  test('returns null for a number without a conversation', () => {
+    expect(manager.exportUserData('+910000000000')).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+// locales/en.js - English bot copy (the default locale)
+//
+// Messages are handlebars templates; the variables each one can use are
+// declared in variables.js. Edits are picked up without a restart. Keys
+// missing from another locale fall back to the English text. Command words
+// (START, PAID, HELP...) stay in English in every locale because that's what
+// the intent recognizer knows.
+module.exports = {
+  language: 'English',
+  // Names for the LANGUAGE command; codes of 2-3 letters only count right
+  // after LANGUAGE (see MessageCatalog.parseLocale)
+  aliases: ['english', 'en', 'eng', 'angrezi', 'अंग्रेज़ी', 'अंग्रेजी', '영어'],
+
+  messages: {
+    // Conversation
+    welcome: `✨ Welcome to Korean Color Analysis!
+
+I'm your AI color expert, ready to discover your perfect palette!
+
+🎨 I'll analyze your photo using advanced AI to determine:
+• Your personal season (Spring, Summer, Autumn, Winter)
+• Your best colors and shades
+• Makeup & style recommendations
+• Colors to avoid
+
+Ready to discover your true colors? 💖`,
+    welcomeButton: "Let's Start! ✨",
+    guide: `📸 For the best results, please follow these tips:
+
+✅ DO THIS:
+• Use natural light (near a window)
+• Plain, light background
+• Face the camera directly
+• Remove glasses/hat
+• Minimal or no makeup
+• Keep hair away from face
+
+❌ AVOID:
+• Artificial lighting
+• Colored backgrounds
+• Heavy makeup
+• Shadows on face
+• Blurry photos
+
+Ready to take your perfect selfie?
+
+Reply with:
+1. I'm Ready! 📸`,
+    photoInstructions: `📷 Perfect! Now please send me your selfie.
+
+Remember:
+• Good lighting is key!
+• Face the camera
+• Plain background
+• Clear, unblurry photo
+
+I'll analyze your colors as soon as you send it! ✨`,
+    remindPhoto: "I'm waiting for your beautiful selfie! 📸 Please take a clear photo following the guidelines I shared earlier.",
+    rejectPhoto: "Thanks for the photo! But I'm not ready to analyze it yet. Please type 'start' to begin the process properly. ✨",
+    unsupportedMessage: "I can help you with Korean color analysis! Please send me a clear selfie or type 'start' to begin. ✨",
+    unknownOption: "I didn't understand that option. Please try again! 🤔",
+    genericError: 'Sorry, I encountered an error. Please try again or contact support. 🙏',
+    replyWithNumber: 'Reply with the number of your choice.',
+
+    // Analysis
+    photoReceived: '📸 Got your beautiful photo! Let me analyze your colors... This will take 30-60 seconds. ✨',
+    stillAnalyzing: "I'm still analyzing your photo... This usually takes 30-60 seconds. Please wait! ✨",
+    analysisError: "Sorry, I couldn't analyze your photo: {{error}}\n\nPlease try with a different photo - make sure it's well-lit and shows your face clearly! 📸",
+    analysisErrorGeneric: 'Sorry, there was an issue processing your photo. Please try sending it again! 📸',
+    photoProblems: {
+      unreadable: "I couldn't open that image — please send your selfie as a regular photo (JPEG or PNG). 📸",
+      tooSmall: 'Your photo is too small for an accurate analysis — please send a full-resolution selfie, not a screenshot or thumbnail. 📸',
+      tooDark: 'Your photo is too dark — try facing a window in daylight and send it again. ☀️',
+      tooBright: 'Your photo is overexposed — step out of direct sunlight or away from the flash and try again. 📸',
+      blurry: 'Your photo is a little blurry — hold the phone steady, tap your face to focus and send it again. 📸',
+      colorCast: 'Your photo has a strong colour tint from the lighting — try natural daylight and a plain background, then send it again. 🎨'
+    },
+    resultsSummary: `🎉 Analysis Complete!
+
+🌟 **You're a {{season}}!**
+
+{{summary}}
+
+**Your undertone:** {{undertone}}`,
+    resultsKeyColors: '🎨 **Your Key Colors:**\n• {{colors}}',
+    resultsCloseToAvoid: '💡 **Good to know:** these key colors sit close to colors to use carefully. Stick to the exact shades above, not their near matches:\n• {{colors}}',
+    resultsNeutrals: '🤍 **Your Best Neutrals:**\n• {{colors}}',
+    resultsRecommendations: `💄 **Quick Recommendations:**
+
+**Makeup Style:** {{makeupVibe}}
+**Best Lipstick:** {{lipstick}}
+**Hair Colors:** {{hairColors}}
+**Jewelry:** {{jewelry}}`,
+    resultsAvoid: '⚠️ **Colors to Use Carefully:**\n• {{colors}}',
+    resultsOptions: 'What would you like to do next? 💖',
+    resultsOptionsButton: 'See options',
+    optionPdfTitle: '📄 Get Style Guide',
+    optionPdfDescription: '15-page PDF with detailed recommendations - {{price}}',
+    optionNewTitle: '🔄 Analyze Another Photo',
+    optionNewDescription: 'Start fresh with a new selfie',
+    optionShareTitle: '📱 Share My Results',
+    optionShareDescription: 'Share your color season with friends',
+    resetAnalysis: "Let's start fresh! 🌟 Ready for your new color analysis?",
+    shareRequiresAnalysis: "Please complete your analysis first! Type 'start' to begin. ✨",
+    shareText: `🎨 I just discovered I'm a {{season}}!
+
+✨ Want to find your perfect colors too?
+💬 Message this number for your free Korean Color Analysis!
+
+#ColorAnalysis #KoreanColorAnalysis #PersonalColors`,
+    shareIntro: "Here's a message you can share with friends: 📱\n\n{{shareText}}",
+
+    // Style guide purchase
+    pdfRequiresAnalysis: "Please complete your color analysis first before purchasing the PDF guide! Type 'start' to begin. ✨",
+    pdfOffer: `📚 **Complete Style Guide - {{price}}**
+
+Get your personalized 15-page PDF including:
+• Complete color palettes with hex codes
+• Specific makeup brand recommendations
+• Hair color suggestions with examples
+• Fashion styling tips
+• Printable wallet-sized color card
+• Shopping guides for different budgets
+
+This one-time payment gives you everything you need to transform your style! 💫`,
+    pdfPaymentLink: "💳 **Pay securely here:** {{link}}\n\nAfter payment, I'll send your complete PDF guide instantly! ✨",
+    pdfPaidButton: "I've Paid ✅",
+    paymentLinkError: 'Sorry, there was an issue creating your payment link. Please try again in a moment.',
+    remindPayment: "Please complete your payment to receive the complete style guide. If you've already paid, type 'paid' to check status. 💳",
+    checkingPayment: 'Checking your payment status... Please wait a moment! 🔄',
+    paymentNotVerified: "I couldn't verify your payment yet. Please try again in a few minutes or contact support if you've already paid. 🙏",
+    paymentCheckError: 'There was an error checking your payment. Please contact support. 🙏',
+    paymentSuccessful: "🎉 Payment successful! Your complete style guide is being prepared. You'll receive it within the next few minutes!",
+    guidePending: "Your payment is confirmed and your style guide is on its way! If it hasn't arrived in a few minutes, type 'paid'. 💖",
+    guideGenerating: '🎉 Payment confirmed! Generating your complete style guide... This will take about 30 seconds.',
+    guideReady: `📚 Your complete Korean Color Analysis guide is ready!
+
+Download it here: {{link}}
+
+This link will be valid for {{days}} days. Save it to your device!
+
+Thank you for choosing us! If you love your results, please share with friends! 💖`,
+    guideDeliveryError: "🎉 Your payment was received! We had trouble preparing your guide automatically — type 'paid' and I'll try again. 🙏",
+    guideNotFound: "I couldn't find a paid style guide for this number. Please contact support if you think this is a mistake. 🙏",
+    guideLinkResent: `📚 Here's a fresh link to your style guide: {{link}}
+
+This link will be valid for {{days}} days. Save it to your device! 💖`,
+    guideLinkError: "Sorry, I couldn't create a new link right now. Please try again in a moment. 🙏",
+
+    // Commands
+    help: `💡 {{stepHelp}}
+
+You can also type:
+• STATUS - your season and payment
+• RESTART - start a new analysis
+• LANGUAGE - change the language
+• STOP - no more updates from us
+• MY DATA - download everything we store about you
+• DELETE MY DATA - erase everything we store about you`,
+    stepHelp: {
+      initial: 'Send me any message to start your free color analysis.',
+      welcome: 'Send me any message to start your free color analysis.',
+      guide_shown: "Type READY (or 1) when you're ready to send your selfie.",
+      waiting_for_photo: "Send me a clear, well-lit selfie without filters and I'll analyze your colors.",
+      analyzing: "I'm analyzing your photo. Results usually arrive within a minute.",
+      results_shown: 'Reply 1 for your full PDF style guide, 2 to analyze another photo or 3 to share your results.',
+      payment_pending: 'Complete the payment using the link I sent, then type PAID.',
+      payment_completed: "Your payment is confirmed and your guide is being prepared. Type PAID if it hasn't arrived in a few minutes.",
+      completed: 'Your guide has been delivered. Type RESEND for a fresh download link or NEW for another analysis.'
+    },
+    status: `📋 Your status
+
+🎨 Season: {{season}}
+💳 Style guide: {{paymentStatus}}
+🔔 Updates: {{updates}}
+
+Type HELP to see what you can do next.`,
+    statusNotAnalyzed: 'Not analyzed yet',
+    paymentStatusNone: 'Not purchased yet',
+    paymentStatusDelivered: 'Paid - guide delivered (type RESEND for a new link)',
+    paymentStatusPreparing: 'Paid - guide being prepared',
+    paymentStatusFailed: 'Last payment failed',
+    paymentStatusWaiting: 'Waiting for payment',
+    updatesOn: 'On',
+    updatesOff: 'Off (type RESUME to turn on)',
+    optedOut: "You won't receive any more updates or reminders from us. I'll still reply when you message me and send anything you've paid for. Type RESUME to turn updates back on. 👋",
+    optedIn: 'Updates are back on! 🔔',
+    languageChanged: "Done! I'll talk to you in English from now on. 🌏",
+    languagePrompt: `🌏 Which language would you like?
+
+• LANGUAGE ENGLISH
+• LANGUAGE HINDI - हिंदी
+• LANGUAGE KOREAN - 한국어`,
+    dataExport: `📦 Here's a copy of everything we store about you:
+
+Full data (JSON): {{link}}
+Readable summary: {{link}}?format=txt
+
+These links are valid for 24 hours. Please don't share them - they contain your personal data. 🔒`,
+    deleteConfirm: `⚠️ This will permanently delete your analysis, your style guide and your payment records from our service.
+
+Reply DELETE within 10 minutes to confirm.`,
+    deleteNeedsRequest: 'To erase your data, first send DELETE MY DATA. 🙏',
+    deleteDone: "✅ Your data has been deleted. If you message me again, we'll start from scratch. Take care! 💖"
+  }
+};
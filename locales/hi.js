@@ -0,0 +1,198 @@
+// locales/hi.js - Hindi bot copy
+module.exports = {
+  language: 'Hindi',
+  aliases: ['hindi', 'hi', 'हिंदी', 'हिन्दी'],
+
+  messages: {
+    // Conversation
+    welcome: `✨ Korean Color Analysis में आपका स्वागत है!
+
+मैं आपकी AI कलर एक्सपर्ट हूँ, आपका परफ़ेक्ट कलर पैलेट ढूँढने के लिए तैयार!
+
+🎨 मैं आपकी फ़ोटो का AI से विश्लेषण करके बताऊँगी:
+• आपका पर्सनल सीज़न (Spring, Summer, Autumn, Winter)
+• आपके सबसे अच्छे रंग और शेड्स
+• मेकअप और स्टाइल सुझाव
+• कौन से रंग न पहनें
+
+अपने असली रंग जानने के लिए तैयार हैं? 💖`,
+    welcomeButton: 'शुरू करें! ✨',
+    guide: `📸 सबसे अच्छे नतीजों के लिए ये टिप्स अपनाएँ:
+
+✅ ऐसा करें:
+• प्राकृतिक रोशनी में (खिड़की के पास)
+• सादा, हल्के रंग का बैकग्राउंड
+• सीधे कैमरे की ओर देखें
+• चश्मा/टोपी हटा दें
+• कम या बिना मेकअप
+• बाल चेहरे से दूर रखें
+
+❌ इनसे बचें:
+• आर्टिफ़िशियल लाइट
+• रंगीन बैकग्राउंड
+• भारी मेकअप
+• चेहरे पर परछाईं
+• धुंधली फ़ोटो
+
+अपनी परफ़ेक्ट सेल्फ़ी लेने के लिए तैयार हैं?
+
+जवाब दें:
+1. मैं तैयार हूँ! 📸`,
+    photoInstructions: `📷 बढ़िया! अब मुझे अपनी सेल्फ़ी भेजें।
+
+याद रखें:
+• अच्छी रोशनी सबसे ज़रूरी है!
+• कैमरे की ओर देखें
+• सादा बैकग्राउंड
+• साफ़, बिना धुंधली फ़ोटो
+
+फ़ोटो मिलते ही मैं आपके रंगों का विश्लेषण शुरू कर दूँगी! ✨`,
+    remindPhoto: 'मैं आपकी खूबसूरत सेल्फ़ी का इंतज़ार कर रही हूँ! 📸 कृपया ऊपर दिए गए टिप्स के अनुसार एक साफ़ फ़ोटो लें।',
+    rejectPhoto: "फ़ोटो के लिए धन्यवाद! लेकिन अभी मैं इसका विश्लेषण नहीं कर सकती। सही तरीके से शुरू करने के लिए 'start' टाइप करें। ✨",
+    unsupportedMessage: "मैं Korean color analysis में आपकी मदद कर सकती हूँ! एक साफ़ सेल्फ़ी भेजें या शुरू करने के लिए 'start' टाइप करें। ✨",
+    unknownOption: 'यह विकल्प मुझे समझ नहीं आया। कृपया फिर से कोशिश करें! 🤔',
+    genericError: 'माफ़ कीजिए, कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें या सपोर्ट से संपर्क करें। 🙏',
+    replyWithNumber: 'अपनी पसंद का नंबर लिखकर जवाब दें।',
+
+    // Analysis
+    photoReceived: '📸 आपकी खूबसूरत फ़ोटो मिल गई! आपके रंगों का विश्लेषण कर रही हूँ... इसमें 30-60 सेकंड लगेंगे। ✨',
+    stillAnalyzing: 'मैं अभी भी आपकी फ़ोटो का विश्लेषण कर रही हूँ... आमतौर पर 30-60 सेकंड लगते हैं। कृपया थोड़ा इंतज़ार करें! ✨',
+    analysisError: 'माफ़ कीजिए, मैं आपकी फ़ोटो का विश्लेषण नहीं कर पाई: {{error}}\n\nकृपया दूसरी फ़ोटो भेजें - ध्यान रखें कि रोशनी अच्छी हो और चेहरा साफ़ दिखे! 📸',
+    analysisErrorGeneric: 'माफ़ कीजिए, आपकी फ़ोटो प्रोसेस करने में समस्या हुई। कृपया इसे फिर से भेजें! 📸',
+    photoProblems: {
+      unreadable: 'मैं यह इमेज खोल नहीं पाई — कृपया अपनी सेल्फ़ी सामान्य फ़ोटो (JPEG या PNG) के रूप में भेजें। 📸',
+      tooSmall: 'सही विश्लेषण के लिए आपकी फ़ोटो बहुत छोटी है — कृपया स्क्रीनशॉट या थंबनेल नहीं, पूरी रिज़ॉल्यूशन वाली सेल्फ़ी भेजें। 📸',
+      tooDark: 'आपकी फ़ोटो बहुत अंधेरी है — दिन की रोशनी में खिड़की की ओर मुँह करके फिर से भेजें। ☀️',
+      tooBright: 'आपकी फ़ोटो में रोशनी बहुत ज़्यादा है — सीधी धूप या फ़्लैश से हटकर फिर से कोशिश करें। 📸',
+      blurry: 'आपकी फ़ोटो थोड़ी धुंधली है — फ़ोन स्थिर रखें, फ़ोकस के लिए स्क्रीन पर अपने चेहरे को टैप करें और फिर से भेजें। 📸',
+      colorCast: 'रोशनी की वजह से आपकी फ़ोटो में रंग की गहरी झलक है — प्राकृतिक रोशनी और सादे बैकग्राउंड में फिर से भेजें। 🎨'
+    },
+    resultsSummary: `🎉 विश्लेषण पूरा हुआ!
+
+🌟 **आप {{season}} हैं!**
+
+{{summary}}
+
+**आपका अंडरटोन:** {{undertone}}`,
+    resultsKeyColors: '🎨 **आपके मुख्य रंग:**\n• {{colors}}',
+    resultsCloseToAvoid: '💡 **ध्यान दें:** ये मुख्य रंग उन रंगों के काफ़ी करीब हैं जिनका ध्यान से इस्तेमाल करना है। ऊपर दिए गए सटीक शेड ही चुनें, उनसे मिलते-जुलते नहीं:\n• {{colors}}',
+    resultsNeutrals: '🤍 **आपके सबसे अच्छे न्यूट्रल रंग:**\n• {{colors}}',
+    resultsRecommendations: `💄 **कुछ ज़रूरी सुझाव:**
+
+**मेकअप स्टाइल:** {{makeupVibe}}
+**सबसे अच्छी लिपस्टिक:** {{lipstick}}
+**बालों के रंग:** {{hairColors}}
+**ज्वेलरी:** {{jewelry}}`,
+    resultsAvoid: '⚠️ **इन रंगों का ध्यान से इस्तेमाल करें:**\n• {{colors}}',
+    resultsOptions: 'अब आप क्या करना चाहेंगे? 💖',
+    resultsOptionsButton: 'विकल्प देखें',
+    optionPdfTitle: '📄 स्टाइल गाइड पाएँ',
+    optionPdfDescription: 'विस्तृत सुझावों वाली 15 पेज की PDF - {{price}}',
+    optionNewTitle: '🔄 दूसरी फ़ोटो जाँचें',
+    optionNewDescription: 'नई सेल्फ़ी के साथ फिर से शुरू करें',
+    optionShareTitle: '📱 नतीजे शेयर करें',
+    optionShareDescription: 'अपना कलर सीज़न दोस्तों के साथ शेयर करें',
+    resetAnalysis: 'चलिए नए सिरे से शुरू करते हैं! 🌟 नए कलर एनालिसिस के लिए तैयार हैं?',
+    shareRequiresAnalysis: "पहले अपना विश्लेषण पूरा करें! शुरू करने के लिए 'start' टाइप करें। ✨",
+    shareText: `🎨 मुझे अभी पता चला कि मैं {{season}} हूँ!
+
+✨ क्या आप भी अपने परफ़ेक्ट रंग जानना चाहते हैं?
+💬 अपने मुफ़्त Korean Color Analysis के लिए इस नंबर पर मैसेज करें!
+
+#ColorAnalysis #KoreanColorAnalysis #PersonalColors`,
+    shareIntro: 'यह मैसेज आप अपने दोस्तों के साथ शेयर कर सकते हैं: 📱\n\n{{shareText}}',
+
+    // Style guide purchase
+    pdfRequiresAnalysis: "PDF गाइड खरीदने से पहले अपना कलर एनालिसिस पूरा करें! शुरू करने के लिए 'start' टाइप करें। ✨",
+    pdfOffer: `📚 **पूरी स्टाइल गाइड - {{price}}**
+
+आपकी पर्सनल 15 पेज की PDF में शामिल है:
+• हेक्स कोड के साथ पूरे कलर पैलेट
+• खास मेकअप ब्रैंड सुझाव
+• उदाहरणों के साथ बालों के रंग के सुझाव
+• फ़ैशन स्टाइलिंग टिप्स
+• प्रिंट करने लायक वॉलेट-साइज़ कलर कार्ड
+• अलग-अलग बजट के लिए शॉपिंग गाइड
+
+एक बार के भुगतान में अपना स्टाइल बदलने के लिए सब कुछ! 💫`,
+    pdfPaymentLink: '💳 **यहाँ सुरक्षित भुगतान करें:** {{link}}\n\nभुगतान के तुरंत बाद मैं आपको पूरी PDF गाइड भेज दूँगी! ✨',
+    pdfPaidButton: 'मैंने भुगतान किया ✅',
+    paymentLinkError: 'माफ़ कीजिए, आपका पेमेंट लिंक बनाने में समस्या हुई। कृपया थोड़ी देर में फिर से कोशिश करें।',
+    remindPayment: "पूरी स्टाइल गाइड पाने के लिए कृपया अपना भुगतान पूरा करें। अगर आप भुगतान कर चुके हैं, तो स्टेटस देखने के लिए 'paid' टाइप करें। 💳",
+    checkingPayment: 'आपके भुगतान का स्टेटस देख रही हूँ... कृपया एक पल रुकें! 🔄',
+    paymentNotVerified: 'मैं अभी आपके भुगतान की पुष्टि नहीं कर पाई। कृपया कुछ मिनट बाद फिर से कोशिश करें, या अगर आप भुगतान कर चुके हैं तो सपोर्ट से संपर्क करें। 🙏',
+    paymentCheckError: 'आपका भुगतान जाँचने में समस्या हुई। कृपया सपोर्ट से संपर्क करें। 🙏',
+    paymentSuccessful: '🎉 भुगतान सफल रहा! आपकी पूरी स्टाइल गाइड तैयार हो रही है। अगले कुछ मिनटों में यह आपको मिल जाएगी!',
+    guidePending: "आपके भुगतान की पुष्टि हो गई है और आपकी स्टाइल गाइड रास्ते में है! अगर कुछ मिनटों में न मिले, तो 'paid' टाइप करें। 💖",
+    guideGenerating: '🎉 भुगतान की पुष्टि हो गई! आपकी पूरी स्टाइल गाइड बन रही है... इसमें लगभग 30 सेकंड लगेंगे।',
+    guideReady: `📚 आपकी पूरी Korean Color Analysis गाइड तैयार है!
+
+यहाँ से डाउनलोड करें: {{link}}
+
+यह लिंक {{days}} दिनों तक काम करेगा। इसे अपने फ़ोन में सेव कर लें!
+
+हमें चुनने के लिए धन्यवाद! अगर आपको नतीजे पसंद आए हों, तो दोस्तों के साथ ज़रूर शेयर करें! 💖`,
+    guideDeliveryError: "🎉 आपका भुगतान मिल गया है! आपकी गाइड अपने-आप तैयार करने में दिक्कत आई — 'paid' टाइप करें, मैं फिर से कोशिश करूँगी। 🙏",
+    guideNotFound: 'इस नंबर के लिए कोई खरीदी गई स्टाइल गाइड नहीं मिली। अगर आपको लगता है कि यह गलती है, तो सपोर्ट से संपर्क करें। 🙏',
+    guideLinkResent: `📚 आपकी स्टाइल गाइड का नया लिंक: {{link}}
+
+यह लिंक {{days}} दिनों तक काम करेगा। इसे अपने फ़ोन में सेव कर लें! 💖`,
+    guideLinkError: 'माफ़ कीजिए, अभी नया लिंक नहीं बन पाया। कृपया थोड़ी देर में फिर से कोशिश करें। 🙏',
+
+    // Commands
+    help: `💡 {{stepHelp}}
+
+आप ये भी टाइप कर सकते हैं:
+• STATUS - आपका सीज़न और भुगतान
+• RESTART - नया विश्लेषण शुरू करें
+• LANGUAGE - भाषा बदलें
+• STOP - हमसे अपडेट बंद करें
+• MY DATA - आपके बारे में सेव सारा डेटा डाउनलोड करें
+• DELETE MY DATA - आपके बारे में सेव सारा डेटा मिटाएँ`,
+    stepHelp: {
+      initial: 'अपना मुफ़्त कलर एनालिसिस शुरू करने के लिए कोई भी मैसेज भेजें।',
+      welcome: 'अपना मुफ़्त कलर एनालिसिस शुरू करने के लिए कोई भी मैसेज भेजें।',
+      guide_shown: 'सेल्फ़ी भेजने के लिए तैयार हों तो READY (या 1) टाइप करें।',
+      waiting_for_photo: 'बिना फ़िल्टर वाली, अच्छी रोशनी में ली गई साफ़ सेल्फ़ी भेजें, मैं आपके रंगों का विश्लेषण करूँगी।',
+      analyzing: 'मैं आपकी फ़ोटो का विश्लेषण कर रही हूँ। नतीजे आमतौर पर एक मिनट में आ जाते हैं।',
+      results_shown: 'पूरी PDF स्टाइल गाइड के लिए 1, दूसरी फ़ोटो के लिए 2 या नतीजे शेयर करने के लिए 3 लिखें।',
+      payment_pending: 'मेरे भेजे लिंक से भुगतान पूरा करें, फिर PAID टाइप करें।',
+      payment_completed: 'आपके भुगतान की पुष्टि हो गई है और गाइड तैयार हो रही है। कुछ मिनटों में न मिले तो PAID टाइप करें।',
+      completed: 'आपकी गाइड भेज दी गई है। नए डाउनलोड लिंक के लिए RESEND या नए विश्लेषण के लिए NEW टाइप करें।'
+    },
+    status: `📋 आपका स्टेटस
+
+🎨 सीज़न: {{season}}
+💳 स्टाइल गाइड: {{paymentStatus}}
+🔔 अपडेट: {{updates}}
+
+आगे क्या कर सकते हैं, यह जानने के लिए HELP टाइप करें।`,
+    statusNotAnalyzed: 'अभी विश्लेषण नहीं हुआ',
+    paymentStatusNone: 'अभी नहीं खरीदी',
+    paymentStatusDelivered: 'भुगतान हो गया - गाइड भेज दी गई (नए लिंक के लिए RESEND टाइप करें)',
+    paymentStatusPreparing: 'भुगतान हो गया - गाइड तैयार हो रही है',
+    paymentStatusFailed: 'पिछला भुगतान असफल रहा',
+    paymentStatusWaiting: 'भुगतान का इंतज़ार है',
+    updatesOn: 'चालू',
+    updatesOff: 'बंद (चालू करने के लिए RESUME टाइप करें)',
+    optedOut: 'अब आपको हमसे कोई अपडेट या रिमाइंडर नहीं मिलेगा। आपके मैसेज का जवाब और आपकी ख़रीदी हुई गाइड मैं फिर भी भेजूँगी। अपडेट फिर से चालू करने के लिए RESUME टाइप करें। 👋',
+    optedIn: 'अपडेट फिर से चालू हो गए! 🔔',
+    languageChanged: 'हो गया! अब से मैं आपसे हिंदी में बात करूँगी। 🌏',
+    languagePrompt: `🌏 आप कौन सी भाषा चाहेंगे?
+
+• LANGUAGE ENGLISH - English
+• LANGUAGE HINDI - हिंदी
+• LANGUAGE KOREAN - 한국어`,
+    dataExport: `📦 हमारे पास आपका जो भी डेटा सेव है, उसकी कॉपी:
+
+पूरा डेटा (JSON): {{link}}
+पढ़ने लायक सारांश: {{link}}?format=txt
+
+ये लिंक 24 घंटे तक काम करेंगे। कृपया इन्हें किसी से शेयर न करें - इनमें आपका निजी डेटा है। 🔒`,
+    deleteConfirm: `⚠️ इससे आपका विश्लेषण, आपकी स्टाइल गाइड और आपके भुगतान रिकॉर्ड हमारी सर्विस से हमेशा के लिए मिट जाएँगे।
+
+पुष्टि करने के लिए 10 मिनट के अंदर DELETE लिखकर जवाब दें।`,
+    deleteNeedsRequest: 'अपना डेटा मिटाने के लिए पहले DELETE MY DATA भेजें। 🙏',
+    deleteDone: '✅ आपका डेटा मिटा दिया गया है। अगर आप फिर से मैसेज करेंगे, तो हम शुरुआत से शुरू करेंगे। अपना ख्याल रखें! 💖'
+  }
+};
@@ -0,0 +1,198 @@
+// locales/ko.js - Korean bot copy
+module.exports = {
+  language: 'Korean',
+  aliases: ['korean', 'ko', 'kr', 'hangul', '한국어', '한국말', '코리안'],
+
+  messages: {
+    // Conversation
+    welcome: `✨ 퍼스널 컬러 분석에 오신 것을 환영해요!
+
+저는 당신에게 꼭 맞는 컬러 팔레트를 찾아 줄 AI 컬러 전문가예요!
+
+🎨 사진을 AI로 분석해서 알려 드려요:
+• 퍼스널 시즌 (봄, 여름, 가을, 겨울)
+• 가장 잘 어울리는 컬러와 톤
+• 메이크업 & 스타일 추천
+• 피해야 할 컬러
+
+나만의 컬러를 찾아볼 준비 되셨나요? 💖`,
+    welcomeButton: '시작하기! ✨',
+    guide: `📸 정확한 분석을 위해 이렇게 찍어 주세요:
+
+✅ 이렇게 해 주세요:
+• 자연광에서 촬영 (창가 근처)
+• 밝고 단순한 배경
+• 카메라를 정면으로 바라보기
+• 안경/모자 벗기
+• 메이크업은 최소한으로
+• 머리카락이 얼굴을 가리지 않게
+
+❌ 피해 주세요:
+• 인공 조명
+• 색이 있는 배경
+• 진한 메이크업
+• 얼굴의 그림자
+• 흐릿한 사진
+
+완벽한 셀카를 찍을 준비 되셨나요?
+
+답장해 주세요:
+1. 준비됐어요! 📸`,
+    photoInstructions: `📷 좋아요! 이제 셀카를 보내 주세요.
+
+기억하세요:
+• 조명이 가장 중요해요!
+• 카메라 정면 바라보기
+• 단순한 배경
+• 흔들리지 않은 선명한 사진
+
+사진을 받는 즉시 컬러를 분석해 드릴게요! ✨`,
+    remindPhoto: '멋진 셀카를 기다리고 있어요! 📸 앞서 안내해 드린 방법대로 선명한 사진을 찍어 주세요.',
+    rejectPhoto: "사진 감사해요! 하지만 아직 분석할 단계가 아니에요. 처음부터 시작하려면 'start'를 입력해 주세요. ✨",
+    unsupportedMessage: "퍼스널 컬러 분석을 도와드릴 수 있어요! 선명한 셀카를 보내거나 'start'를 입력해 시작해 주세요. ✨",
+    unknownOption: '선택하신 항목을 이해하지 못했어요. 다시 시도해 주세요! 🤔',
+    genericError: '죄송해요, 오류가 발생했어요. 다시 시도하시거나 고객센터에 문의해 주세요. 🙏',
+    replyWithNumber: '원하시는 번호로 답장해 주세요.',
+
+    // Analysis
+    photoReceived: '📸 멋진 사진 잘 받았어요! 컬러를 분석하고 있어요... 30-60초 정도 걸려요. ✨',
+    stillAnalyzing: '아직 사진을 분석하고 있어요... 보통 30-60초 정도 걸려요. 조금만 기다려 주세요! ✨',
+    analysisError: '죄송해요, 사진을 분석하지 못했어요: {{error}}\n\n다른 사진으로 다시 시도해 주세요 - 밝은 곳에서 얼굴이 잘 보이게 찍어 주세요! 📸',
+    analysisErrorGeneric: '죄송해요, 사진을 처리하는 중에 문제가 생겼어요. 다시 보내 주세요! 📸',
+    photoProblems: {
+      unreadable: '이미지를 열 수 없어요 — 셀카를 일반 사진(JPEG 또는 PNG)으로 보내 주세요. 📸',
+      tooSmall: '정확한 분석을 하기에는 사진이 너무 작아요 — 스크린샷이나 썸네일 말고 원본 해상도의 셀카를 보내 주세요. 📸',
+      tooDark: '사진이 너무 어두워요 — 낮에 창문을 바라보고 다시 찍어 보내 주세요. ☀️',
+      tooBright: '사진이 너무 밝게 찍혔어요 — 직사광선이나 플래시를 피해서 다시 찍어 주세요. 📸',
+      blurry: '사진이 조금 흐릿해요 — 휴대폰을 흔들리지 않게 잡고, 화면에서 얼굴을 눌러 초점을 맞춘 뒤 다시 보내 주세요. 📸',
+      colorCast: '조명 때문에 사진에 색이 강하게 끼어 있어요 — 자연광과 단순한 배경에서 다시 찍어 보내 주세요. 🎨'
+    },
+    resultsSummary: `🎉 분석 완료!
+
+🌟 **당신의 퍼스널 컬러: {{season}}!**
+
+{{summary}}
+
+**언더톤:** {{undertone}}`,
+    resultsKeyColors: '🎨 **나의 베스트 컬러:**\n• {{colors}}',
+    resultsCloseToAvoid: '💡 **참고하세요:** 아래 베스트 컬러는 주의할 컬러와 비슷해요. 비슷한 색 말고 위에 있는 바로 그 색을 골라 주세요:\n• {{colors}}',
+    resultsNeutrals: '🤍 **잘 어울리는 뉴트럴 컬러:**\n• {{colors}}',
+    resultsRecommendations: `💄 **간단 추천:**
+
+**메이크업 스타일:** {{makeupVibe}}
+**추천 립스틱:** {{lipstick}}
+**헤어 컬러:** {{hairColors}}
+**주얼리:** {{jewelry}}`,
+    resultsAvoid: '⚠️ **주의해서 사용할 컬러:**\n• {{colors}}',
+    resultsOptions: '다음으로 무엇을 해 볼까요? 💖',
+    resultsOptionsButton: '옵션 보기',
+    optionPdfTitle: '📄 스타일 가이드 받기',
+    optionPdfDescription: '자세한 추천이 담긴 15페이지 PDF - {{price}}',
+    optionNewTitle: '🔄 다른 사진 분석하기',
+    optionNewDescription: '새 셀카로 다시 시작하기',
+    optionShareTitle: '📱 결과 공유하기',
+    optionShareDescription: '친구들에게 나의 컬러 시즌 공유하기',
+    resetAnalysis: '새로 시작해 볼까요! 🌟 새로운 컬러 분석 준비 되셨나요?',
+    shareRequiresAnalysis: "먼저 분석을 완료해 주세요! 'start'를 입력하면 시작해요. ✨",
+    shareText: `🎨 내 퍼스널 컬러는 바로 {{season}}!
+
+✨ 나에게 딱 맞는 컬러가 궁금하다면?
+💬 이 번호로 메시지를 보내 무료 퍼스널 컬러 분석을 받아 보세요!
+
+#퍼스널컬러 #ColorAnalysis #KoreanColorAnalysis`,
+    shareIntro: '친구들에게 공유할 수 있는 메시지예요: 📱\n\n{{shareText}}',
+
+    // Style guide purchase
+    pdfRequiresAnalysis: "PDF 가이드를 구매하기 전에 컬러 분석을 먼저 완료해 주세요! 'start'를 입력하면 시작해요. ✨",
+    pdfOffer: `📚 **스타일 가이드 풀버전 - {{price}}**
+
+나만을 위한 15페이지 PDF 구성:
+• 헥스 코드가 포함된 전체 컬러 팔레트
+• 구체적인 메이크업 브랜드 추천
+• 예시와 함께하는 헤어 컬러 제안
+• 패션 스타일링 팁
+• 인쇄 가능한 지갑 사이즈 컬러 카드
+• 예산별 쇼핑 가이드
+
+한 번의 결제로 스타일 변신에 필요한 모든 것을 받아 보세요! 💫`,
+    pdfPaymentLink: '💳 **안전하게 결제하기:** {{link}}\n\n결제가 완료되면 바로 PDF 가이드를 보내 드릴게요! ✨',
+    pdfPaidButton: '결제했어요 ✅',
+    paymentLinkError: '죄송해요, 결제 링크를 만드는 중에 문제가 생겼어요. 잠시 후 다시 시도해 주세요.',
+    remindPayment: "스타일 가이드를 받으려면 결제를 완료해 주세요. 이미 결제하셨다면 'paid'를 입력해 상태를 확인해 주세요. 💳",
+    checkingPayment: '결제 상태를 확인하고 있어요... 잠시만 기다려 주세요! 🔄',
+    paymentNotVerified: '아직 결제를 확인하지 못했어요. 몇 분 후 다시 시도해 주시고, 이미 결제하셨다면 고객센터에 문의해 주세요. 🙏',
+    paymentCheckError: '결제를 확인하는 중에 오류가 발생했어요. 고객센터에 문의해 주세요. 🙏',
+    paymentSuccessful: '🎉 결제가 완료됐어요! 스타일 가이드를 준비하고 있어요. 몇 분 안에 받아 보실 수 있어요!',
+    guidePending: "결제가 확인됐고 스타일 가이드가 곧 도착해요! 몇 분이 지나도 오지 않으면 'paid'를 입력해 주세요. 💖",
+    guideGenerating: '🎉 결제가 확인됐어요! 스타일 가이드를 만들고 있어요... 30초 정도 걸려요.',
+    guideReady: `📚 퍼스널 컬러 가이드가 준비됐어요!
+
+여기서 다운로드하세요: {{link}}
+
+이 링크는 {{days}}일 동안 유효해요. 기기에 꼭 저장해 두세요!
+
+이용해 주셔서 감사해요! 결과가 마음에 드셨다면 친구들에게도 공유해 주세요! 💖`,
+    guideDeliveryError: "🎉 결제가 확인됐어요! 가이드를 자동으로 준비하는 중에 문제가 생겼어요 — 'paid'를 입력하시면 다시 시도할게요. 🙏",
+    guideNotFound: '이 번호로 구매한 스타일 가이드를 찾지 못했어요. 오류라고 생각되시면 고객센터에 문의해 주세요. 🙏',
+    guideLinkResent: `📚 스타일 가이드 새 링크예요: {{link}}
+
+이 링크는 {{days}}일 동안 유효해요. 기기에 꼭 저장해 두세요! 💖`,
+    guideLinkError: '죄송해요, 지금은 새 링크를 만들 수 없어요. 잠시 후 다시 시도해 주세요. 🙏',
+
+    // Commands
+    help: `💡 {{stepHelp}}
+
+이런 명령어도 사용할 수 있어요:
+• STATUS - 나의 시즌과 결제 상태
+• RESTART - 새로 분석하기
+• LANGUAGE - 언어 변경
+• STOP - 알림 받지 않기
+• MY DATA - 저장된 내 데이터 다운로드
+• DELETE MY DATA - 저장된 내 데이터 모두 삭제`,
+    stepHelp: {
+      initial: '아무 메시지나 보내면 무료 컬러 분석이 시작돼요.',
+      welcome: '아무 메시지나 보내면 무료 컬러 분석이 시작돼요.',
+      guide_shown: '셀카를 보낼 준비가 되면 READY (또는 1)를 입력해 주세요.',
+      waiting_for_photo: '필터 없이 밝은 곳에서 찍은 선명한 셀카를 보내 주시면 컬러를 분석해 드릴게요.',
+      analyzing: '사진을 분석하고 있어요. 보통 1분 안에 결과가 나와요.',
+      results_shown: 'PDF 스타일 가이드는 1, 다른 사진 분석은 2, 결과 공유는 3을 입력해 주세요.',
+      payment_pending: '보내 드린 링크로 결제를 완료한 뒤 PAID를 입력해 주세요.',
+      payment_completed: '결제가 확인됐고 가이드를 준비하고 있어요. 몇 분이 지나도 오지 않으면 PAID를 입력해 주세요.',
+      completed: '가이드를 보내 드렸어요. 새 다운로드 링크는 RESEND, 새 분석은 NEW를 입력해 주세요.'
+    },
+    status: `📋 나의 상태
+
+🎨 시즌: {{season}}
+💳 스타일 가이드: {{paymentStatus}}
+🔔 알림: {{updates}}
+
+다음에 할 수 있는 일을 보려면 HELP를 입력해 주세요.`,
+    statusNotAnalyzed: '아직 분석 전',
+    paymentStatusNone: '아직 구매 전',
+    paymentStatusDelivered: '결제 완료 - 가이드 전송됨 (새 링크는 RESEND 입력)',
+    paymentStatusPreparing: '결제 완료 - 가이드 준비 중',
+    paymentStatusFailed: '최근 결제 실패',
+    paymentStatusWaiting: '결제 대기 중',
+    updatesOn: '켜짐',
+    updatesOff: '꺼짐 (다시 켜려면 RESUME 입력)',
+    optedOut: '이제 알림이나 리마인더를 보내지 않을게요. 메시지를 보내 주시면 답장은 계속 드리고, 구매하신 가이드도 보내 드려요. 다시 받으려면 RESUME을 입력해 주세요. 👋',
+    optedIn: '알림을 다시 켰어요! 🔔',
+    languageChanged: '완료! 이제부터 한국어로 대화할게요. 🌏',
+    languagePrompt: `🌏 어떤 언어로 대화할까요?
+
+• LANGUAGE ENGLISH - English
+• LANGUAGE HINDI - हिंदी
+• LANGUAGE KOREAN - 한국어`,
+    dataExport: `📦 저장된 내 데이터 사본이에요:
+
+전체 데이터 (JSON): {{link}}
+읽기 쉬운 요약: {{link}}?format=txt
+
+이 링크는 24시간 동안 유효해요. 개인정보가 담겨 있으니 다른 사람과 공유하지 마세요. 🔒`,
+    deleteConfirm: `⚠️ 분석 결과, 스타일 가이드, 결제 기록이 서비스에서 영구적으로 삭제돼요.
+
+확인하려면 10분 안에 DELETE를 입력해 주세요.`,
+    deleteNeedsRequest: '데이터를 삭제하려면 먼저 DELETE MY DATA를 보내 주세요. 🙏',
+    deleteDone: '✅ 데이터가 삭제됐어요. 다시 메시지를 보내시면 처음부터 시작해요. 좋은 하루 보내세요! 💖'
+  }
+};
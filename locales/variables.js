@@ -0,0 +1,30 @@
+// locales/variables.js - Variables the bot passes to each message template
+//
+// Templates may only use the variables declared here; MessageCatalog checks
+// every locale on startup and on reload. Types: 'string', 'number', 'url'.
+module.exports = {
+  // Available in every message
+  common: {
+    name: 'string'
+  },
+
+  messages: {
+    analysisError: { error: 'string' },
+    resultsSummary: { season: 'string', summary: 'string', undertone: 'string' },
+    resultsKeyColors: { colors: 'string' },
+    resultsCloseToAvoid: { colors: 'string' },
+    resultsNeutrals: { colors: 'string' },
+    resultsRecommendations: { makeupVibe: 'string', lipstick: 'string', hairColors: 'string', jewelry: 'string' },
+    resultsAvoid: { colors: 'string' },
+    optionPdfDescription: { price: 'string' },
+    shareText: { season: 'string' },
+    shareIntro: { shareText: 'string' },
+    pdfOffer: { price: 'string' },
+    pdfPaymentLink: { link: 'url' },
+    guideReady: { link: 'url', days: 'number' },
+    guideLinkResent: { link: 'url', days: 'number' },
+    help: { stepHelp: 'string' },
+    status: { season: 'string', paymentStatus: 'string', updates: 'string' },
+    dataExport: { link: 'url' }
+  }
+};
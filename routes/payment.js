@@ -1,459 +1,501 @@
 // routes/payment.js - Payment page handler
 const express = require('express');
-const router = express.Router();
+const MessageCatalog = require('../utils/MessageCatalog');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Builds the payment router around the services it needs, so server.js
+// can mount it with its own instances. Messages are rendered in the user's
+// locale from `messages` (see locales/).
+function createPaymentRouter({ paymentManager, conversationManager, messagingClient, messages = new MessageCatalog() }) {
+  const router = express.Router();
+
+  function sendMessage(phoneNumber, key) {
+    const conversation = conversationManager.getConversation(phoneNumber);
+    const text = messages.t(conversation?.locale, key, { name: conversation?.userInfo?.name || '' });
+
+    return messagingClient.sendTextMessage(phoneNumber, text);
+  }
+
+  // Notifications that aren't a reply to the user's own message; users who
+  // typed STOP don't get them
+  function sendUpdate(phoneNumber, key) {
+    if (conversationManager.isOptedOut(phoneNumber)) {
+      console.log(`🔕 Not sending "${key}" to ${phoneNumber}: opted out`);
+      return Promise.resolve(null);
+    }
 
-// Payment page route
-router.get('/pay/:orderId', async (req, res) => {
-  const { orderId } = req.params;
+    return sendMessage(phoneNumber, key);
+  }
+
+  // Payment page route
+  router.get('/pay/:orderId', async (req, res) => {
+    const { orderId } = req.params;
   
-  try {
-    const paymentData = paymentManager.pendingPayments.get(orderId);
+    try {
+      const paymentData = paymentManager.getPayment(orderId);
     
-    if (!paymentData) {
-      return res.status(404).send('Payment not found');
-    }
+      if (!paymentData) {
+        return res.status(404).send('Payment not found');
+      }
 
-    const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Korean Color Analysis - Payment</title>
-    <script src="https://checkout.razorpay.com/v1/checkout.js"></script>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            background: linear-gradient(135deg, #fdf2f8 0%, #fce7f3 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-        }
-        
-        .container {
-            background: white;
-            border-radius: 24px;
-            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
-            padding: 40px;
-            max-width: 500px;
-            width: 100%;
-            text-align: center;
-        }
-        
-        .header {
-            background: linear-gradient(135deg, #ec4899, #f43f5e);
-            color: white;
-            padding: 30px;
-            border-radius: 16px;
-            margin-bottom: 30px;
-        }
-        
-        .icon {
-            width: 60px;
-            height: 60px;
-            background: rgba(255, 255, 255, 0.2);
-            border-radius: 16px;
-            margin: 0 auto 16px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 24px;
-        }
-        
-        h1 {
-            font-size: 28px;
-            margin-bottom: 8px;
-        }
-        
-        .subtitle {
-            opacity: 0.9;
-            font-size: 16px;
-        }
-        
-        .season-info {
-            background: linear-gradient(135deg, #fdf2f8, #fce7f3);
-            padding: 20px;
-            border-radius: 16px;
-            margin-bottom: 30px;
-            border: 2px solid #f3e8ff;
-        }
-        
-        .season-title {
-            font-size: 20px;
-            font-weight: bold;
-            color: #1f2937;
-            margin-bottom: 8px;
-        }
-        
-        .season-desc {
-            color: #6b7280;
-            font-size: 14px;
-        }
-        
-        .features {
-            text-align: left;
-            margin-bottom: 30px;
-        }
-        
-        .feature {
-            display: flex;
-            align-items: center;
-            margin-bottom: 12px;
-            font-size: 14px;
-            color: #374151;
-        }
-        
-        .feature::before {
-            content: "✨";
-            margin-right: 12px;
-            font-size: 16px;
-        }
-        
-        .amount {
-            font-size: 48px;
-            font-weight: bold;
-            color: #1f2937;
-            margin-bottom: 8px;
-        }
-        
-        .amount-desc {
-            color: #6b7280;
-            margin-bottom: 30px;
-        }
-        
-        .pay-btn {
-            background: linear-gradient(135deg, #ec4899, #f43f5e);
-            color: white;
-            border: none;
-            padding: 16px 32px;
-            border-radius: 16px;
-            font-size: 18px;
-            font-weight: bold;
-            cursor: pointer;
-            width: 100%;
-            margin-bottom: 16px;
-            transition: transform 0.2s;
-        }
-        
-        .pay-btn:hover {
-            transform: translateY(-2px);
-        }
-        
-        .pay-btn:disabled {
-            opacity: 0.6;
-            cursor: not-allowed;
-            transform: none;
-        }
-        
-        .security {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: #6b7280;
-            font-size: 12px;
-            margin-top: 16px;
-        }
-        
-        .security::before {
-            content: "🔒";
-            margin-right: 8px;
-        }
-        
-        .whatsapp-link {
-            margin-top: 20px;
-            color: #ec4899;
-            text-decoration: none;
-            font-size: 14px;
-        }
-        
-        .whatsapp-link:hover {
-            text-decoration: underline;
-        }
-        
-        @media (max-width: 768px) {
-            .container {
-                padding: 24px;
-            }
+      const html = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Korean Color Analysis - Payment</title>
+      <script src="https://checkout.razorpay.com/v1/checkout.js"></script>
+      <style>
+          * {
+              margin: 0;
+              padding: 0;
+              box-sizing: border-box;
+          }
+        
+          body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              background: linear-gradient(135deg, #fdf2f8 0%, #fce7f3 100%);
+              min-height: 100vh;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              padding: 20px;
+          }
+        
+          .container {
+              background: white;
+              border-radius: 24px;
+              box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+              padding: 40px;
+              max-width: 500px;
+              width: 100%;
+              text-align: center;
+          }
+        
+          .header {
+              background: linear-gradient(135deg, #ec4899, #f43f5e);
+              color: white;
+              padding: 30px;
+              border-radius: 16px;
+              margin-bottom: 30px;
+          }
+        
+          .icon {
+              width: 60px;
+              height: 60px;
+              background: rgba(255, 255, 255, 0.2);
+              border-radius: 16px;
+              margin: 0 auto 16px;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              font-size: 24px;
+          }
+        
+          h1 {
+              font-size: 28px;
+              margin-bottom: 8px;
+          }
+        
+          .subtitle {
+              opacity: 0.9;
+              font-size: 16px;
+          }
+        
+          .season-info {
+              background: linear-gradient(135deg, #fdf2f8, #fce7f3);
+              padding: 20px;
+              border-radius: 16px;
+              margin-bottom: 30px;
+              border: 2px solid #f3e8ff;
+          }
+        
+          .season-title {
+              font-size: 20px;
+              font-weight: bold;
+              color: #1f2937;
+              margin-bottom: 8px;
+          }
+        
+          .season-desc {
+              color: #6b7280;
+              font-size: 14px;
+          }
+        
+          .features {
+              text-align: left;
+              margin-bottom: 30px;
+          }
+        
+          .feature {
+              display: flex;
+              align-items: center;
+              margin-bottom: 12px;
+              font-size: 14px;
+              color: #374151;
+          }
+        
+          .feature::before {
+              content: "✨";
+              margin-right: 12px;
+              font-size: 16px;
+          }
+        
+          .amount {
+              font-size: 48px;
+              font-weight: bold;
+              color: #1f2937;
+              margin-bottom: 8px;
+          }
+        
+          .amount-desc {
+              color: #6b7280;
+              margin-bottom: 30px;
+          }
+        
+          .pay-btn {
+              background: linear-gradient(135deg, #ec4899, #f43f5e);
+              color: white;
+              border: none;
+              padding: 16px 32px;
+              border-radius: 16px;
+              font-size: 18px;
+              font-weight: bold;
+              cursor: pointer;
+              width: 100%;
+              margin-bottom: 16px;
+              transition: transform 0.2s;
+          }
+        
+          .pay-btn:hover {
+              transform: translateY(-2px);
+          }
+        
+          .pay-btn:disabled {
+              opacity: 0.6;
+              cursor: not-allowed;
+              transform: none;
+          }
+        
+          .security {
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              color: #6b7280;
+              font-size: 12px;
+              margin-top: 16px;
+          }
+        
+          .security::before {
+              content: "🔒";
+              margin-right: 8px;
+          }
+        
+          .whatsapp-link {
+              margin-top: 20px;
+              color: #ec4899;
+              text-decoration: none;
+              font-size: 14px;
+          }
+        
+          .whatsapp-link:hover {
+              text-decoration: underline;
+          }
+        
+          @media (max-width: 768px) {
+              .container {
+                  padding: 24px;
+              }
             
-            .header {
-                padding: 24px;
-            }
+              .header {
+                  padding: 24px;
+              }
             
-            .amount {
-                font-size: 36px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="icon">🎨</div>
-            <h1>Complete Style Guide</h1>
-            <p class="subtitle">Your personalized color analysis</p>
-        </div>
-        
-        <div class="season-info">
-            <div class="season-title">You're a ${paymentData.analysis.personal_profile.season}!</div>
-            <div class="season-desc">${paymentData.analysis.personal_profile.summary}</div>
-        </div>
-        
-        <div class="features">
-            <div class="feature">15-page detailed style guide</div>
-            <div class="feature">Complete color palettes with hex codes</div>
-            <div class="feature">Makeup brand recommendations</div>
-            <div class="feature">Hair color suggestions with examples</div>
-            <div class="feature">Fashion styling tips</div>
-            <div class="feature">Printable wallet-sized color card</div>
-        </div>
-        
-        <div class="amount">₹699</div>
-        <p class="amount-desc">One-time payment • Instant delivery</p>
-        
-        <button class="pay-btn" onclick="makePayment()" id="payBtn">
-            💳 Pay Securely with Razorpay
-        </button>
-        
-        <div class="security">Secured by Razorpay • 100% Safe</div>
-        
-        <a href="https://wa.me/${process.env.WHATSAPP_PHONE_NUMBER}" class="whatsapp-link">
-            ← Return to WhatsApp chat
-        </a>
-    </div>
-
-    <script>
-        function makePayment() {
-            const btn = document.getElementById('payBtn');
-            btn.disabled = true;
-            btn.textContent = 'Processing...';
+              .amount {
+                  font-size: 36px;
+              }
+          }
+      </style>
+  </head>
+  <body>
+      <div class="container">
+          <div class="header">
+              <div class="icon">🎨</div>
+              <h1>Complete Style Guide</h1>
+              <p class="subtitle">Your personalized color analysis</p>
+          </div>
+        
+          <div class="season-info">
+              <div class="season-title">You're a ${escapeHtml(paymentData.analysis.personal_profile.season)}!</div>
+              <div class="season-desc">${escapeHtml(paymentData.analysis.personal_profile.summary)}</div>
+          </div>
+        
+          <div class="features">
+              <div class="feature">15-page detailed style guide</div>
+              <div class="feature">Complete color palettes with hex codes</div>
+              <div class="feature">Makeup brand recommendations</div>
+              <div class="feature">Hair color suggestions with examples</div>
+              <div class="feature">Fashion styling tips</div>
+              <div class="feature">Printable wallet-sized color card</div>
+          </div>
+        
+          <div class="amount">${escapeHtml(paymentManager.getDisplayPrice())}</div>
+          <p class="amount-desc">One-time payment • Instant delivery</p>
+        
+          <button class="pay-btn" onclick="makePayment()" id="payBtn">
+              💳 Pay Securely with Razorpay
+          </button>
+        
+          <div class="security">Secured by Razorpay • 100% Safe</div>
+        
+          <a href="https://wa.me/${process.env.WHATSAPP_PHONE_NUMBER}" class="whatsapp-link">
+              ← Return to WhatsApp chat
+          </a>
+      </div>
+
+      <script>
+          function makePayment() {
+              const btn = document.getElementById('payBtn');
+              btn.disabled = true;
+              btn.textContent = 'Processing...';
             
-            const options = {
-                key: '${process.env.NEXT_PUBLIC_RAZORPAY_KEY_ID}',
-                amount: ${paymentData.amount},
-                currency: 'INR',
-                name: 'Korean Color Analysis',
-                description: 'Complete Style Guide PDF',
-                order_id: '${orderId}',
-                handler: function (response) {
-                    // Verify payment
-                    fetch('/api/verify-payment', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify({
-                            razorpay_order_id: response.razorpay_order_id,
-                            razorpay_payment_id: response.razorpay_payment_id,
-                            razorpay_signature: response.razorpay_signature,
-                        }),
-                    })
-                    .then(res => res.json())
-                    .then(data => {
-                        if (data.success) {
-                            window.location.href = '/payment-success?order_id=' + response.razorpay_order_id;
-                        } else {
-                            alert('Payment verification failed. Please contact support.');
-                            btn.disabled = false;
-                            btn.textContent = '💳 Pay Securely with Razorpay';
-                        }
-                    })
-                    .catch(error => {
-                        console.error('Error:', error);
-                        alert('An error occurred. Please try again.');
-                        btn.disabled = false;
-                        btn.textContent = '💳 Pay Securely with Razorpay';
-                    });
-                },
-                prefill: {
-                    name: 'Valued Customer',
-                },
-                theme: {
-                    color: '#ec4899'
-                },
-                modal: {
-                    ondismiss: function() {
-                        btn.disabled = false;
-                        btn.textContent = '💳 Pay Securely with Razorpay';
-                    }
-                }
-            };
+              const options = {
+                  key: '${process.env.NEXT_PUBLIC_RAZORPAY_KEY_ID}',
+                  amount: ${paymentData.amount},
+                  currency: 'INR',
+                  name: 'Korean Color Analysis',
+                  description: 'Complete Style Guide PDF',
+                  order_id: '${escapeHtml(orderId)}',
+                  handler: function (response) {
+                      // Verify payment
+                      fetch('/api/verify-payment', {
+                          method: 'POST',
+                          headers: {
+                              'Content-Type': 'application/json',
+                          },
+                          body: JSON.stringify({
+                              razorpay_order_id: response.razorpay_order_id,
+                              razorpay_payment_id: response.razorpay_payment_id,
+                              razorpay_signature: response.razorpay_signature,
+                          }),
+                      })
+                      .then(res => res.json())
+                      .then(data => {
+                          if (data.success) {
+                              window.location.href = '/payment-success?order_id=' + response.razorpay_order_id;
+                          } else {
+                              alert('Payment verification failed. Please contact support.');
+                              btn.disabled = false;
+                              btn.textContent = '💳 Pay Securely with Razorpay';
+                          }
+                      })
+                      .catch(error => {
+                          console.error('Error:', error);
+                          alert('An error occurred. Please try again.');
+                          btn.disabled = false;
+                          btn.textContent = '💳 Pay Securely with Razorpay';
+                      });
+                  },
+                  prefill: {
+                      name: 'Valued Customer',
+                  },
+                  theme: {
+                      color: '#ec4899'
+                  },
+                  modal: {
+                      ondismiss: function() {
+                          btn.disabled = false;
+                          btn.textContent = '💳 Pay Securely with Razorpay';
+                      }
+                  }
+              };
             
-            const rzp = new Razorpay(options);
-            rzp.open();
-        }
-    </script>
-</body>
-</html>`;
-
-    res.send(html);
+              const rzp = new Razorpay(options);
+              rzp.open();
+          }
+      </script>
+  </body>
+  </html>`;
+
+      res.send(html);
     
-  } catch (error) {
-    console.error('Payment page error:', error);
-    res.status(500).send('Error loading payment page');
-  }
-});
+    } catch (error) {
+      console.error('Payment page error:', error);
+      res.status(500).send('Error loading payment page');
+    }
+  });
 
-// Payment verification API
-router.post('/api/verify-payment', async (req, res) => {
-  try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+  // Payment verification API
+  router.post('/api/verify-payment', async (req, res) => {
+    try {
+      const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
     
-    const verificationResult = await paymentManager.verifyPayment(
-      razorpay_order_id, 
-      razorpay_payment_id, 
-      razorpay_signature
-    );
+      const verificationResult = await paymentManager.verifyPayment(
+        razorpay_order_id, 
+        razorpay_payment_id, 
+        razorpay_signature
+      );
     
-    if (verificationResult.success) {
-      // Send success message to WhatsApp
-      const paymentData = verificationResult.paymentData;
-      if (paymentData && paymentData.phoneNumber) {
-        await WhatsAppAPI.sendTextMessage(
-          paymentData.phoneNumber,
-          "🎉 Payment successful! Your complete style guide is being prepared. You'll receive it within the next few minutes!"
-        );
-        
-        // Update conversation state
-        const conversation = conversationManager.getConversation(paymentData.phoneNumber);
-        if (conversation) {
-          conversation.state = 'payment_completed';
-          conversationManager.saveConversation(paymentData.phoneNumber, conversation);
+      if (verificationResult.success) {
+        // Send success message to WhatsApp
+        const paymentData = verificationResult.paymentData;
+        if (paymentData && paymentData.phoneNumber) {
+          await sendUpdate(paymentData.phoneNumber, 'paymentSuccessful');
+
+          // Moves the conversation on and delivers the guide without waiting
+          // for the Razorpay webhook
+          paymentManager.triggerPostPaymentActions(paymentData);
         }
-      }
       
-      res.json({ success: true });
-    } else {
-      res.json({ success: false, error: verificationResult.error });
-    }
+        res.json({ success: true });
+      } else {
+        res.json({ success: false, error: verificationResult.error });
+      }
     
-  } catch (error) {
-    console.error('Payment verification error:', error);
-    res.json({ success: false, error: 'Verification failed' });
-  }
-});
+    } catch (error) {
+      console.error('Payment verification error:', error);
+      res.json({ success: false, error: 'Verification failed' });
+    }
+  });
 
-// Payment success page
-router.get('/payment-success', (req, res) => {
-  const orderId = req.query.order_id;
+  // Payment success page
+  router.get('/payment-success', (req, res) => {
+    const orderId = req.query.order_id;
   
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Payment Successful - Korean Color Analysis</title>
-    <style>
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            background: linear-gradient(135deg, #fdf2f8 0%, #fce7f3 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-            margin: 0;
-        }
-        
-        .container {
-            background: white;
-            border-radius: 24px;
-            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
-            padding: 40px;
-            max-width: 500px;
-            width: 100%;
-            text-align: center;
-        }
-        
-        .success-icon {
-            width: 80px;
-            height: 80px;
-            background: linear-gradient(135deg, #10b981, #059669);
-            border-radius: 50%;
-            margin: 0 auto 24px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 40px;
-            color: white;
-        }
-        
-        h1 {
-            color: #1f2937;
-            margin-bottom: 16px;
-            font-size: 28px;
-        }
-        
-        p {
-            color: #6b7280;
-            margin-bottom: 24px;
-            line-height: 1.6;
-        }
-        
-        .whatsapp-btn {
-            background: linear-gradient(135deg, #25d366, #128c7e);
-            color: white;
-            border: none;
-            padding: 16px 32px;
-            border-radius: 16px;
-            font-size: 16px;
-            font-weight: bold;
-            cursor: pointer;
-            text-decoration: none;
-            display: inline-block;
-            margin-bottom: 16px;
-            transition: transform 0.2s;
-        }
-        
-        .whatsapp-btn:hover {
-            transform: translateY(-2px);
-            text-decoration: none;
-            color: white;
-        }
-        
-        .order-id {
-            background: #f3f4f6;
-            padding: 16px;
-            border-radius: 12px;
-            margin-top: 24px;
-            font-size: 14px;
-            color: #6b7280;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="success-icon">✅</div>
-        <h1>Payment Successful!</h1>
-        <p>Thank you for your purchase! Your complete Korean Color Analysis style guide is being prepared and will be delivered to your WhatsApp chat within the next few minutes.</p>
-        
-        <a href="https://wa.me/${process.env.WHATSAPP_PHONE_NUMBER}" class="whatsapp-btn">
-            📱 Return to WhatsApp
-        </a>
-        
-        <div class="order-id">
-            <strong>Order ID:</strong> ${orderId}
-        </div>
-        
-        <p style="font-size: 12px; margin-top: 24px;">
-            If you don't receive your PDF within 5 minutes, please message us on WhatsApp.
-        </p>
-    </div>
-</body>
-</html>`;
-
-  res.send(html);
-});
-
-module.exports = router;
+    const html = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Payment Successful - Korean Color Analysis</title>
+      <style>
+          body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              background: linear-gradient(135deg, #fdf2f8 0%, #fce7f3 100%);
+              min-height: 100vh;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              padding: 20px;
+              margin: 0;
+          }
+        
+          .container {
+              background: white;
+              border-radius: 24px;
+              box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+              padding: 40px;
+              max-width: 500px;
+              width: 100%;
+              text-align: center;
+          }
+        
+          .success-icon {
+              width: 80px;
+              height: 80px;
+              background: linear-gradient(135deg, #10b981, #059669);
+              border-radius: 50%;
+              margin: 0 auto 24px;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              font-size: 40px;
+              color: white;
+          }
+        
+          h1 {
+              color: #1f2937;
+              margin-bottom: 16px;
+              font-size: 28px;
+          }
+        
+          p {
+              color: #6b7280;
+              margin-bottom: 24px;
+              line-height: 1.6;
+          }
+        
+          .whatsapp-btn {
+              background: linear-gradient(135deg, #25d366, #128c7e);
+              color: white;
+              border: none;
+              padding: 16px 32px;
+              border-radius: 16px;
+              font-size: 16px;
+              font-weight: bold;
+              cursor: pointer;
+              text-decoration: none;
+              display: inline-block;
+              margin-bottom: 16px;
+              transition: transform 0.2s;
+          }
+        
+          .whatsapp-btn:hover {
+              transform: translateY(-2px);
+              text-decoration: none;
+              color: white;
+          }
+        
+          .order-id {
+              background: #f3f4f6;
+              padding: 16px;
+              border-radius: 12px;
+              margin-top: 24px;
+              font-size: 14px;
+              color: #6b7280;
+          }
+      </style>
+  </head>
+  <body>
+      <div class="container">
+          <div class="success-icon">✅</div>
+          <h1>Payment Successful!</h1>
+          <p>Thank you for your purchase! Your complete Korean Color Analysis style guide is being prepared and will be delivered to your WhatsApp chat within the next few minutes.</p>
+        
+          <a href="https://wa.me/${process.env.WHATSAPP_PHONE_NUMBER}" class="whatsapp-btn">
+              📱 Return to WhatsApp
+          </a>
+        
+          <div class="order-id">
+              <strong>Order ID:</strong> ${escapeHtml(orderId)}
+          </div>
+        
+          <p style="font-size: 12px; margin-top: 24px;">
+              If you don't receive your PDF within 5 minutes, please message us on WhatsApp.
+          </p>
+      </div>
+  </body>
+  </html>`;
+
+    res.send(html);
+  });
+
+  // Razorpay webhook
+  router.post('/api/razorpay/webhook', (req, res) => {
+    const signature = req.get('x-razorpay-signature');
+
+    if (!req.rawBody || !signature) {
+      return res.status(400).json({ success: false, error: 'Missing signature' });
+    }
+
+    const result = paymentManager.handleWebhook(req.rawBody, signature);
+    res.status(result.success ? 200 : 400).json(result);
+  });
+
+  return router;
+}
+
+module.exports = createPaymentRouter;
 
 // =================================================================
 // .env.example - Environment Variables Template
@@ -461,11 +503,27 @@ module.exports = router;
 /*
 Create a .env file with these variables:
 
-# WhatsApp Business API Configuration
+# WhatsApp Provider (aisensy or meta)
+MESSAGING_PROVIDER=aisensy
+WHATSAPP_PHONE_NUMBER=+1234567890
+
+# Aisensy (MESSAGING_PROVIDER=aisensy)
+AISENSY_API_KEY=your_aisensy_api_key
+
+# WhatsApp Cloud API (MESSAGING_PROVIDER=meta)
 WHATSAPP_ACCESS_TOKEN=your_whatsapp_access_token
 WHATSAPP_PHONE_NUMBER_ID=your_phone_number_id
-WHATSAPP_PHONE_NUMBER=+1234567890
 WEBHOOK_VERIFY_TOKEN=your_webhook_verify_token
+WHATSAPP_APP_SECRET=your_app_secret
+WHATSAPP_API_VERSION=v19.0
+
+# Colour analysis provider (gemini or local; local runs offline from fixtures)
+ANALYSIS_PROVIDER=gemini
+# ANALYSIS_FIXTURE=utils/analysis/fixtures/autumn.json
+# Reuse analyses of identical photos for this long (ms, default 30 days)
+ANALYSIS_CACHE_TTL_MS=2592000000
+# Enables DELETE /admin/analysis-cache (Authorization: Bearer <token>)
+ADMIN_TOKEN=your_admin_token
 
 # Gemini AI Configuration  
 NEXT_PUBLIC_GEMINI_API_KEY=your_gemini_api_key
@@ -481,6 +539,31 @@ PORT=3000
 BASE_URL=https://your-domain.com
 NODE_ENV=production
 
+# PDF Style Guides
+PDF_OUTPUT_DIR=./pdfs
+DOWNLOAD_LINK_SECRET=a_long_random_string
+
+# Conversation Storage (json or sqlite; sqlite needs better-sqlite3)
+CONVERSATION_STORE=json
+CONVERSATION_STORE_DEBOUNCE_MS=1000
+MESSAGE_DEDUP_TTL_MS=86400000
+
+# Bot Messages (handlebars templates in locales/, reloaded when edited;
+# run "npm run messages:check" after changing them)
+MESSAGES_WATCH=true
+
+# Photo Analysis Queue
+ANALYSIS_CONCURRENCY=2
+ANALYSIS_MAX_ATTEMPTS=3
+ANALYSIS_RETRY_DELAY_MS=5000
+
+# Photos are converted to JPEG and downsized to this longest side before analysis
+PHOTO_MAX_DIMENSION=1600
+
+# Photo Quality Check (photos below these are turned away before analysis)
+PHOTO_MIN_DIMENSION=400
+PHOTO_MIN_SHARPNESS=30
+
 # Optional: Database URLs (if using external databases)
 # MONGODB_URI=mongodb://localhost:27017/colorbot
 # REDIS_URL=redis://localhost:6379
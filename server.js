@@ -1,17 +1,38 @@
-// server.js - Complete WhatsApp Korean Color Analysis Bot with Aisensy
+// server.js - Complete WhatsApp Korean Color Analysis Bot
 const express = require('express');
 const multer = require('multer');
-const axios = require('axios');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
-const GeminiColorAnalyzer = require('./utils/GeminiColorAnalyzer');
+const createAnalysisProvider = require('./utils/analysis/createAnalysisProvider');
 const ConversationManager = require('./utils/ConversationManager');
 const PaymentManager = require('./utils/PaymentManager');
+const PDFGenerator = require('./utils/PDFGenerator');
+const ImageNormalizer = require('./utils/ImageNormalizer');
+const ImageQualityChecker = require('./utils/ImageQualityChecker');
+const ColorMeasurer = require('./utils/ColorMeasurer');
+const LinkSigner = require('./utils/LinkSigner');
+const MessageDeduplicator = require('./utils/MessageDeduplicator');
+const AnalysisCache = require('./utils/AnalysisCache');
+const KeyedQueue = require('./utils/KeyedQueue');
+const JobQueue = require('./utils/JobQueue');
+const createMessagingProvider = require('./utils/messaging/createMessagingProvider');
+const MessageCatalog = require('./utils/MessageCatalog');
+const { buildUserDataExport, renderUserDataSummary } = require('./utils/userDataExport');
+const StateMachine = require('./utils/StateMachine');
+const IntentRecognizer = require('./utils/IntentRecognizer');
+const conversationFlow = require('./utils/conversationFlow');
+const createPaymentRouter = require('./routes/payment');
 
 const app = express();
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Configure multer for file uploads
@@ -26,131 +47,83 @@ if (!fs.existsSync('uploads')) {
 }
 
 // Initialize services
-const geminiAnalyzer = new GeminiColorAnalyzer();
+const analysisProvider = createAnalysisProvider();
 const conversationManager = new ConversationManager();
 const paymentManager = new PaymentManager();
+const pdfGenerator = new PDFGenerator();
+const imageNormalizer = new ImageNormalizer();
+const imageQualityChecker = new ImageQualityChecker();
+const colorMeasurer = new ColorMeasurer();
+const linkSigner = new LinkSigner();
+const messageDeduplicator = new MessageDeduplicator();
+const analysisCache = new AnalysisCache();
+const intentRecognizer = new IntentRecognizer();
+const messages = new MessageCatalog();
+
+// Serializes work per phone number so a user's messages never race on
+// their conversation state
+const userQueue = new KeyedQueue();
+
+// Photo analysis runs as background jobs that survive restarts and retry
+// with backoff
+const analysisQueue = new JobQueue({
+  name: 'analysis',
+  concurrency: Number(process.env.ANALYSIS_CONCURRENCY) || 2,
+  maxAttempts: Number(process.env.ANALYSIS_MAX_ATTEMPTS) || 3,
+  retryDelayMs: Number(process.env.ANALYSIS_RETRY_DELAY_MS) || 5000,
+  handler: job => runAnalysisJob(job),
+  onFailure: job => userQueue.run(job.data.phoneNumber, () => handleAnalysisFailure(job))
+});
 
-// Aisensy API Configuration
-const AISENSY_API_KEY = process.env.AISENSY_API_KEY;
-
-// Aisensy API helper functions
-class AisensyAPI {
-  constructor() {
-    this.apiKey = AISENSY_API_KEY;
-    this.baseUrl = 'https://backend.aisensy.com/campaign/t1/api/v2';
-    
-    if (!this.apiKey) {
-      console.error('Aisensy API key not found. Please set AISENSY_API_KEY in your environment variables.');
-    }
-  }
-
-  async sendMessage(to, messageData) {
-    try {
-      // Clean phone number format
-      const cleanNumber = to.replace(/[^\d]/g, '');
-      
-      const payload = {
-        apiKey: this.apiKey,
-        campaignName: 'korean_color_analysis',
-        destination: cleanNumber,
-        userName: 'ColorBot',
-        templateParams: [],
-        source: 'whatsapp-bot',
-        media: messageData.media || {},
-        attributes: {
-          name: 'User'
-        },
-        message: messageData.text || messageData.message || ''
-      };
-
-      console.log('Sending to Aisensy:', {
-        ...payload,
-        apiKey: '[HIDDEN]'
-      });
-
-      const response = await axios.post(`${this.baseUrl}/send`, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-AiSensy-API-KEY': this.apiKey
-        },
-        timeout: 10000 // 10 second timeout
-      });
-
-      console.log('Aisensy response:', response.data);
-      return response.data;
-    } catch (error) {
-      console.error('Aisensy API error:', error.response?.data || error.message);
-      throw error;
-    }
-  }
-
-  async sendTextMessage(to, text) {
-    return this.sendMessage(to, { text: text });
-  }
-
-  async sendImageMessage(to, imageUrl, caption = "") {
-    return this.sendMessage(to, {
-      text: caption,
-      media: {
-        type: 'image',
-        url: imageUrl
-      }
-    });
-  }
-
-  async sendButtonMessage(to, bodyText, buttons) {
-    // Since Aisensy might not support interactive buttons, send as numbered options
-    const buttonText = buttons.map((btn, index) => 
-      `${index + 1}. ${btn.text}`
-    ).join('\n');
-    
-    const fullMessage = `${bodyText}\n\n${buttonText}\n\nReply with the number of your choice.`;
-    return this.sendTextMessage(to, fullMessage);
-  }
-
-  async sendListMessage(to, bodyText, buttonText, sections) {
-    // Convert list to text format
-    let listText = `${bodyText}\n\n`;
-    
-    let optionNumber = 1;
-    sections.forEach(section => {
-      if (section.title) {
-        listText += `**${section.title}**\n`;
-      }
-      section.rows.forEach((row) => {
-        listText += `${optionNumber}. ${row.title}\n`;
-        if (row.description) {
-          listText += `   ${row.description}\n`;
-        }
-        optionNumber++;
-      });
-      listText += '\n';
-    });
-    
-    listText += `Reply with the number of your choice.`;
-    return this.sendTextMessage(to, listText);
-  }
+// Conversation flow (utils/conversationFlow.js) and the actions it refers to
+const stateMachine = new StateMachine(conversationFlow, {
+  sendWelcome: ({ phoneNumber }) => sendWelcomeMessage(phoneNumber),
+  sendGuide: ({ phoneNumber }) => sendGuideMessage(phoneNumber),
+  sendPhotoInstructions: ({ phoneNumber }) => sendPhotoInstructions(phoneNumber),
+  remindPhoto: ({ phoneNumber }) => sendMessage(phoneNumber, 'remindPhoto'),
+  rejectPhoto: ({ phoneNumber }) => sendMessage(phoneNumber, 'rejectPhoto'),
+  queueAnalysis: ({ phoneNumber, conversation, image }) => queueAnalysis(phoneNumber, image, conversation),
+  sendStillAnalyzing: ({ phoneNumber }) => sendMessage(phoneNumber, 'stillAnalyzing'),
+  storeAnalysis: ({ phoneNumber, analysis }) => conversationManager.setAnalysisResult(phoneNumber, analysis),
+  sendAnalysisError: ({ phoneNumber, error }) => sendAnalysisError(phoneNumber, error),
+  sendPhotoProblem: ({ phoneNumber, problem }) => sendMessage(phoneNumber, `photoProblems.${problem}`),
+  sendAnalysisResults: ({ phoneNumber, conversation }) => sendAnalysisResults(phoneNumber, conversation.analysis),
+  requestPDF: ({ phoneNumber, conversation }) => handlePDFRequest(phoneNumber, conversation),
+  resetAnalysis: ({ phoneNumber, conversation }) => resetAnalysis(phoneNumber, conversation),
+  shareResults: ({ phoneNumber, conversation }) => shareResults(phoneNumber, conversation),
+  sendResultsOptions: ({ phoneNumber }) => sendResultsOptions(phoneNumber),
+  checkPayment: ({ phoneNumber, conversation }) => checkPaymentStatus(phoneNumber, conversation),
+  remindPayment: ({ phoneNumber }) => sendMessage(phoneNumber, 'remindPayment'),
+  sendGuidePending: ({ phoneNumber }) => sendMessage(phoneNumber, 'guidePending'),
+  resendGuideLink: ({ phoneNumber, conversation }) => resendGuideLink(phoneNumber, conversation),
+  changeLanguage: ({ phoneNumber, conversation, text }) => changeLanguage(phoneNumber, conversation, text),
+  sendHelp: ({ phoneNumber, conversation }) => sendHelp(phoneNumber, conversation),
+  sendStatus: ({ phoneNumber, conversation }) => sendStatus(phoneNumber, conversation),
+  optOut: ({ phoneNumber }) => setOptOut(phoneNumber, true),
+  optIn: ({ phoneNumber }) => setOptOut(phoneNumber, false),
+  sendDataExport: ({ phoneNumber }) => sendDataExport(phoneNumber),
+  requestDataDeletion: ({ phoneNumber, conversation }) => requestDataDeletion(phoneNumber, conversation),
+  deleteUserData: ({ phoneNumber, conversation }) => deleteUserData(phoneNumber, conversation),
+  sendUnsupportedMessage: ({ phoneNumber }) => sendMessage(phoneNumber, 'unsupportedMessage'),
+  sendUnknownOption: ({ phoneNumber }) => sendMessage(phoneNumber, 'unknownOption')
+});
 
-  async downloadMedia(mediaUrl) {
-    try {
-      const response = await axios.get(mediaUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000 // 30 second timeout for media download
-      });
+// Reply button / list row ids -> flow intents
+const INTERACTIVE_INTENTS = {
+  start_analysis: 'ready',
+  get_pdf: 'pdf',
+  new_analysis: 'new_analysis',
+  share_results: 'share',
+  check_payment: 'paid'
+};
 
-      return {
-        data: response.data,
-        contentType: response.headers['content-type'] || 'image/jpeg'
-      };
-    } catch (error) {
-      console.error('Error downloading media:', error);
-      throw error;
-    }
-  }
-}
+// Deliver the guide as soon as Razorpay confirms a payment
+paymentManager.onPaymentCompleted(paymentData =>
+  userQueue.run(paymentData.phoneNumber, () => deliverPaidGuide(paymentData))
+);
 
-// Initialize Aisensy API
-const aisensyAPI = new AisensyAPI();
+// WhatsApp provider (Aisensy or Meta Cloud API, see MESSAGING_PROVIDER)
+const messaging = createMessagingProvider();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -158,71 +131,53 @@ app.get('/health', (req, res) => {
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     conversations: conversationManager.getActiveConversationsCount(),
-    platform: 'Aisensy'
+    platform: messaging.name,
+    analysis: analysisProvider.name
   });
 });
 
-// Aisensy webhook verification
-app.get('/webhook/aisensy', (req, res) => {
+// Webhook verification (/webhook/aisensy kept for existing Aisensy setups)
+app.get(['/webhook', '/webhook/aisensy'], (req, res) => {
   console.log('Webhook verification request');
-  res.status(200).send('Webhook verified');
+  const { verified, challenge } = messaging.verifyWebhook(req.query);
+
+  if (!verified) {
+    return res.sendStatus(403);
+  }
+
+  res.status(200).send(challenge);
 });
 
-// Main Aisensy webhook handler
-app.post('/webhook/aisensy', async (req, res) => {
+// Main webhook handler
+app.post(['/webhook', '/webhook/aisensy'], (req, res) => {
   try {
-    const body = req.body;
-    console.log('Aisensy webhook received:', JSON.stringify(body, null, 2));
-
-    // Handle different Aisensy webhook formats
-    if (body.type === 'message' || body.event === 'message' || body.messages) {
-      // Extract message data based on Aisensy's format
-      let message, contact;
-      
-      if (body.messages && Array.isArray(body.messages)) {
-        // If messages is an array
-        const msgData = body.messages[0];
-        message = {
-          id: msgData.id || msgData.messageId || Date.now().toString(),
-          from: msgData.from || msgData.sender || msgData.phone,
-          timestamp: msgData.timestamp || Date.now(),
-          type: msgData.type || msgData.messageType || 'text',
-          text: msgData.type === 'text' ? { body: msgData.text || msgData.message } : null,
-          image: msgData.type === 'image' ? { 
-            url: msgData.mediaUrl || msgData.media_url,
-            id: msgData.mediaId 
-          } : null
-        };
-        
-        contact = {
-          profile: { name: msgData.senderName || msgData.name || 'User' }
-        };
-      } else {
-        // Single message format
-        message = {
-          id: body.id || body.messageId || Date.now().toString(),
-          from: body.from || body.sender || body.phone,
-          timestamp: body.timestamp || Date.now(),
-          type: body.type || body.messageType || 'text',
-          text: (body.type === 'text' || body.messageType === 'text') ? 
-                { body: body.text || body.message } : null,
-          image: (body.type === 'image' || body.messageType === 'image') ? { 
-            url: body.mediaUrl || body.media_url,
-            id: body.mediaId 
-          } : null
-        };
-        
-        contact = {
-          profile: { name: body.senderName || body.name || 'User' }
-        };
+    if (!messaging.verifySignature(req.rawBody, req.headers)) {
+      console.error('Invalid messaging webhook signature');
+      return res.sendStatus(401);
+    }
+
+    console.log(`${messaging.name} webhook received:`, JSON.stringify(req.body, null, 2));
+
+    const inbound = messaging.parseWebhook(req.body);
+
+    inbound.forEach(({ message, contact }) => {
+      // Provider retries of a message we already accepted are acknowledged
+      // without running the handler again (messages without an id can't be
+      // told apart from a repeat, so they always run)
+      if (message.id && !messageDeduplicator.claim(message.id)) {
+        console.log(`🔁 Duplicate delivery of message ${message.id} ignored`);
+        return;
       }
 
-      await handleMessage(message, contact);
-    }
+      // Acknowledge right away; slow work (like photo analysis) continues in
+      // the background so the provider doesn't time out and retry
+      userQueue.run(message.from, () => handleMessage(message, contact))
+        .catch(error => console.error('Message processing error:', error));
+    });
 
     res.sendStatus(200);
   } catch (error) {
-    console.error('Aisensy webhook error:', error);
+    console.error('Webhook error:', error);
     res.sendStatus(500);
   }
 });
@@ -249,310 +204,329 @@ async function handleMessage(message, contact) {
     // Update last active
     conversation.lastActive = timestamp;
 
+    // Reply in the language of the user's first message until they pick one
+    if (!conversation.locale) {
+      conversation.locale = (message.type === 'text' && messages.detectLocale(message.text?.body)) ||
+        messages.defaultLocale;
+    }
+
     // Handle different message types
     if (message.type === 'text' && message.text) {
       await handleTextMessage(phoneNumber, message.text.body, conversation);
     } else if (message.type === 'image' && message.image) {
-      await handleImageMessage(phoneNumber, message.image, conversation);
-    } else if (message.type === 'interactive') {
+      await stateMachine.dispatch(conversation, 'photo', { phoneNumber, image: message.image });
+    } else if (message.type === 'interactive' && message.interactive) {
       await handleInteractiveMessage(phoneNumber, message.interactive, conversation);
     } else {
-      await aisensyAPI.sendTextMessage(
-        phoneNumber, 
-        "I can help you with Korean color analysis! Please send me a clear selfie or type 'start' to begin. ✨"
-      );
+      await stateMachine.dispatch(conversation, 'unsupported', { phoneNumber });
     }
 
-    // Save conversation state
-    conversationManager.saveConversation(phoneNumber, conversation);
+    // Save conversation state, unless the user just deleted their data
+    if (conversationManager.getConversation(phoneNumber)) {
+      conversationManager.saveConversation(phoneNumber, conversation);
+    }
 
   } catch (error) {
     console.error('Error handling message:', error);
-    await aisensyAPI.sendTextMessage(
-      phoneNumber, 
-      "Sorry, I encountered an error. Please try again or contact support. 🙏"
-    );
+    await sendMessage(phoneNumber, 'genericError');
   }
 }
 
 // Text message handler
 async function handleTextMessage(phoneNumber, text, conversation) {
-  const lowerText = text.toLowerCase().trim();
-
-  switch (conversation.state) {
-    case 'initial':
-    case 'welcome':
-      if (lowerText.includes('start') || lowerText.includes('begin') || 
-          lowerText.includes('hi') || lowerText.includes('hello')) {
-        await sendWelcomeMessage(phoneNumber);
-        conversation.state = 'guide_shown';
-      } else {
-        await sendWelcomeMessage(phoneNumber);
-        conversation.state = 'guide_shown';
-      }
-      break;
+  let intents = intentRecognizer.recognize(text, {
+    options: stateMachine.getOptions(conversation)
+  });
 
-    case 'guide_shown':
-      if (lowerText.includes('ready') || lowerText.includes('yes') || 
-          lowerText.includes('continue') || lowerText === '1') {
-        await sendPhotoInstructions(phoneNumber);
-        conversation.state = 'waiting_for_photo';
-      } else {
-        await sendGuideMessage(phoneNumber);
-      }
-      break;
-
-    case 'waiting_for_photo':
-      await aisensyAPI.sendTextMessage(
-        phoneNumber,
-        "I'm waiting for your beautiful selfie! 📸 Please take a clear photo following the guidelines I shared earlier."
-      );
-      break;
-
-    case 'analyzing':
-      await aisensyAPI.sendTextMessage(
-        phoneNumber,
-        "I'm still analyzing your photo... This usually takes 30-60 seconds. Please wait! ✨"
-      );
-      break;
-
-    case 'results_shown':
-      if (lowerText.includes('pdf') || lowerText.includes('guide') || 
-          lowerText.includes('buy') || lowerText === '1') {
-        await handlePDFRequest(phoneNumber, conversation);
-      } else if (lowerText.includes('new') || lowerText.includes('another') || 
-                 lowerText.includes('again') || lowerText === '2') {
-        await resetAnalysis(phoneNumber, conversation);
-      } else if (lowerText.includes('share') || lowerText === '3') {
-        await shareResults(phoneNumber, conversation);
-      } else {
-        await sendResultsOptions(phoneNumber);
-      }
-      break;
+  // Only paid customers have a guide link to resend
+  if (!conversation.pdfOrderId) {
+    intents = intents.filter(intent => intent !== 'resend');
+  }
 
-    case 'payment_pending':
-      if (lowerText.includes('paid') || lowerText.includes('payment') || 
-          lowerText.includes('done')) {
-        await checkPaymentStatus(phoneNumber, conversation);
-      } else {
-        await aisensyAPI.sendTextMessage(
-          phoneNumber,
-          "Please complete your payment to receive the complete style guide. If you've already paid, type 'paid' to check status. 💳"
-        );
-      }
-      break;
+  await stateMachine.dispatch(conversation, intents, { phoneNumber, text });
+}
 
-    default:
-      await sendWelcomeMessage(phoneNumber);
-      conversation.state = 'guide_shown';
-  }
+// Photo received while waiting for one: queue it for analysis
+async function queueAnalysis(phoneNumber, image, conversation) {
+  await sendMessage(phoneNumber, 'photoReceived');
+
+  const job = analysisQueue.enqueue({ phoneNumber, image, locale: conversation.locale });
+  conversation.analysisJobId = job.id;
 }
 
-// Image message handler
-async function handleImageMessage(phoneNumber, image, conversation) {
-  if (conversation.state !== 'waiting_for_photo') {
-    await aisensyAPI.sendTextMessage(
-      phoneNumber,
-      "Thanks for the photo! But I'm not ready to analyze it yet. Please type 'start' to begin the process properly. ✨"
-    );
+// Background analysis job: download the photo and run the analysis provider. Throwing
+// makes the queue retry the job with backoff.
+async function runAnalysisJob(job) {
+  const { phoneNumber, image, locale } = job.data;
+
+  if (!image.url && !image.id) {
+    // Nothing to retry without a media reference
+    await userQueue.run(phoneNumber, () => handleAnalysisFailure(job));
     return;
   }
 
+  const mediaData = await messaging.downloadMedia(image);
+  const rejectPhoto = problem =>
+    userQueue.run(phoneNumber, () => applyAnalysisResult(job, { success: false, photoProblem: problem }));
+
+  // Upright, metadata-free JPEG whatever the phone sent (HEIC, PNG, huge camera files...)
+  let photo;
   try {
-    await aisensyAPI.sendTextMessage(
-      phoneNumber,
-      "📸 Got your beautiful photo! Let me analyze your colors... This will take 30-60 seconds. ✨"
+    photo = await imageNormalizer.normalize(mediaData.data);
+  } catch (error) {
+    console.error(`Photo from ${phoneNumber} (${mediaData.contentType}) could not be read:`, error.message);
+    await rejectPhoto('unreadable');
+    return;
+  }
+
+  // Same photo as before (re-sent, or "Analyze Another Photo" with the
+  // same selfie): same result, and no second paid analysis
+  const imageHash = AnalysisCache.hash(photo.data);
+  const language = messages.getLanguageName(locale);
+  const cachedAnalysis = analysisCache.get(imageHash, { provider: analysisProvider.name, language });
+
+  if (cachedAnalysis) {
+    console.log(`♻️ Reusing cached analysis for ${phoneNumber} (${imageHash.slice(0, 12)})`);
+    await userQueue.run(phoneNumber, () =>
+      applyAnalysisResult(job, { success: true, analysis: cachedAnalysis, imageHash, cached: true })
     );
+    return;
+  }
 
-    conversation.state = 'analyzing';
+  // Dark, blurry or tiny photos give unreliable seasons; turn them away
+  // before spending an analysis call
+  const quality = await checkPhotoQuality(phoneNumber, photo.data);
+  if (!quality.ok) {
+    await rejectPhoto(quality.problem);
+    return;
+  }
 
-    // Download the image
-    let mediaData;
-    if (image.url) {
-      mediaData = await aisensyAPI.downloadMedia(image.url);
-    } else {
-      throw new Error('No image URL provided');
-    }
-    
-    // Create a temporary file
-    const tempFileName = `temp_${phoneNumber}_${Date.now()}.jpg`;
-    const tempFilePath = path.join('uploads', tempFileName);
-    
-    fs.writeFileSync(tempFilePath, mediaData.data);
+  const measurements = await measureColors(phoneNumber, photo.data);
 
-    // Analyze with Gemini
-    const analysisResult = await geminiAnalyzer.analyzeFromBuffer(
-      mediaData.data, 
-      mediaData.contentType
-    );
+  const analysisResult = await analysisProvider.analyzeFromBuffer(
+    photo.data,
+    photo.contentType,
+    { language, measurements }
+  );
 
-    // Clean up temp file
-    fs.unlinkSync(tempFilePath);
+  // Kept with the result as the measured evidence behind the season
+  if (analysisResult.success) {
+    analysisResult.analysis.measurements = measurements;
+    analysisResult.imageHash = imageHash;
+  }
 
-    if (analysisResult.success) {
-      conversation.analysis = analysisResult.analysis;
-      conversation.state = 'results_shown';
-      await sendAnalysisResults(phoneNumber, analysisResult.analysis);
-    } else {
-      conversation.state = 'waiting_for_photo';
-      await aisensyAPI.sendTextMessage(
-        phoneNumber,
-        `Sorry, I couldn't analyze your photo: ${analysisResult.error}\n\nPlease try with a different photo - make sure it's well-lit and shows your face clearly! 📸`
-      );
-    }
+  if (!analysisResult.success && analysisResult.retryable) {
+    throw new Error(analysisResult.error);
+  }
+
+  await userQueue.run(phoneNumber, () => applyAnalysisResult(job, analysisResult));
+}
+
+async function checkPhotoQuality(phoneNumber, imageBuffer) {
+  try {
+    const quality = await imageQualityChecker.check(imageBuffer);
 
+    if (!quality.ok) {
+      console.log(`📷 Photo from ${phoneNumber} rejected: ${quality.problem}`, quality.metrics);
+    }
+    return quality;
   } catch (error) {
-    console.error('Image processing error:', error);
-    conversation.state = 'waiting_for_photo';
-    await aisensyAPI.sendTextMessage(
-      phoneNumber,
-      "Sorry, there was an issue processing your photo. Please try sending it again! 📸"
-    );
+    // A photo we can't measure still gets analyzed; the provider has the final say
+    console.error('Photo quality check error:', error);
+    return { ok: true };
   }
 }
 
-// Interactive message handler
-async function handleInteractiveMessage(phoneNumber, interactive, conversation) {
-  const buttonId = interactive.button_reply?.id || interactive.list_reply?.id;
-
-  switch (buttonId) {
-    case 'start_analysis':
-    case '1':
-      await sendPhotoInstructions(phoneNumber);
-      conversation.state = 'waiting_for_photo';
-      break;
-    
-    case 'get_pdf':
-    case '2':
-      await handlePDFRequest(phoneNumber, conversation);
-      break;
-    
-    case 'new_analysis':
-    case '3':
-      await resetAnalysis(phoneNumber, conversation);
-      break;
-    
-    case 'share_results':
-    case '4':
-      await shareResults(phoneNumber, conversation);
-      break;
+// Skin/hair CIELAB measurements (utils/ColorMeasurer.js), or null if the
+// photo has no measurable face
+async function measureColors(phoneNumber, imageBuffer) {
+  try {
+    const measurements = await colorMeasurer.measure(imageBuffer);
 
-    default:
-      await aisensyAPI.sendTextMessage(phoneNumber, "I didn't understand that option. Please try again! 🤔");
+    if (!measurements) {
+      console.log(`🎨 No measurable skin area in photo from ${phoneNumber}`);
+    }
+    return measurements;
+  } catch (error) {
+    console.error('Colour measurement error:', error);
+    return null;
   }
 }
 
-// Message templates
-async function sendWelcomeMessage(phoneNumber) {
-  const welcomeText = `✨ Welcome to Korean Color Analysis!
+// Cached only once a user has it, so a job still running when the user
+// deletes their data leaves nothing behind. Keyed by the language the job
+// asked for, which the translations are in.
+function cacheAnalysis({ phoneNumber, locale }, { analysis, imageHash, cached }) {
+  if (!imageHash) return;
+
+  if (cached) {
+    analysisCache.addPhoneNumber(imageHash, phoneNumber);
+  } else {
+    analysisCache.set(imageHash, analysis, {
+      provider: analysisProvider.name,
+      language: messages.getLanguageName(locale),
+      phoneNumber
+    });
+  }
+}
 
-I'm your AI color expert, ready to discover your perfect palette! 
+async function applyAnalysisResult(job, analysisResult) {
+  const { phoneNumber } = job.data;
+  const conversation = conversationManager.getConversation(phoneNumber);
 
-🎨 I'll analyze your photo using advanced AI to determine:
-• Your personal season (Spring, Summer, Autumn, Winter)
-• Your best colors and shades
-• Makeup & style recommendations
-• Colors to avoid
+  // The user may have restarted or sent another photo in the meantime
+  if (!conversation || conversation.analysisJobId !== job.id) {
+    console.log(`Discarding stale analysis job ${job.id} for ${phoneNumber}`);
+    return;
+  }
 
-Ready to discover your true colors? 💖
+  conversation.analysisJobId = null;
 
-Reply with:
-1. Let's Start! ✨`;
+  if (analysisResult.success) {
+    cacheAnalysis(job.data, analysisResult);
+    await stateMachine.trigger(conversation, 'analysis_succeeded', {
+      phoneNumber,
+      analysis: analysisResult.analysis
+    });
+  } else if (analysisResult.photoProblem) {
+    await stateMachine.trigger(conversation, 'photo_rejected', {
+      phoneNumber,
+      problem: analysisResult.photoProblem
+    });
+  } else {
+    await stateMachine.trigger(conversation, 'analysis_failed', {
+      phoneNumber,
+      error: analysisResult.error
+    });
+  }
 
-  await aisensyAPI.sendTextMessage(phoneNumber, welcomeText);
+  conversationManager.saveConversation(phoneNumber, conversation);
 }
 
-async function sendGuideMessage(phoneNumber) {
-  const guideText = `📸 For the best results, please follow these tips:
+async function handleAnalysisFailure(job) {
+  const { phoneNumber } = job.data;
+  const conversation = conversationManager.getConversation(phoneNumber);
 
-✅ DO THIS:
-• Use natural light (near a window)
-• Plain, light background
-• Face the camera directly
-• Remove glasses/hat
-• Minimal or no makeup
-• Keep hair away from face
+  if (!conversation || conversation.analysisJobId !== job.id) {
+    return;
+  }
 
-❌ AVOID:
-• Artificial lighting
-• Colored backgrounds
-• Heavy makeup
-• Shadows on face
-• Blurry photos
+  conversation.analysisJobId = null;
+  await stateMachine.trigger(conversation, 'analysis_failed', { phoneNumber });
+  conversationManager.saveConversation(phoneNumber, conversation);
+}
 
-Ready to take your perfect selfie?
+async function sendAnalysisError(phoneNumber, error) {
+  if (error) {
+    await sendMessage(phoneNumber, 'analysisError', { error });
+  } else {
+    await sendMessage(phoneNumber, 'analysisErrorGeneric');
+  }
+}
 
-Reply with:
-1. I'm Ready! 📸`;
+// Interactive message handler
+async function handleInteractiveMessage(phoneNumber, interactive, conversation) {
+  const buttonId = interactive.button_reply?.id || interactive.list_reply?.id;
+  const intent = INTERACTIVE_INTENTS[buttonId] || 'unknown_option';
 
-  await aisensyAPI.sendTextMessage(phoneNumber, guideText);
+  await stateMachine.dispatch(conversation, intent, { phoneNumber });
 }
 
-async function sendPhotoInstructions(phoneNumber) {
-  const instructions = `📷 Perfect! Now please send me your selfie.
+// Localized message for a user (see locales/)
+function t(phoneNumber, key, variables) {
+  const conversation = conversationManager.getConversation(phoneNumber);
 
-Remember:
-• Good lighting is key!
-• Face the camera
-• Plain background
-• Clear, unblurry photo
+  return messages.t(conversation?.locale, key, {
+    name: conversation?.userInfo?.name || '',
+    ...variables
+  });
+}
 
-I'll analyze your colors as soon as you send it! ✨`;
+function sendMessage(phoneNumber, key, variables) {
+  return messaging.sendTextMessage(phoneNumber, t(phoneNumber, key, variables));
+}
 
-  await aisensyAPI.sendTextMessage(phoneNumber, instructions);
+// Message templates
+async function sendWelcomeMessage(phoneNumber) {
+  await messaging.sendButtonMessage(phoneNumber, t(phoneNumber, 'welcome'), [
+    { id: 'start_analysis', text: t(phoneNumber, 'welcomeButton') }
+  ], { replyHint: t(phoneNumber, 'replyWithNumber') });
 }
 
-async function sendAnalysisResults(phoneNumber, analysis) {
-  // Main result message
-  const resultText = `🎉 Analysis Complete!
+async function sendGuideMessage(phoneNumber) {
+  await sendMessage(phoneNumber, 'guide');
+}
 
-🌟 **You're a ${analysis.personal_profile.season}!**
+async function sendPhotoInstructions(phoneNumber) {
+  await sendMessage(phoneNumber, 'photoInstructions');
+}
 
-${analysis.personal_profile.summary}
+// Analyses in another language carry translated chat text in `localized`
+// (see GeminiAnalysisProvider); anything missing falls back to English
+function localizeAnalysis(base, localized) {
+  if (localized === undefined || localized === null || localized === '') return base;
+  if (Array.isArray(base)) {
+    return base.map((item, index) => localizeAnalysis(item, Array.isArray(localized) ? localized[index] : undefined));
+  }
+  if (base && typeof base === 'object') {
+    return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, localizeAnalysis(value, localized[key])]));
+  }
+  return localized;
+}
 
-**Your undertone:** ${analysis.personal_profile.undertone}`;
+async function sendAnalysisResults(phoneNumber, storedAnalysis) {
+  const { localized, ...english } = storedAnalysis;
+  const analysis = localizeAnalysis(english, localized);
+  const formatColors = colors => colors.map(color => `${color.name} (${color.hex})`).join('\n• ');
 
-  await aisensyAPI.sendTextMessage(phoneNumber, resultText);
+  // Main result message
+  await sendMessage(phoneNumber, 'resultsSummary', {
+    season: analysis.personal_profile.season,
+    summary: analysis.personal_profile.summary,
+    undertone: analysis.personal_profile.undertone
+  });
 
   // Key colors
   if (analysis.color_palettes.key_colors?.length) {
-    const keyColors = analysis.color_palettes.key_colors
-      .slice(0, 6)
-      .map(color => `${color.name} (${color.hex})`)
-      .join('\n• ');
-    
-    await aisensyAPI.sendTextMessage(phoneNumber, `🎨 **Your Key Colors:**\n• ${keyColors}`);
+    await sendMessage(phoneNumber, 'resultsKeyColors', {
+      colors: formatColors(analysis.color_palettes.key_colors.slice(0, 6))
+    });
+  }
+
+  // Key colors flagged as close to a color to avoid (see PaletteProcessor)
+  const conflicts = (analysis.color_palettes.key_colors || []).filter(color => color.close_to_avoid);
+  if (conflicts.length) {
+    const avoidName = flag => (analysis.colors_to_avoid || []).find(color => color.hex === flag.hex)?.name || flag.name;
+
+    await sendMessage(phoneNumber, 'resultsCloseToAvoid', {
+      colors: conflicts
+        .map(color => `${color.name} (${color.hex}) ≈ ${avoidName(color.close_to_avoid)} (${color.close_to_avoid.hex})`)
+        .join('\n• ')
+    });
   }
 
   // Neutrals
   if (analysis.color_palettes.neutrals?.length) {
-    const neutrals = analysis.color_palettes.neutrals
-      .map(color => `${color.name} (${color.hex})`)
-      .join('\n• ');
-    
-    await aisensyAPI.sendTextMessage(phoneNumber, `🤍 **Your Best Neutrals:**\n• ${neutrals}`);
+    await sendMessage(phoneNumber, 'resultsNeutrals', {
+      colors: formatColors(analysis.color_palettes.neutrals)
+    });
   }
 
   // Quick recommendations
   if (analysis.recommendations) {
-    const quickRecs = `💄 **Quick Recommendations:**
-
-**Makeup Style:** ${analysis.recommendations.makeup?.vibe}
-**Best Lipstick:** ${analysis.recommendations.makeup?.lipstick}
-**Hair Colors:** ${analysis.recommendations.hair_colors?.slice(0, 3).join(', ')}
-**Jewelry:** ${analysis.recommendations.style?.jewelry}`;
-
-    await aisensyAPI.sendTextMessage(phoneNumber, quickRecs);
+    await sendMessage(phoneNumber, 'resultsRecommendations', {
+      makeupVibe: analysis.recommendations.makeup?.vibe,
+      lipstick: analysis.recommendations.makeup?.lipstick,
+      hairColors: analysis.recommendations.hair_colors?.slice(0, 3).join(', '),
+      jewelry: analysis.recommendations.style?.jewelry
+    });
   }
 
   // Colors to avoid
   if (analysis.colors_to_avoid?.length) {
-    const avoidColors = analysis.colors_to_avoid
-      .slice(0, 4)
-      .map(color => `${color.name} (${color.hex})`)
-      .join('\n• ');
-    
-    await aisensyAPI.sendTextMessage(phoneNumber, `⚠️ **Colors to Use Carefully:**\n• ${avoidColors}`);
+    await sendMessage(phoneNumber, 'resultsAvoid', {
+      colors: formatColors(analysis.colors_to_avoid.slice(0, 4))
+    });
   }
 
   // Options for next steps
@@ -560,171 +534,301 @@ ${analysis.personal_profile.summary}
 }
 
 async function sendResultsOptions(phoneNumber) {
-  const optionsText = `What would you like to do next? 💖
-
-1. 📄 Get Complete Style Guide (15-page PDF with detailed recommendations - ₹699)
-2. 🔄 Analyze Another Photo (Start fresh with a new selfie)
-3. 📱 Share My Results (Share your color season with friends)
-
-Reply with the number of your choice.`;
-
-  await aisensyAPI.sendTextMessage(phoneNumber, optionsText);
+  await messaging.sendListMessage(phoneNumber, t(phoneNumber, 'resultsOptions'), t(phoneNumber, 'resultsOptionsButton'), [
+    {
+      rows: [
+        {
+          id: 'get_pdf',
+          title: t(phoneNumber, 'optionPdfTitle'),
+          description: t(phoneNumber, 'optionPdfDescription', { price: paymentManager.getDisplayPrice() })
+        },
+        {
+          id: 'new_analysis',
+          title: t(phoneNumber, 'optionNewTitle'),
+          description: t(phoneNumber, 'optionNewDescription')
+        },
+        {
+          id: 'share_results',
+          title: t(phoneNumber, 'optionShareTitle'),
+          description: t(phoneNumber, 'optionShareDescription')
+        }
+      ]
+    }
+  ], { replyHint: t(phoneNumber, 'replyWithNumber') });
 }
 
 async function handlePDFRequest(phoneNumber, conversation) {
   if (!conversation.analysis) {
-    await aisensyAPI.sendTextMessage(
-      phoneNumber,
-      "Please complete your color analysis first before purchasing the PDF guide! Type 'start' to begin. ✨"
-    );
+    await sendMessage(phoneNumber, 'pdfRequiresAnalysis');
     return;
   }
 
-  const pdfText = `📚 **Complete Style Guide - ₹699**
-
-Get your personalized 15-page PDF including:
-• Complete color palettes with hex codes
-• Specific makeup brand recommendations
-• Hair color suggestions with examples
-• Fashion styling tips
-• Printable wallet-sized color card
-• Shopping guides for different budgets
-
-This one-time payment gives you everything you need to transform your style! 💫`;
 
   try {
     // Create payment link
     const paymentLink = await paymentManager.createPaymentLink(phoneNumber, conversation.analysis);
     
-    await aisensyAPI.sendTextMessage(phoneNumber, pdfText);
-    await aisensyAPI.sendTextMessage(
-      phoneNumber, 
-      `💳 **Pay securely here:** ${paymentLink}\n\nAfter payment, I'll send your complete PDF guide instantly! ✨`
+    await sendMessage(phoneNumber, 'pdfOffer', { price: paymentManager.getDisplayPrice() });
+    await messaging.sendButtonMessage(
+      phoneNumber,
+      t(phoneNumber, 'pdfPaymentLink', { link: paymentLink }),
+      [{ id: 'check_payment', text: t(phoneNumber, 'pdfPaidButton') }],
+      { replyHint: t(phoneNumber, 'replyWithNumber') }
     );
 
-    conversation.state = 'payment_pending';
     conversation.paymentLink = paymentLink;
+    await stateMachine.trigger(conversation, 'payment_link_sent', { phoneNumber });
   } catch (error) {
     console.error('Payment link creation error:', error);
-    await aisensyAPI.sendTextMessage(
-      phoneNumber,
-      "Sorry, there was an issue creating your payment link. Please try again in a moment."
-    );
+    await sendMessage(phoneNumber, 'paymentLinkError');
   }
 }
 
 async function resetAnalysis(phoneNumber, conversation) {
-  conversation.state = 'guide_shown';
   conversation.analysis = null;
+  conversation.analysisJobId = null;
   conversation.paymentLink = null;
   
-  await aisensyAPI.sendTextMessage(
-    phoneNumber,
-    "Let's start fresh! 🌟 Ready for your new color analysis?"
-  );
+  await sendMessage(phoneNumber, 'resetAnalysis');
   
   await sendGuideMessage(phoneNumber);
 }
 
 async function shareResults(phoneNumber, conversation) {
   if (!conversation.analysis) {
-    await aisensyAPI.sendTextMessage(
-      phoneNumber,
-      "Please complete your analysis first! Type 'start' to begin. ✨"
-    );
+    await sendMessage(phoneNumber, 'shareRequiresAnalysis');
     return;
   }
 
-  const shareText = `🎨 I just discovered I'm a ${conversation.analysis.personal_profile.season}! 
-
-✨ Want to find your perfect colors too? 
-💬 Message this number for your free Korean Color Analysis!
-
-#ColorAnalysis #KoreanColorAnalysis #PersonalColors`;
+  const shareText = t(phoneNumber, 'shareText', { season: conversation.analysis.personal_profile.season });
 
-  await aisensyAPI.sendTextMessage(
-    phoneNumber,
-    `Here's a message you can share with friends: 📱\n\n${shareText}`
-  );
+  await sendMessage(phoneNumber, 'shareIntro', { shareText });
 }
 
 async function checkPaymentStatus(phoneNumber, conversation) {
-  await aisensyAPI.sendTextMessage(
-    phoneNumber,
-    "Checking your payment status... Please wait a moment! 🔄"
-  );
+  await sendMessage(phoneNumber, 'checkingPayment');
 
   try {
     // Check payment status logic here
     const paymentData = paymentManager.getPaymentByPhoneNumber(phoneNumber);
     
     if (paymentData && paymentData.status === 'completed') {
-      await aisensyAPI.sendTextMessage(
-        phoneNumber,
-        "🎉 Payment confirmed! Generating your complete style guide... This will take about 30 seconds."
-      );
+      if (conversation.pdfOrderId === paymentData.orderId) {
+        // Already delivered (e.g. by the Razorpay webhook)
+        await resendGuideLink(phoneNumber, conversation);
+        await stateMachine.trigger(conversation, 'guide_delivered', { phoneNumber });
+      } else {
+        await sendPaidGuide(phoneNumber, conversation, paymentData);
+      }
+    } else {
+      await sendMessage(phoneNumber, 'paymentNotVerified');
+    }
+  } catch (error) {
+    console.error('Payment status check error:', error);
+    await sendMessage(phoneNumber, 'paymentCheckError');
+  }
+}
+
+// Generate the purchased guide and send the download link
+async function sendPaidGuide(phoneNumber, conversation, paymentData) {
+  await sendMessage(phoneNumber, 'guideGenerating');
+
+  const pdfUrl = await generatePDF(paymentData.analysis || conversation.analysis, phoneNumber, paymentData.orderId);
+
+  await sendMessage(phoneNumber, 'guideReady', { link: pdfUrl, days: linkSigner.getValidityDays() });
+
+  conversation.pdfGenerated = true;
+  await stateMachine.trigger(conversation, 'guide_delivered', { phoneNumber });
+}
+
+// Orders currently being delivered, so duplicate webhook events don't race
+const deliveriesInProgress = new Set();
 
-      // Generate and send PDF
-      const pdfUrl = await generatePDF(conversation.analysis, phoneNumber);
-      
-      await aisensyAPI.sendTextMessage(
-        phoneNumber,
-        `📚 Your complete Korean Color Analysis guide is ready! 
+// Post-payment delivery triggered by Razorpay webhooks
+async function deliverPaidGuide(paymentData) {
+  const { phoneNumber, orderId } = paymentData;
+  const conversation = conversationManager.getConversation(phoneNumber);
 
-Download it here: ${pdfUrl}
+  if (!conversation) {
+    console.error(`No conversation found for paid order ${orderId}`);
+    return;
+  }
+
+  if (conversation.pdfOrderId === orderId || deliveriesInProgress.has(orderId)) {
+    console.log(`Guide for order ${orderId} already delivered`);
+    return;
+  }
+
+  deliveriesInProgress.add(orderId);
+
+  try {
+    await stateMachine.trigger(conversation, 'payment_confirmed', { phoneNumber });
+    conversationManager.setPaymentInfo(phoneNumber, {
+      orderId,
+      paymentId: paymentData.paymentId,
+      status: paymentData.status
+    });
+
+    await sendPaidGuide(phoneNumber, conversation, paymentData);
+  } catch (error) {
+    console.error(`Guide delivery error for order ${orderId}:`, error);
+    await sendMessage(phoneNumber, 'guideDeliveryError');
+  } finally {
+    deliveriesInProgress.delete(orderId);
+    conversationManager.saveConversation(phoneNumber, conversation);
+  }
+}
+
+// HELP: what the user can do at their current step
+async function sendHelp(phoneNumber, conversation) {
+  const stepKey = `stepHelp.${conversation.state}`;
+  const stepHelp = t(phoneNumber, messages.has(conversation.locale, stepKey) ? stepKey : 'stepHelp.initial');
 
-This link will be valid for 7 days. Save it to your device!
+  await sendMessage(phoneNumber, 'help', { stepHelp });
+}
+
+// STATUS: season and payment state
+async function sendStatus(phoneNumber, conversation) {
+  const season = conversation.analysis?.personal_profile?.season;
+  const paymentData = paymentManager.getPaymentByPhoneNumber(phoneNumber);
+
+  let paymentStatus = 'paymentStatusNone';
+  if (paymentData?.status === 'completed') {
+    paymentStatus = conversation.pdfOrderId === paymentData.orderId ?
+      'paymentStatusDelivered' :
+      'paymentStatusPreparing';
+  } else if (paymentData?.status === 'failed') {
+    paymentStatus = 'paymentStatusFailed';
+  } else if (paymentData) {
+    paymentStatus = 'paymentStatusWaiting';
+  }
 
-Thank you for choosing us! If you love your results, please share with friends! 💖`
-      );
+  await sendMessage(phoneNumber, 'status', {
+    season: season || t(phoneNumber, 'statusNotAnalyzed'),
+    paymentStatus: t(phoneNumber, paymentStatus),
+    updates: t(phoneNumber, conversation.optedOut ? 'updatesOff' : 'updatesOn')
+  });
+}
 
-      conversation.state = 'completed';
-      conversation.pdfGenerated = true;
+// STOP / RESUME
+async function setOptOut(phoneNumber, optedOut) {
+  conversationManager.setOptOut(phoneNumber, optedOut);
+
+  await sendMessage(phoneNumber, optedOut ? 'optedOut' : 'optedIn');
+}
+
+// LANGUAGE [name]: switch locale, or list the choices when none is named
+async function changeLanguage(phoneNumber, conversation, text) {
+  const locale = messages.parseLocale(text);
+
+  if (!locale) {
+    await sendMessage(phoneNumber, 'languagePrompt');
+    return;
+  }
+
+  conversation.locale = locale;
+  await sendMessage(phoneNumber, 'languageChanged');
+}
+
+// MY DATA export links are short-lived: they expose everything about the user
+const DATA_EXPORT_LINK_TTL_MS = 24 * 60 * 60 * 1000;
+
+async function sendDataExport(phoneNumber) {
+  const token = linkSigner.sign({ dataExport: phoneNumber }, DATA_EXPORT_LINK_TTL_MS);
+  const exportUrl = `${process.env.BASE_URL}/my-data/${token}`;
+
+  await sendMessage(phoneNumber, 'dataExport', { link: exportUrl });
+}
+
+// How long a DELETE MY DATA request waits for the user to confirm
+const DELETION_CONFIRM_WINDOW_MS = 10 * 60 * 1000;
+
+async function requestDataDeletion(phoneNumber, conversation) {
+  conversation.deletionRequestedAt = Date.now();
+
+  await sendMessage(phoneNumber, 'deleteConfirm');
+}
+
+// Erase the conversation, generated guides, cached analyses, pending jobs
+// and payment records
+async function deleteUserData(phoneNumber, conversation) {
+  const requestedAt = conversation.deletionRequestedAt;
+
+  if (!requestedAt || Date.now() - requestedAt > DELETION_CONFIRM_WINDOW_MS) {
+    conversation.deletionRequestedAt = null;
+    await sendMessage(phoneNumber, 'deleteNeedsRequest');
+    return;
+  }
+
+  // Everything kept under this number, not just the latest guide and
+  // photo. A job already running is discarded when it finishes, as the
+  // conversation is gone by then.
+  const jobsCancelled = analysisQueue.removeWhere(job => job.data.phoneNumber === phoneNumber);
+  const pdfsDeleted = pdfGenerator.deleteFilesFor(phoneNumber);
+  const cachedDeleted = analysisCache.purgePhoneNumber(phoneNumber);
+
+  // Render before deleting: the conversation holds the user's locale
+  const confirmation = t(phoneNumber, 'deleteDone');
+  const paymentsDeleted = paymentManager.deletePaymentsByPhoneNumber(phoneNumber);
+  conversationManager.deleteUserData(phoneNumber);
+
+  console.log(`🗑️ Deleted data for ${phoneNumber} (${paymentsDeleted} payment records, ${pdfsDeleted} guides, ` +
+    `${cachedDeleted} cached analyses, ${jobsCancelled} pending jobs)`);
+
+  await messaging.sendTextMessage(phoneNumber, confirmation);
+}
+
+// Send a fresh download link for an already purchased guide
+async function resendGuideLink(phoneNumber, conversation) {
+  const paymentData = conversation.pdfOrderId && paymentManager.getPayment(conversation.pdfOrderId);
+
+  if (!paymentData || paymentData.status !== 'completed') {
+    await sendMessage(phoneNumber, 'guideNotFound');
+    return;
+  }
+
+  try {
+    let pdfUrl;
+
+    if (conversation.pdfFile && fs.existsSync(pdfGenerator.getFilePath(conversation.pdfFile))) {
+      pdfUrl = createDownloadLink(conversation.pdfFile, paymentData.orderId);
     } else {
-      await aisensyAPI.sendTextMessage(
-        phoneNumber,
-        "I couldn't verify your payment yet. Please try again in a few minutes or contact support if you've already paid. 🙏"
-      );
+      pdfUrl = await generatePDF(paymentData.analysis || conversation.analysis, phoneNumber, paymentData.orderId);
     }
+
+    await sendMessage(phoneNumber, 'guideLinkResent', { link: pdfUrl, days: linkSigner.getValidityDays() });
+
   } catch (error) {
-    console.error('Payment status check error:', error);
-    await aisensyAPI.sendTextMessage(
-      phoneNumber,
-      "There was an error checking your payment. Please contact support. 🙏"
-    );
+    console.error('Guide link resend error:', error);
+    await sendMessage(phoneNumber, 'guideLinkError');
   }
 }
 
-// PDF Generation placeholder
-async function generatePDF(analysis, phoneNumber) {
-  // This would implement actual PDF generation
-  const fileName = `color-analysis-${phoneNumber}-${Date.now()}.pdf`;
-  const pdfUrl = `${process.env.BASE_URL}/pdfs/${fileName}`;
-  
-  // TODO: Implement actual PDF generation logic
-  
+// PDF Generation
+async function generatePDF(analysis, phoneNumber, orderId) {
+  const { fileName } = await pdfGenerator.generate(analysis, phoneNumber);
+  const pdfUrl = createDownloadLink(fileName, orderId);
+
+  conversationManager.markPDFGenerated(phoneNumber, pdfUrl, { pdfFile: fileName, pdfOrderId: orderId });
+
   return pdfUrl;
 }
 
-// Payment routes
-app.get('/pay/:orderId', async (req, res) => {
-  const { orderId } = req.params;
-  
-  try {
-    const paymentData = paymentManager.pendingPayments.get(orderId);
-    
-    if (!paymentData) {
-      return res.status(404).send('Payment not found');
-    }
+function createDownloadLink(fileName, orderId) {
+  const token = linkSigner.sign({ file: fileName, orderId });
+  return `${process.env.BASE_URL}/pdfs/${token}`;
+}
 
-    const html = `
+function renderLinkErrorPage(title, message, whatsappText = 'Resend my guide link') {
+  const resendUrl = `https://wa.me/${process.env.WHATSAPP_PHONE_NUMBER}?text=${encodeURIComponent(whatsappText)}`;
+
+  return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Korean Color Analysis - Payment</title>
-    <script src="https://checkout.razorpay.com/v1/checkout.js"></script>
+    <title>${title} - Korean Color Analysis</title>
     <style>
         body {
             font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
@@ -745,75 +849,166 @@ app.get('/pay/:orderId', async (req, res) => {
             width: 100%;
             text-align: center;
         }
-        .header {
-            background: linear-gradient(135deg, #ec4899, #f43f5e);
+        h1 { color: #1f2937; font-size: 26px; margin-bottom: 16px; }
+        p { color: #6b7280; line-height: 1.6; margin-bottom: 24px; }
+        .whatsapp-btn {
+            background: linear-gradient(135deg, #25d366, #128c7e);
             color: white;
-            padding: 30px;
-            border-radius: 16px;
-            margin-bottom: 30px;
-        }
-        h1 { font-size: 28px; margin-bottom: 8px; }
-        .amount { font-size: 48px; font-weight: bold; color: #1f2937; margin-bottom: 8px; }
-        .pay-btn {
-            background: linear-gradient(135deg, #ec4899, #f43f5e);
-            color: white;
-            border: none;
             padding: 16px 32px;
             border-radius: 16px;
-            font-size: 18px;
+            font-size: 16px;
             font-weight: bold;
-            cursor: pointer;
-            width: 100%;
+            text-decoration: none;
+            display: inline-block;
         }
     </style>
 </head>
 <body>
     <div class="container">
-        <div class="header">
-            <h1>Complete Style Guide</h1>
-            <p>Your personalized color analysis</p>
-        </div>
-        <div class="amount">₹699</div>
-        <button class="pay-btn" onclick="makePayment()" id="payBtn">
-            💳 Pay Securely with Razorpay
-        </button>
+        <h1>${title}</h1>
+        <p>${message}</p>
+        <a href="${resendUrl}" class="whatsapp-btn">📱 Send me a fresh link on WhatsApp</a>
     </div>
-
-    <script>
-        function makePayment() {
-            const options = {
-                key: '${process.env.NEXT_PUBLIC_RAZORPAY_KEY_ID}',
-                amount: ${paymentData.amount},
-                currency: 'INR',
-                name: 'Korean Color Analysis',
-                description: 'Complete Style Guide PDF',
-                order_id: '${orderId}',
-                handler: function (response) {
-                    alert('Payment successful! You will receive your PDF shortly.');
-                    window.close();
-                }
-            };
-            const rzp = new Razorpay(options);
-            rzp.open();
-        }
-    </script>
 </body>
 </html>`;
+}
 
-    res.send(html);
-    
-  } catch (error) {
-    console.error('Payment page error:', error);
-    res.status(500).send('Error loading payment page');
+// Generated PDF downloads (signed, expiring links)
+app.get('/pdfs/:token', (req, res) => {
+  const result = linkSigner.verify(req.params.token);
+
+  if (!result.valid) {
+    if (result.reason === 'expired') {
+      return res.status(410).send(renderLinkErrorPage(
+        'This link has expired',
+        "Download links are only valid for a limited time to keep your guide private. Don't worry, your guide is still saved — we can send you a new link right away."
+      ));
+    }
+
+    return res.status(403).send(renderLinkErrorPage(
+      'This link is not valid',
+      "We couldn't open this download link. It may have been copied incompletely. Message us on WhatsApp and we'll send you a fresh one."
+    ));
+  }
+
+  const { file, orderId } = result.payload;
+  const paymentData = paymentManager.getPayment(orderId);
+
+  if (!paymentData || paymentData.status !== 'completed' || path.basename(file) !== file) {
+    return res.status(403).send(renderLinkErrorPage(
+      'This link is not valid',
+      "We couldn't match this link to a completed order. Message us on WhatsApp and we'll sort it out."
+    ));
+  }
+
+  const filePath = pdfGenerator.getFilePath(file);
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).send(renderLinkErrorPage(
+      'Guide not found',
+      "We couldn't find this guide on our server. Message us on WhatsApp and we'll generate a fresh copy for you."
+    ));
+  }
+
+  res.download(filePath, 'korean-color-analysis-guide.pdf');
+});
+
+// MY DATA exports (signed, expiring links). Built on every download so they
+// never go stale and no copy of the data is left on disk.
+app.get('/my-data/:token', (req, res) => {
+  const result = linkSigner.verify(req.params.token);
+  const phoneNumber = result.valid && result.payload.dataExport;
+
+  if (!phoneNumber) {
+    return res.status(result.reason === 'expired' ? 410 : 403).send(renderLinkErrorPage(
+      result.reason === 'expired' ? 'This link has expired' : 'This link is not valid',
+      'Data export links are only valid for 24 hours. Send MY DATA on WhatsApp and we\'ll send you a new one.',
+      'MY DATA'
+    ));
+  }
+
+  const conversationData = conversationManager.exportUserData(phoneNumber);
+
+  if (!conversationData) {
+    return res.status(404).send(renderLinkErrorPage(
+      'No data found',
+      "We don't have any data stored for this number anymore.",
+      'MY DATA'
+    ));
+  }
+
+  const exportData = buildUserDataExport(
+    conversationData,
+    paymentManager.exportPaymentsByPhoneNumber(phoneNumber)
+  );
+
+  res.set('Cache-Control', 'no-store');
+
+  if (req.query.format === 'txt') {
+    res.attachment('my-color-analysis-data.txt');
+    return res.type('text/plain').send(renderUserDataSummary(exportData));
   }
+
+  res.attachment('my-color-analysis-data.json');
+  res.send(JSON.stringify(exportData, null, 2));
 });
 
+// Admin: drop cached analyses, all of them or one image's
+// (DELETE /admin/analysis-cache[/:hash], Authorization: Bearer ADMIN_TOKEN).
+// Disabled unless ADMIN_TOKEN is set.
+function isAdminRequest(req) {
+  const expected = Buffer.from(`Bearer ${process.env.ADMIN_TOKEN}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+
+  return !!process.env.ADMIN_TOKEN &&
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received);
+}
+
+app.delete(['/admin/analysis-cache', '/admin/analysis-cache/:hash'], (req, res) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const removed = analysisCache.purge(req.params.hash);
+  console.log(`🧹 Purged ${removed} cached analyses${req.params.hash ? ` for ${req.params.hash}` : ''}`);
+
+  res.json({ removed, remaining: analysisCache.size() });
+});
+
+// Payment routes
+app.use(createPaymentRouter({
+  paymentManager,
+  conversationManager,
+  messagingClient: messaging,
+  messages
+}));
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`🤖 WhatsApp Korean Color Analysis Bot (Aisensy) running on port ${PORT}`);
-  console.log(`📱 Webhook URL: ${process.env.BASE_URL}/webhook/aisensy`);
-  console.log(`🔑 API Key configured: ${AISENSY_API_KEY ? 'Yes' : 'No'}`);
+  analysisQueue.start();
+
+  if (process.env.MESSAGES_WATCH !== 'false') {
+    messages.watch();
+  }
+
+  console.log(`🤖 WhatsApp Korean Color Analysis Bot (${messaging.name}) running on port ${PORT}`);
+  console.log(`📱 Webhook URL: ${process.env.BASE_URL}/webhook`);
+});
+
+// Flush conversation storage before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    console.log(`${signal} received, saving conversations...`);
+    conversationManager.close();
+    messageDeduplicator.flush();
+    analysisCache.flush();
+    process.exit(0);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,157 @@
+// utils/AnalysisCache.js - Remembers analyses by image hash so a re-sent photo gets the same result
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./storage/JsonFile');
+
+class AnalysisCache {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || Number(process.env.ANALYSIS_CACHE_TTL_MS) || 30 * 24 * 60 * 60 * 1000; // 30 days
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'analysis-cache.json');
+    this.entries = new Map(); // key() -> { imageHash, analysis, provider, language, phoneNumbers, createdAt, expiresAt }
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      label: 'analysis cache',
+      serialize: () => Array.from(this.entries.entries())
+    });
+
+    this.load();
+
+    // Drop expired analyses every hour
+    setInterval(() => {
+      this.cleanup();
+    }, 60 * 60 * 1000).unref();
+  }
+
+  // SHA-256 of the normalized photo (see ImageNormalizer), so the same
+  // selfie hashes the same whatever metadata it was sent with
+  static hash(imageBuffer) {
+    return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  }
+
+  // Analyses are kept per image and language: the translations in
+  // `localized` only fit the language they were made for, so the same photo
+  // from a user in another language is a miss and gets analysed in theirs.
+  static key(hash, language) {
+    return `${hash}:${language || 'English'}`;
+  }
+
+  // A copy of the cached analysis, or null. Entries from another provider
+  // don't count.
+  get(hash, { provider, language } = {}) {
+    const entry = this.entries.get(AnalysisCache.key(hash, language));
+    if (!entry || entry.expiresAt <= Date.now() || (provider && entry.provider !== provider)) {
+      return null;
+    }
+
+    return JSON.parse(JSON.stringify(entry.analysis));
+  }
+
+  // Stores a copy, so later changes to the caller's analysis (which goes on
+  // to the conversation and payment records) don't reach the cache
+  set(hash, analysis, { provider, language, phoneNumber } = {}) {
+    const now = Date.now();
+
+    this.entries.set(AnalysisCache.key(hash, language), {
+      imageHash: hash,
+      analysis: JSON.parse(JSON.stringify(analysis)),
+      provider: provider || null,
+      language: language || null,
+      phoneNumbers: phoneNumber ? [phoneNumber] : [],
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    });
+    this.scheduleWrite();
+  }
+
+  // Records another user who was given this image's analysis, so deleting
+  // their data removes it too
+  addPhoneNumber(hash, phoneNumber) {
+    let added = false;
+
+    for (const entry of this.entries.values()) {
+      if (entry.imageHash === hash && !entry.phoneNumbers.includes(phoneNumber)) {
+        entry.phoneNumbers.push(phoneNumber);
+        added = true;
+      }
+    }
+
+    if (added) {
+      this.scheduleWrite();
+    }
+  }
+
+  // Removes every analysis given to this user. Returns how many were removed.
+  purgePhoneNumber(phoneNumber) {
+    let removed = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.phoneNumbers.includes(phoneNumber)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.scheduleWrite();
+    }
+    return removed;
+  }
+
+  // Removes one image's analyses (every language), or everything without a
+  // hash. Returns how many entries were removed.
+  purge(hash) {
+    let removed = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (!hash || entry.imageHash === hash) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.scheduleWrite();
+    }
+    return removed;
+  }
+
+  size() {
+    return this.entries.size;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      this.scheduleWrite();
+    }
+  }
+
+  load() {
+    // Older files were keyed by image hash alone and didn't record users
+    this.entries = new Map(this.file.read([]).map(([key, entry]) => {
+      const imageHash = entry.imageHash || key;
+      return [AnalysisCache.key(imageHash, entry.language), { phoneNumbers: [], ...entry, imageHash }];
+    }));
+    this.cleanup();
+  }
+
+  // Batch writes so a burst of analyses doesn't rewrite the file each time
+  scheduleWrite() {
+    this.file.scheduleWrite();
+  }
+
+  flush() {
+    this.file.flush();
+  }
+}
+
+module.exports = AnalysisCache;
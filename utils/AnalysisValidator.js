@@ -0,0 +1,37 @@
+// utils/AnalysisValidator.js - Checks analyses against utils/analysisSchema.js
+const Ajv = require('ajv');
+const defaultSchema = require('./analysisSchema');
+
+class AnalysisValidator {
+  constructor(options = {}) {
+    const ajv = new Ajv({ allErrors: true });
+    this.validateSchema = ajv.compile(options.schema || defaultSchema);
+  }
+
+  // Returns { valid, errors } with field-level errors, e.g.
+  // "/color_palettes/key_colors: must NOT have fewer than 6 items"
+  validate(analysis) {
+    if (this.validateSchema(analysis)) {
+      return { valid: true, errors: [] };
+    }
+
+    return { valid: false, errors: this.validateSchema.errors.map(error => this.describe(error)) };
+  }
+
+  describe(error) {
+    const field = error.instancePath || '(root)';
+
+    switch (error.keyword) {
+      case 'required':
+        return `${field}: missing "${error.params.missingProperty}"`;
+      case 'additionalProperties':
+        return `${field}: unexpected "${error.params.additionalProperty}"`;
+      case 'pattern':
+        return `${field}: must be a hex color like "#A1B2C3"`;
+      default:
+        return `${field}: ${error.message}`;
+    }
+  }
+}
+
+module.exports = AnalysisValidator;
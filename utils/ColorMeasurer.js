@@ -0,0 +1,200 @@
+// utils/ColorMeasurer.js - Measures skin and hair colour from a selfie (CIELAB)
+//
+// Gives the analysis numbers that don't change between runs. There is no
+// face detection: the guide asks for a centred, front-facing selfie, so the
+// face is taken to be the box around the skin-coloured pixels in the middle
+// of the photo, and the forehead and cheeks are fixed spots inside it. Eyes
+// are too small to find reliably this way and are left to the model.
+const sharp = require('sharp');
+const { rgbToLab, rgbToHex } = require('./colorSpace');
+
+// b*/a* below COOL is pink-leaning skin, above WARM yellow-leaning
+const UNDERTONE_RATIO = { cool: 1.1, warm: 1.5 };
+// Skin L* thresholds
+const VALUE_LEVELS = { light: 65, deep: 50 };
+// Skin C* thresholds
+const CHROMA_LEVELS = { muted: 18, clear: 26 };
+// Skin/hair L* difference thresholds
+const CONTRAST_LEVELS = { low: 20, high: 40 };
+
+// Where to sample, as fractions of the face box
+const SKIN_SPOTS = [
+  { name: 'forehead', x: 0.5, y: 0.2 },
+  { name: 'leftCheek', x: 0.28, y: 0.6 },
+  { name: 'rightCheek', x: 0.72, y: 0.6 }
+];
+const SPOT_RADIUS = 0.1;
+
+class ColorMeasurer {
+  constructor(options = {}) {
+    this.sampleSize = options.sampleSize || 256;
+    // Fewer skin pixels than this share of the photo means no usable face
+    this.minSkinShare = options.minSkinShare ?? 0.02;
+  }
+
+  // Resolves to the measurements, or null when no face-like skin area is found
+  async measure(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .resize(this.sampleSize, this.sampleSize, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return this.measurePixels(data, info.width, info.height, info.channels);
+  }
+
+  measurePixels(data, width, height, channels = 3) {
+    const pixel = (x, y) => {
+      const offset = (y * width + x) * channels;
+      return [data[offset], data[offset + 1], data[offset + 2]];
+    };
+
+    const face = this.findFace(pixel, width, height);
+    if (!face) return null;
+
+    const skinPixels = [];
+    SKIN_SPOTS.forEach(spot => {
+      this.collectCircle(face, spot, SPOT_RADIUS, (x, y) => {
+        const rgb = pixel(x, y);
+        if (isSkin(rgb)) skinPixels.push(rgb);
+      }, width, height);
+    });
+
+    if (skinPixels.length < 20) return null;
+
+    const skin = summarize(skinPixels);
+    const hair = this.measureHair(pixel, face, width);
+
+    const measurements = {
+      skin: {
+        ...skin,
+        undertone: levelOf(skin.undertoneRatio, UNDERTONE_RATIO, ['cool', 'neutral', 'warm']),
+        value: levelOf(skin.lab.l, VALUE_LEVELS, ['deep', 'medium', 'light']),
+        chromaLevel: levelOf(skin.chroma, CHROMA_LEVELS, ['muted', 'moderate', 'clear'])
+      },
+      hair,
+      contrast: null
+    };
+
+    if (hair) {
+      const difference = round(Math.abs(skin.lab.l - hair.lab.l));
+      measurements.contrast = {
+        lightnessDifference: difference,
+        level: levelOf(difference, CONTRAST_LEVELS, ['low', 'medium', 'high'])
+      };
+    }
+
+    return measurements;
+  }
+
+  // Box around the skin-coloured pixels in the middle of the photo, trimmed
+  // by percentiles so a stray hand or warm background doesn't stretch it
+  findFace(pixel, width, height) {
+    const xs = [];
+    const ys = [];
+    const left = Math.floor(width * 0.15);
+    const right = Math.ceil(width * 0.85);
+    const top = Math.floor(height * 0.05);
+    const bottom = Math.ceil(height * 0.9);
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        if (isSkin(pixel(x, y))) {
+          xs.push(x);
+          ys.push(y);
+        }
+      }
+    }
+
+    if (xs.length < (right - left) * (bottom - top) * this.minSkinShare) return null;
+
+    xs.sort((a, b) => a - b);
+    ys.sort((a, b) => a - b);
+
+    // The neck sits below the face, so the bottom edge is trimmed harder
+    const face = {
+      x: percentile(xs, 0.1),
+      y: percentile(ys, 0.05),
+      width: percentile(xs, 0.9) - percentile(xs, 0.1),
+      height: percentile(ys, 0.8) - percentile(ys, 0.05)
+    };
+
+    return face.width > 4 && face.height > 4 ? face : null;
+  }
+
+  // Non-skin pixels in a band just above the forehead
+  measureHair(pixel, face, width) {
+    const hairPixels = [];
+    const bandHeight = Math.round(face.height * 0.15);
+    const left = Math.round(face.x + face.width * 0.3);
+    const right = Math.min(width, Math.round(face.x + face.width * 0.7));
+
+    for (let y = Math.max(0, face.y - bandHeight); y < face.y; y++) {
+      for (let x = left; x < right; x++) {
+        const rgb = pixel(x, y);
+        if (!isSkin(rgb)) hairPixels.push(rgb);
+      }
+    }
+
+    if (hairPixels.length < 20) return null;
+
+    const { lab, hex } = summarize(hairPixels);
+    return { lab, hex };
+  }
+
+  collectCircle(face, spot, radius, visit, width, height) {
+    const centerX = face.x + face.width * spot.x;
+    const centerY = face.y + face.height * spot.y;
+    const r = face.width * radius;
+
+    for (let y = Math.max(0, Math.floor(centerY - r)); y <= Math.min(height - 1, Math.ceil(centerY + r)); y++) {
+      for (let x = Math.max(0, Math.floor(centerX - r)); x <= Math.min(width - 1, Math.ceil(centerX + r)); x++) {
+        if ((x - centerX) ** 2 + (y - centerY) ** 2 <= r * r) visit(x, y);
+      }
+    }
+  }
+}
+
+// YCbCr skin range (Chai & Ngan), which holds across skin tones. The
+// brightness floor keeps dark brown hair out.
+function isSkin([r, g, b]) {
+  const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return luma > 50 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Median colour, which ignores highlights and shadows better than the mean
+function summarize(pixels) {
+  const median = channel => percentile(pixels.map(rgb => rgb[channel]).sort((a, b) => a - b), 0.5);
+  const rgb = [median(0), median(1), median(2)];
+  const lab = rgbToLab(...rgb);
+
+  return {
+    lab: { l: round(lab.l), a: round(lab.a), b: round(lab.b) },
+    hex: rgbToHex(...rgb),
+    undertoneRatio: lab.a > 0 ? round(lab.b / lab.a) : null,
+    chroma: round(Math.hypot(lab.a, lab.b)),
+    samples: pixels.length
+  };
+}
+
+// thresholds: { <lowLevel>: n, <highLevel>: m } with labels [low, middle, high]
+function levelOf(value, thresholds, [low, middle, high]) {
+  if (value === null) return middle;
+  if (value < thresholds[low]) return low;
+  if (value > thresholds[high]) return high;
+  return middle;
+}
+
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = ColorMeasurer;
@@ -1,26 +1,28 @@
 // utils/ConversationManager.js
 const fs = require('fs');
 const path = require('path');
+const createConversationStore = require('./storage/createConversationStore');
+
+// Stored conversation fields that are not part of a user data export: the
+// signed guide link and the guide's file name on the server
+const EXPORT_EXCLUDED_FIELDS = ['pdfUrl', 'pdfFile'];
 
 class ConversationManager {
-  constructor() {
+  constructor(options = {}) {
     this.conversations = new Map();
-    this.dataDir = path.join(process.cwd(), 'data');
-    this.conversationsFile = path.join(this.dataDir, 'conversations.json');
+    this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
     
     // Ensure data directory exists
     if (!fs.existsSync(this.dataDir)) {
       fs.mkdirSync(this.dataDir, { recursive: true });
     }
+
+    // Storage backend (JSON file or SQLite, see CONVERSATION_STORE)
+    this.store = options.store || createConversationStore({ dataDir: this.dataDir });
     
     // Load existing conversations
     this.loadConversations();
     
-    // Auto-save every 5 minutes
-    setInterval(() => {
-      this.saveAllConversations();
-    }, 5 * 60 * 1000);
-    
     // Cleanup old conversations daily
     setInterval(() => {
       this.cleanupOldConversations();
@@ -45,6 +47,7 @@ class ConversationManager {
     };
 
     this.conversations.set(phoneNumber, conversation);
+    this.persist(conversation);
     return conversation;
   }
 
@@ -56,6 +59,7 @@ class ConversationManager {
     conversation.lastActive = new Date().toISOString();
     conversation.messageCount = (conversation.messageCount || 0) + 1;
     this.conversations.set(phoneNumber, conversation);
+    this.persist(conversation);
   }
 
   updateConversationState(phoneNumber, state, data = {}) {
@@ -68,6 +72,7 @@ class ConversationManager {
       Object.assign(conversation.sessionData, data);
       
       this.conversations.set(phoneNumber, conversation);
+      this.persist(conversation);
       return conversation;
     }
     return null;
@@ -79,6 +84,7 @@ class ConversationManager {
       conversation.analysis = analysis;
       conversation.analyzedAt = new Date().toISOString();
       this.conversations.set(phoneNumber, conversation);
+      this.persist(conversation);
       return true;
     }
     return false;
@@ -93,23 +99,43 @@ class ConversationManager {
         updatedAt: new Date().toISOString()
       };
       this.conversations.set(phoneNumber, conversation);
+      this.persist(conversation);
       return true;
     }
     return false;
   }
 
-  markPDFGenerated(phoneNumber, pdfUrl) {
+  markPDFGenerated(phoneNumber, pdfUrl, details = {}) {
     const conversation = this.getConversation(phoneNumber);
     if (conversation) {
       conversation.pdfGenerated = true;
       conversation.pdfUrl = pdfUrl;
       conversation.pdfGeneratedAt = new Date().toISOString();
+      Object.assign(conversation, details);
       this.conversations.set(phoneNumber, conversation);
+      this.persist(conversation);
+      return true;
+    }
+    return false;
+  }
+
+  // STOP / RESUME: users who opted out still get replies to their own
+  // messages and what they paid for, but no other updates (see isOptedOut)
+  setOptOut(phoneNumber, optedOut) {
+    const conversation = this.getConversation(phoneNumber);
+    if (conversation) {
+      conversation.optedOut = optedOut;
+      conversation.optedOutAt = optedOut ? new Date().toISOString() : null;
+      this.persist(conversation);
       return true;
     }
     return false;
   }
 
+  isOptedOut(phoneNumber) {
+    return !!this.getConversation(phoneNumber)?.optedOut;
+  }
+
   getActiveConversationsCount() {
     const yesterday = new Date();
     yesterday.setDate(yesterday.getDate() - 1);
@@ -175,6 +201,7 @@ class ConversationManager {
       });
       
       this.conversations.set(phoneNumber, conversation);
+      this.persist(conversation);
     }
   }
 
@@ -199,44 +226,46 @@ class ConversationManager {
     };
   }
 
-  // Export user data (for GDPR compliance)
+  // Export user data (for GDPR compliance): the whole stored record, so
+  // fields added later are exported too. Signed download links are left out;
+  // they work for anyone holding them and the export may be shared.
   exportUserData(phoneNumber) {
     const conversation = this.getConversation(phoneNumber);
     if (!conversation) return null;
 
-    return {
-      phoneNumber,
-      userInfo: conversation.userInfo,
-      createdAt: conversation.createdAt,
-      lastActive: conversation.lastActive,
-      messageCount: conversation.messageCount,
-      analysis: conversation.analysis,
-      userActions: conversation.userActions || []
-    };
+    const exported = JSON.parse(JSON.stringify(conversation));
+    EXPORT_EXCLUDED_FIELDS.forEach(field => delete exported[field]);
+    return exported;
   }
 
   // Delete user data (for GDPR compliance)
   deleteUserData(phoneNumber) {
     const deleted = this.conversations.delete(phoneNumber);
     if (deleted) {
-      this.saveAllConversations();
+      this.store.delete(phoneNumber);
+      this.store.flush();
     }
     return deleted;
   }
 
-  // File operations
+  // Storage operations
+  persist(conversation) {
+    try {
+      this.store.save(conversation);
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+    }
+  }
+
   loadConversations() {
     try {
-      if (fs.existsSync(this.conversationsFile)) {
-        const data = fs.readFileSync(this.conversationsFile, 'utf8');
-        const conversationsArray = JSON.parse(data);
-        
-        this.conversations = new Map(
-          conversationsArray.map(conv => [conv.phoneNumber, conv])
-        );
-        
-        console.log(`✅ Loaded ${this.conversations.size} conversations from disk`);
-      }
+      const conversationsArray = this.store.loadAll();
+
+      this.conversations = new Map(
+        conversationsArray.map(conv => [conv.phoneNumber, conv])
+      );
+
+      console.log(`✅ Loaded ${this.conversations.size} conversations from storage`);
     } catch (error) {
       console.error('Error loading conversations:', error);
       this.conversations = new Map();
@@ -246,18 +275,23 @@ class ConversationManager {
   saveAllConversations() {
     try {
       const conversationsArray = Array.from(this.conversations.values());
-      fs.writeFileSync(
-        this.conversationsFile, 
-        JSON.stringify(conversationsArray, null, 2), 
-        'utf8'
-      );
+      this.store.saveAll(conversationsArray);
       
-      console.log(`💾 Saved ${conversationsArray.length} conversations to disk`);
+      console.log(`💾 Saved ${conversationsArray.length} conversations to storage`);
     } catch (error) {
       console.error('Error saving conversations:', error);
     }
   }
 
+  // Write pending changes before the process exits
+  close() {
+    try {
+      this.store.close();
+    } catch (error) {
+      console.error('Error closing conversation storage:', error);
+    }
+  }
+
   // Cleanup old conversations (older than 30 days)
   cleanupOldConversations() {
     const thirtyDaysAgo = new Date();
@@ -273,13 +307,14 @@ class ConversationManager {
           !conversation.analysis && 
           !conversation.pdfGenerated) {
         this.conversations.delete(phoneNumber);
+        this.store.delete(phoneNumber);
         cleanedCount++;
       }
     }
     
     if (cleanedCount > 0) {
       console.log(`🧹 Cleaned up ${cleanedCount} old conversations`);
-      this.saveAllConversations();
+      this.store.flush();
     }
   }
 
@@ -325,6 +360,11 @@ class ConversationManager {
         matches = false;
       }
       
+      if (criteria.optedOut !== undefined &&
+          !!conversation.optedOut !== criteria.optedOut) {
+        matches = false;
+      }
+      
       if (criteria.minMessages && 
           (conversation.messageCount || 0) < criteria.minMessages) {
         matches = false;
@@ -0,0 +1,67 @@
+// utils/ImageNormalizer.js - Turns any photo we receive into an upright, metadata-free JPEG
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+
+// ftyp brands of HEVC-coded HEIF, which is what iPhones save photos as
+const HEIC_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx']);
+
+class ImageNormalizer {
+  constructor(options = {}) {
+    // Longest side of the analyzed image; larger photos only add upload time
+    this.maxDimension = options.maxDimension || Number(process.env.PHOTO_MAX_DIMENSION) || 1600;
+    this.quality = options.quality || 90;
+  }
+
+  // Accepts anything libvips can decode (JPEG, PNG, WebP, GIF, TIFF, AVIF)
+  // and HEIC. Rotates from the EXIF orientation, drops all metadata
+  // (location included) and downsizes. Resolves to
+  // { data, contentType, width, height }; rejects when the buffer isn't a
+  // readable image.
+  async normalize(imageBuffer) {
+    const image = await this.open(imageBuffer);
+    const { data, info } = await image
+      .rotate()
+      .resize(this.maxDimension, this.maxDimension, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .toColourspace('srgb')
+      .jpeg({ quality: this.quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      data,
+      contentType: 'image/jpeg',
+      width: info.width,
+      height: info.height
+    };
+  }
+
+  // The libvips prebuilt with sharp has no HEVC decoder, so HEIC goes
+  // through libheif (WebAssembly) first. libheif applies the photo's
+  // rotation itself.
+  async open(imageBuffer) {
+    if (!ImageNormalizer.isHeic(imageBuffer)) {
+      return sharp(imageBuffer);
+    }
+
+    const { width, height, data } = await decodeHeic({ buffer: imageBuffer });
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 }
+    });
+  }
+
+  // Checks the major and compatible brands of the leading ftyp box
+  static isHeic(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'ftyp') {
+      return false;
+    }
+
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    for (let offset = 8; offset + 4 <= boxEnd; offset += 4) {
+      if (offset === 12) continue; // minor version, not a brand
+      if (HEIC_BRANDS.has(buffer.toString('latin1', offset, offset + 4))) return true;
+    }
+    return false;
+  }
+}
+
+module.exports = ImageNormalizer;
@@ -0,0 +1,148 @@
+// utils/ImageQualityChecker.js - Rejects photos too poor for a reliable analysis
+//
+// Exposure and colour cast are measured on the face (found the same way as
+// in ColorMeasurer), as the plain light background the guide asks for would
+// otherwise dominate. Without a face they fall back to the whole photo.
+const sharp = require('sharp');
+const { rgbToLab } = require('./colorSpace');
+const ColorMeasurer = require('./ColorMeasurer');
+
+// Problems in the order they are checked; each has a message in locales/
+const PROBLEMS = ['tooSmall', 'tooDark', 'tooBright', 'blurry', 'colorCast'];
+
+class ImageQualityChecker {
+  constructor(options = {}) {
+    // Shortest side, in pixels
+    this.minDimension = options.minDimension || Number(process.env.PHOTO_MIN_DIMENSION) || 400;
+    // Mean luminance of the face, 0-255
+    this.minBrightness = options.minBrightness ?? 60;
+    this.maxBrightness = options.maxBrightness ?? 210;
+    // Share of blown-out (near white) pixels on the face
+    this.maxClipped = options.maxClipped ?? 0.25;
+    // Variance of the Laplacian on the downscaled image; low means few sharp edges
+    this.minSharpness = options.minSharpness || Number(process.env.PHOTO_MIN_SHARPNESS) || 30;
+    // Average face colour (CIELAB). Skin of every tone sits at a hue between
+    // red and yellow with moderate chroma; tinted light pushes it out of that
+    // range (green, blue, grey, or a saturated orange).
+    this.faceHue = options.faceHue || { min: 15, max: 95 };
+    this.faceChroma = options.faceChroma || { min: 5, max: 40 };
+    this.colorMeasurer = options.colorMeasurer || new ColorMeasurer();
+    // Measurements run on a copy at most this big, so scores don't depend on resolution
+    this.sampleSize = options.sampleSize || 512;
+  }
+
+  // Resolves to { ok, problem, metrics }; problem is the first of PROBLEMS found
+  async check(imageBuffer) {
+    const metrics = await this.measure(imageBuffer);
+    const problem = PROBLEMS.find(name => this.hasProblem(name, metrics)) || null;
+
+    return { ok: !problem, problem, metrics };
+  }
+
+  hasProblem(name, metrics) {
+    switch (name) {
+      case 'tooSmall': return Math.min(metrics.width, metrics.height) < this.minDimension;
+      case 'tooDark': return metrics.brightness < this.minBrightness;
+      case 'tooBright': return metrics.brightness > this.maxBrightness || metrics.clipped > this.maxClipped;
+      case 'blurry': return metrics.sharpness < this.minSharpness;
+      case 'colorCast':
+        // Without a face only a strongly tinted photo as a whole counts
+        if (!metrics.faceFound) return metrics.chroma > this.faceChroma.max;
+        return metrics.chroma < this.faceChroma.min || metrics.chroma > this.faceChroma.max ||
+          metrics.hue < this.faceHue.min || metrics.hue > this.faceHue.max;
+      default: return false;
+    }
+  }
+
+  async measure(imageBuffer) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .resize(this.sampleSize, this.sampleSize, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return this.measurePixels(data, info.width, info.height, info.channels, { width, height });
+  }
+
+  // data: raw RGB(A) pixels; size: the original photo's dimensions
+  measurePixels(data, width, height, channels, size = { width, height }) {
+    const pixelCount = width * height;
+    const luma = new Float32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+      const offset = i * channels;
+      luma[i] = 0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2];
+    }
+
+    const pixel = (x, y) => {
+      const offset = (y * width + x) * channels;
+      return [data[offset], data[offset + 1], data[offset + 2]];
+    };
+    const faceFound = this.colorMeasurer.findFace(pixel, width, height);
+    const face = faceFound || { x: 0, y: 0, width, height };
+
+    let red = 0;
+    let green = 0;
+    let blue = 0;
+    let lumaTotal = 0;
+    let clipped = 0;
+    let count = 0;
+
+    for (let y = Math.floor(face.y); y < Math.min(height, Math.ceil(face.y + face.height)); y++) {
+      for (let x = Math.floor(face.x); x < Math.min(width, Math.ceil(face.x + face.width)); x++) {
+        const [r, g, b] = pixel(x, y);
+        const value = luma[y * width + x];
+
+        red += r;
+        green += g;
+        blue += b;
+        lumaTotal += value;
+        if (value >= 250) clipped++;
+        count++;
+      }
+    }
+
+    const average = rgbToLab(red / count, green / count, blue / count);
+    const hue = (Math.atan2(average.b, average.a) * 180) / Math.PI;
+
+    return {
+      width: size.width,
+      height: size.height,
+      faceFound: !!faceFound,
+      brightness: Math.round(lumaTotal / count),
+      clipped: Number((clipped / count).toFixed(3)),
+      sharpness: Math.round(this.laplacianVariance(luma, width, height)),
+      chroma: Math.round(Math.hypot(average.a, average.b)),
+      hue: Math.round(hue < 0 ? hue + 360 : hue)
+    };
+  }
+
+  // Blur score: variance of the 4-neighbour Laplacian over the image
+  laplacianVariance(luma, width, height) {
+    let sum = 0;
+    let sumOfSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const value = luma[i - width] + luma[i + width] + luma[i - 1] + luma[i + 1] - 4 * luma[i];
+
+        sum += value;
+        sumOfSquares += value * value;
+        count++;
+      }
+    }
+
+    if (!count) return 0;
+
+    const mean = sum / count;
+    return sumOfSquares / count - mean * mean;
+  }
+}
+
+module.exports = ImageQualityChecker;
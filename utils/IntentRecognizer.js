@@ -0,0 +1,129 @@
+// utils/IntentRecognizer.js - Classifies text messages into conversation intents
+const defaultIntents = require('./intents');
+
+const SCORES = { option: 4, exact: 3, phrase: 2, word: 1.5, typo: 1 };
+
+// "1", "2.", "#3", "option 2", "1️⃣"
+const OPTION_PATTERN = /^(?:option|opt|number|no\.?)?\s*#?\s*(\d{1,2})\s*[.)]?$/;
+
+class IntentRecognizer {
+  constructor(options = {}) {
+    this.intents = Object.entries(options.intents || defaultIntents).map(([name, vocab]) => ({
+      name,
+      exact: new Set((vocab.exact || []).map(text => this.tokenize(text).join(' '))),
+      phrases: (vocab.phrases || []).map(text => this.tokenize(text)),
+      words: new Set(vocab.words || []),
+      typos: vocab.typos !== false
+    }));
+  }
+
+  // Candidate intents for a message, best match first. `options` are the
+  // intents behind "1", "2"... in the conversation's current state.
+  recognize(text, { options = [] } = {}) {
+    const normalized = this.normalize(text);
+
+    const optionMatch = normalized.match(OPTION_PATTERN);
+    if (optionMatch) {
+      const option = options[Number(optionMatch[1]) - 1];
+      return option ? [option] : [];
+    }
+
+    const tokens = this.tokenize(normalized);
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    return this.intents
+      .map((intent, index) => ({ name: intent.name, index, score: this.score(intent, tokens) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(match => match.name);
+  }
+
+  score(intent, tokens) {
+    if (intent.exact.has(tokens.join(' '))) {
+      return SCORES.exact;
+    }
+
+    if (intent.phrases.some(phrase => this.containsSequence(tokens, phrase))) {
+      return SCORES.phrase;
+    }
+
+    if (tokens.some(token => intent.words.has(token))) {
+      return SCORES.word;
+    }
+
+    if (!intent.typos) {
+      return 0;
+    }
+
+    // A one-word message may also be a typo of a one-word exact entry
+    if (tokens.some(token => this.matchesWithTypo(token, intent.words)) ||
+        (tokens.length === 1 && this.matchesWithTypo(tokens[0], intent.exact))) {
+      return SCORES.typo;
+    }
+
+    return 0;
+  }
+
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[\uFE0F\u20E3]/g, '') // keycap emoji: 1️⃣ -> 1
+      .trim();
+  }
+
+  tokenize(text) {
+    return this.normalize(text).match(/[\p{L}\p{M}\p{N}]+(?:'\p{L}+)?/gu) || [];
+  }
+
+  containsSequence(tokens, phrase) {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((word, j) => tokens[i + j] === word)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Short words are too easy to confuse ("read" vs "ready"), so only words of
+  // five or more letters get typo tolerance: one edit, two from eight letters.
+  matchesWithTypo(token, words) {
+    if (token.length < 5) {
+      return false;
+    }
+
+    for (const word of words) {
+      if (word.length < 5) continue;
+
+      const maxDistance = word.length >= 8 ? 2 : 1;
+      if (Math.abs(word.length - token.length) <= maxDistance &&
+          this.editDistance(token, word) <= maxDistance) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Optimal string alignment distance: Levenshtein plus adjacent swaps
+  editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[a.length][b.length];
+  }
+}
+
+module.exports = IntentRecognizer;
@@ -0,0 +1,156 @@
+// utils/JobQueue.js - Persistent background job queue with retries
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./storage/JsonFile');
+
+class JobQueue {
+  constructor(options = {}) {
+    this.name = options.name || 'jobs';
+    this.handler = options.handler; // async (job) => result, throw to retry
+    this.onFailure = options.onFailure || null; // (job, error) after the last attempt
+    this.concurrency = options.concurrency || 1;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelayMs = options.retryDelayMs || 5000; // doubled on every retry
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', `${this.name}-jobs.json`);
+
+    this.jobs = new Map();
+    this.running = new Set();
+    this.timer = null;
+
+    if (typeof this.handler !== 'function') {
+      throw new Error(`Job queue "${this.name}" needs a handler`);
+    }
+
+    // Every change is written straight away so jobs survive a restart
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      label: `${this.name} jobs`,
+      debounceMs: 0,
+      space: 2,
+      serialize: () => Array.from(this.jobs.values())
+    });
+
+    this.load();
+  }
+
+  enqueue(data) {
+    const job = {
+      id: crypto.randomUUID(),
+      data,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      runAt: Date.now(),
+      lastError: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist();
+    setImmediate(() => this.tick());
+
+    return job;
+  }
+
+  start() {
+    if (this.jobs.size > 0) {
+      console.log(`♻️ Resuming ${this.jobs.size} ${this.name} jobs`);
+    }
+    this.tick();
+  }
+
+  // Start as many ready jobs as the concurrency limit allows, then wake up
+  // again when the next delayed retry is due
+  tick() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    const waiting = Array.from(this.jobs.values())
+      .filter(job => !this.running.has(job.id))
+      .sort((a, b) => a.runAt - b.runAt);
+
+    for (const job of waiting) {
+      if (this.running.size >= this.concurrency) break;
+      if (job.runAt > now) break;
+
+      this.runJob(job);
+    }
+
+    const next = waiting.find(job => !this.running.has(job.id));
+    if (next && this.running.size < this.concurrency) {
+      this.timer = setTimeout(() => this.tick(), Math.max(next.runAt - now, 0));
+    }
+  }
+
+  async runJob(job) {
+    this.running.add(job.id);
+    job.attempts++;
+    this.persist();
+
+    try {
+      await this.handler(job);
+      this.jobs.delete(job.id);
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= this.maxAttempts) {
+        console.error(`❌ ${this.name} job ${job.id} failed after ${job.attempts} attempts:`, error.message);
+        this.jobs.delete(job.id);
+
+        if (this.onFailure) {
+          try {
+            await this.onFailure(job, error);
+          } catch (failureError) {
+            console.error(`Error in ${this.name} failure handler:`, failureError);
+          }
+        }
+      } else {
+        const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+        job.runAt = Date.now() + delay;
+        console.log(`🔁 Retrying ${this.name} job ${job.id} in ${Math.round(delay / 1000)}s (${error.message})`);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.persist();
+      this.tick();
+    }
+  }
+
+  // Drops waiting jobs that match, e.g. all of a user's jobs when they
+  // delete their data. Jobs already running finish; their handler has to
+  // notice they no longer apply. Returns how many were removed.
+  removeWhere(predicate) {
+    let removed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (!this.running.has(job.id) && predicate(job)) {
+        this.jobs.delete(job.id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  getStats() {
+    return {
+      queued: this.jobs.size - this.running.size,
+      running: this.running.size
+    };
+  }
+
+  load() {
+    // Jobs that were running when the process stopped simply run again
+    this.jobs = new Map(this.file.read([]).map(job => [job.id, job]));
+  }
+
+  persist() {
+    this.file.flush();
+  }
+}
+
+module.exports = JobQueue;
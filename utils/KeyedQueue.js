@@ -0,0 +1,33 @@
+// utils/KeyedQueue.js - Runs tasks one at a time per key, in arrival order
+class KeyedQueue {
+  constructor() {
+    this.tails = new Map(); // key -> promise for the last queued task
+  }
+
+  // Tasks with the same key run sequentially; different keys run concurrently.
+  // Resolves/rejects with the task's own result.
+  run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+
+    // A failed task must not block the ones queued behind it
+    const tail = result.catch(() => {}).then(() => {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+
+    this.tails.set(key, tail);
+    return result;
+  }
+
+  isBusy(key) {
+    return this.tails.has(key);
+  }
+
+  get activeKeys() {
+    return this.tails.size;
+  }
+}
+
+module.exports = KeyedQueue;
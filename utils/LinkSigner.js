@@ -0,0 +1,67 @@
+// utils/LinkSigner.js - HMAC-signed, expiring download tokens
+const crypto = require('crypto');
+
+class LinkSigner {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.DOWNLOAD_LINK_SECRET;
+    this.ttlMs = options.ttlMs || 7 * 24 * 60 * 60 * 1000; // 7 days
+
+    if (!this.secret) {
+      console.error('Download link secret not found. Please set DOWNLOAD_LINK_SECRET in your environment variables.');
+      // Links signed with a random secret stop working after a restart
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  getValidityDays() {
+    return Math.round(this.ttlMs / (24 * 60 * 60 * 1000));
+  }
+
+  // Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+  sign(payload, ttlMs = this.ttlMs) {
+    const body = Buffer.from(JSON.stringify({
+      ...payload,
+      exp: Date.now() + ttlMs
+    })).toString('base64url');
+
+    return `${body}.${this.createSignature(body)}`;
+  }
+
+  verify(token) {
+    try {
+      const [body, signature] = String(token).split('.');
+
+      if (!body || !signature) {
+        return { valid: false, reason: 'invalid' };
+      }
+
+      const expected = Buffer.from(this.createSignature(body));
+      const actual = Buffer.from(signature);
+
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, reason: 'invalid' };
+      }
+
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+
+      // The signature is genuine, so callers may still use the payload
+      // (e.g. to offer a fresh link for the same order)
+      if (!payload.exp || payload.exp < Date.now()) {
+        return { valid: false, reason: 'expired', payload };
+      }
+
+      return { valid: true, payload };
+    } catch (error) {
+      return { valid: false, reason: 'invalid' };
+    }
+  }
+
+  createSignature(body) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(body)
+      .digest('base64url');
+  }
+}
+
+module.exports = LinkSigner;
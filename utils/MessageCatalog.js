@@ -0,0 +1,278 @@
+// utils/MessageCatalog.js - Localized bot copy (see locales/)
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+// Romanized Hindi is common on WhatsApp. Words that double as English typos
+// or greetings ("hai" for "hi", "kya") are left out, and it takes two
+// different ones to switch locale.
+const HINGLISH_WORDS = new Set([
+  'namaste', 'namaskar', 'kaise', 'kaisa', 'hain', 'mujhe', 'mera', 'meri',
+  'aap', 'aapka', 'kripya', 'dhanyavad', 'shukriya', 'nahi', 'nahin', 'haan', 'accha', 'acha'
+]);
+const HINGLISH_MIN_WORDS = 2;
+
+// Words that introduce a locale code in parseLocale ("LANGUAGE HI")
+const LANGUAGE_COMMANDS = new Set(['language', 'lang']);
+const SHORT_CODE = /^[a-z]{2,3}$/;
+
+// Locale files are named after their locale code: en.js, hi.js, pt-BR.js
+const LOCALE_FILE = /^([a-z]{2,3}(?:-[A-Z]{2})?)\.js$/;
+
+const VARIABLE_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  url: value => typeof value === 'string' && /^https?:\/\//.test(value)
+};
+
+// What a value of the wrong type is rendered as
+const COERCE = {
+  string: value => (value === undefined || value === null ? '' : String(value)),
+  number: value => (typeof value === 'string' && Number.isFinite(Number(value)) && value.trim() ? Number(value) : ''),
+  url: value => (value === undefined || value === null ? '' : String(value))
+};
+
+// Collects the variables and helpers a template refers to
+class TemplateReferences extends Handlebars.Visitor {
+  constructor() {
+    super();
+    this.variables = new Set();
+    this.helpers = new Set();
+  }
+
+  MustacheStatement(node) {
+    this.visitCall(node);
+  }
+
+  BlockStatement(node) {
+    this.visitCall(node);
+    this.acceptKey(node, 'program');
+    this.acceptKey(node, 'inverse');
+  }
+
+  visitCall(node) {
+    if (node.params.length || node.hash || node.type === 'BlockStatement') {
+      this.helpers.add(node.path.original);
+    } else {
+      this.accept(node.path);
+    }
+    this.acceptArray(node.params);
+    if (node.hash) this.accept(node.hash);
+  }
+
+  PathExpression(node) {
+    if (!node.data && node.parts.length) this.variables.add(node.parts[0]);
+  }
+}
+
+class MessageCatalog {
+  constructor(options = {}) {
+    this.defaultLocale = options.defaultLocale || 'en';
+    this.directory = options.directory || path.join(__dirname, '..', 'locales');
+    this.reloadDelayMs = options.reloadDelayMs ?? 200;
+    this.watcher = null;
+
+    // Throws on invalid templates, so the server refuses to start with them
+    this.load();
+  }
+
+  // (Re)reads every locale file and swaps them in only if all templates are valid
+  load() {
+    const read = file => {
+      const filePath = path.join(this.directory, file);
+      delete require.cache[require.resolve(filePath)];
+      return require(filePath);
+    };
+
+    const locales = {};
+    fs.readdirSync(this.directory).forEach(file => {
+      const match = file.match(LOCALE_FILE);
+      if (match) locales[match[1]] = read(file);
+    });
+    const variables = read('variables.js');
+
+    if (!locales[this.defaultLocale]) {
+      throw new Error(`Default locale "${this.defaultLocale}" has no messages`);
+    }
+
+    const errors = this.validate(locales, variables);
+    if (errors.length) {
+      throw new Error(`Invalid message templates:\n${errors.join('\n')}`);
+    }
+
+    this.locales = locales;
+    this.variables = variables;
+    this.cache = new Map();
+  }
+
+  // Every template must parse and use only declared variables and known helpers
+  validate(locales, variables) {
+    const errors = [];
+    const declarations = [variables.common, ...Object.values(variables.messages)];
+
+    declarations.forEach(declared => Object.entries(declared).forEach(([name, type]) => {
+      if (!VARIABLE_TYPES[type]) errors.push(`variables.js: "${name}" has unknown type "${type}"`);
+    }));
+
+    Object.entries(locales).forEach(([locale, { messages }]) => {
+      this.listMessages(messages).forEach(([key, source]) => {
+        const references = new TemplateReferences();
+
+        try {
+          references.accept(Handlebars.parse(source));
+        } catch (error) {
+          errors.push(`${locale}.js: "${key}" does not parse: ${error.message}`);
+          return;
+        }
+
+        const declared = this.getDeclaredVariables(key, variables);
+        references.variables.forEach(name => {
+          if (!declared[name]) errors.push(`${locale}.js: "${key}" uses unknown variable {{${name}}}`);
+        });
+        references.helpers.forEach(name => {
+          if (!Handlebars.helpers[name]) errors.push(`${locale}.js: "${key}" uses unknown helper {{${name}}}`);
+        });
+      });
+    });
+
+    return errors;
+  }
+
+  // [dottedKey, template] pairs, e.g. ['stepHelp.analyzing', '...']
+  listMessages(messages, prefix = '') {
+    return Object.entries(messages).flatMap(([key, value]) =>
+      typeof value === 'string' ? [[prefix + key, value]] : this.listMessages(value, `${prefix}${key}.`)
+    );
+  }
+
+  getDeclaredVariables(key, variables = this.variables) {
+    return { ...variables.common, ...variables.messages[key] };
+  }
+
+  // Reload templates whenever a locale file changes. A broken edit is
+  // logged and the previous templates stay in use.
+  watch() {
+    let timer = null;
+
+    this.watcher = fs.watch(this.directory, { persistent: false }, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          this.load();
+          console.log('🔄 Message templates reloaded');
+        } catch (error) {
+          console.error(`Message templates not reloaded, keeping the previous ones. ${error.message}`);
+        }
+      }, this.reloadDelayMs);
+    });
+
+    return this.watcher;
+  }
+
+  getLocales() {
+    return Object.keys(this.locales);
+  }
+
+  resolveLocale(locale) {
+    return this.locales[locale] ? locale : this.defaultLocale;
+  }
+
+  // English name of the language, e.g. for prompts
+  getLanguageName(locale) {
+    return this.locales[this.resolveLocale(locale)].language;
+  }
+
+  // Renders a message, falling back to the default locale for missing keys.
+  // Nested keys use dots: t('hi', 'stepHelp.analyzing')
+  t(locale, key, variables = {}) {
+    variables = this.checkVariables(key, variables);
+
+    const resolved = this.resolveLocale(locale);
+    const cacheKey = `${resolved}:${key}`;
+
+    if (!this.cache.has(cacheKey)) {
+      const source = this.lookup(resolved, key) ?? this.lookup(this.defaultLocale, key);
+
+      if (typeof source !== 'string') {
+        throw new Error(`Unknown message "${key}"`);
+      }
+
+      this.cache.set(cacheKey, Handlebars.compile(source, { noEscape: true, strict: true }));
+    }
+
+    return this.cache.get(cacheKey)(variables);
+  }
+
+  // The templates themselves were checked by load(); a bad value here comes
+  // from the caller (an unset BASE_URL, say). It is logged and coerced, as a
+  // half-sent reply is worse than an odd word in it. Returns the variables
+  // to render with, every declared one included.
+  checkVariables(key, variables) {
+    const declared = this.getDeclaredVariables(key);
+    const checked = {};
+
+    Object.keys(variables).forEach(name => {
+      if (!declared[name]) {
+        console.error(`Message "${key}" has no variable "${name}" (see locales/variables.js)`);
+      }
+    });
+
+    Object.entries(declared).forEach(([name, type]) => {
+      const value = variables[name];
+
+      if (VARIABLE_TYPES[type](value)) {
+        checked[name] = value;
+      } else {
+        console.error(`Variable "${name}" of message "${key}" must be a ${type}, got ${JSON.stringify(value)}`);
+        checked[name] = COERCE[type](value);
+      }
+    });
+
+    return checked;
+  }
+
+  has(locale, key) {
+    return typeof this.lookup(this.resolveLocale(locale), key) === 'string';
+  }
+
+  lookup(locale, key) {
+    return key.split('.').reduce((node, part) => node?.[part], this.locales[locale].messages);
+  }
+
+  // Best guess from the script of a message: Devanagari -> Hindi, Hangul ->
+  // Korean. Returns null when nothing points away from the default locale.
+  detectLocale(text) {
+    const value = String(text || '');
+
+    if (this.locales.hi && /\p{Script=Devanagari}/u.test(value)) return 'hi';
+    if (this.locales.ko && /\p{Script=Hangul}/u.test(value)) return 'ko';
+
+    const words = new Set(value.toLowerCase().match(/[a-z]+/g) || []);
+    const hinglishWords = [...words].filter(word => HINGLISH_WORDS.has(word));
+    if (this.locales.hi && hinglishWords.length >= HINGLISH_MIN_WORDS) return 'hi';
+
+    return null;
+  }
+
+  // Locale named in a LANGUAGE command ("language hindi", "한국어로"...).
+  // Short codes (hi, en, ko) are everyday words ("Hi, can I change the
+  // language?"), so they only count right after LANGUAGE. Names in other
+  // scripts also match with a suffix, for Korean particles.
+  parseLocale(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+    const command = words.findIndex(word => LANGUAGE_COMMANDS.has(word));
+    const code = command >= 0 ? words[command + 1] : null;
+
+    const matches = alias => {
+      if (SHORT_CODE.test(alias)) return alias === code;
+      if (/^[a-z]+$/.test(alias)) return words.includes(alias);
+      return words.some(word => word.startsWith(alias));
+    };
+
+    return this.getLocales().find(locale =>
+      this.locales[locale].aliases.some(alias => matches(alias.toLowerCase()))
+    ) || null;
+  }
+}
+
+module.exports = MessageCatalog;
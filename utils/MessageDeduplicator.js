@@ -0,0 +1,83 @@
+// utils/MessageDeduplicator.js - Remembers processed webhook message ids
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./storage/JsonFile');
+
+class MessageDeduplicator {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || Number(process.env.MESSAGE_DEDUP_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'processed-messages.json');
+    this.processed = new Map(); // messageId -> expiry timestamp
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      label: 'processed message ids',
+      serialize: () => Array.from(this.processed.entries())
+    });
+
+    this.load();
+
+    // Drop expired ids every hour
+    setInterval(() => {
+      this.cleanup();
+    }, 60 * 60 * 1000).unref();
+  }
+
+  // Records the id and returns true the first time it is seen, false for
+  // retries of a message we already accepted.
+  claim(messageId) {
+    if (this.has(messageId)) {
+      return false;
+    }
+
+    this.processed.set(messageId, Date.now() + this.ttlMs);
+    this.scheduleWrite();
+    return true;
+  }
+
+  has(messageId) {
+    const expiresAt = this.processed.get(messageId);
+    return !!expiresAt && expiresAt > Date.now();
+  }
+
+  // Stable id for providers that don't send one: the same delivery always
+  // hashes to the same value, so its retries are recognised.
+  static fingerprint(fields) {
+    return 'fp_' + crypto
+      .createHash('sha256')
+      .update(JSON.stringify(fields))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [messageId, expiresAt] of this.processed.entries()) {
+      if (expiresAt <= now) {
+        this.processed.delete(messageId);
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      this.scheduleWrite();
+    }
+  }
+
+  load() {
+    this.processed = new Map(this.file.read([]));
+    this.cleanup();
+  }
+
+  // Batch writes so a burst of messages doesn't rewrite the file each time
+  scheduleWrite() {
+    this.file.scheduleWrite();
+  }
+
+  flush() {
+    this.file.flush();
+  }
+}
+
+module.exports = MessageDeduplicator;
@@ -0,0 +1,366 @@
+// utils/PDFGenerator.js - Renders the 15-page personal style guide
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { jsPDF } = require('jspdf');
+
+const PAGE_WIDTH = 210; // A4 in mm
+const PAGE_HEIGHT = 297;
+const MARGIN = 20;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const BRAND_PINK = '#EC4899';
+const TEXT_DARK = '#1F2937';
+const TEXT_MUTED = '#6B7280';
+
+// Page layout for the guide. Each page has a handlebars body template rendered
+// against the analysis, and optionally a list of swatches to draw below it.
+const PAGES = [
+  {
+    layout: 'cover',
+    title: 'Your Korean Color Analysis',
+    body: '{{profile.season}}\n\nPersonal style guide prepared on {{generatedOn}}'
+  },
+  {
+    title: 'Your Color Profile',
+    body: 'Season: {{profile.season}}\n\nUndertone: {{profile.undertone}}\n\n{{profile.summary}}'
+  },
+  {
+    title: 'Understanding Your Season',
+    body: 'In Korean personal color analysis, your season describes the colors that harmonise with your natural undertone, value and chroma.\n\n' +
+      'As a {{profile.season}}, the colors in this guide echo your own colouring. Wearing them near your face brightens your complexion, ' +
+      'softens shadows and makes your skin look even and healthy.\n\n' +
+      'Use this guide as a reference when shopping, choosing makeup or planning a new hair color.'
+  },
+  {
+    title: 'Your Key Colors',
+    body: 'These are your signature shades. Build outfits around them and wear them close to your face.',
+    swatches: analysis => analysis.color_palettes.key_colors
+  },
+  {
+    title: 'Your Best Neutrals',
+    body: 'Use these as the foundation of your wardrobe: coats, trousers, bags and shoes.',
+    swatches: analysis => analysis.color_palettes.neutrals
+  },
+  {
+    title: 'Your Accent Colors',
+    body: 'Small doses of these add energy to an outfit. They work best in accessories.',
+    swatches: analysis => analysis.color_palettes.accent_colors
+  },
+  {
+    title: 'Your Complete Palette',
+    body: 'All of your recommended colors at a glance.',
+    swatches: analysis => [
+      ...analysis.color_palettes.key_colors,
+      ...analysis.color_palettes.neutrals,
+      ...analysis.color_palettes.accent_colors
+    ],
+    compact: true
+  },
+  {
+    title: 'Makeup: Base & Blush',
+    body: 'Overall vibe: {{makeup.vibe}}\n\nFoundation: {{makeup.foundation}}\n\nBlush: {{makeup.blush}}'
+  },
+  {
+    title: 'Makeup: Eyes & Lips',
+    body: 'Eyeshadow: {{makeup.eyeshadow}}\n\nLipstick: {{makeup.lipstick}}'
+  },
+  {
+    title: 'Hair Colors',
+    body: 'These hair colors complement your undertone:\n\n{{#each hairColors}}- {{this}}\n{{/each}}\n' +
+      'Ask your stylist to keep the tone consistent with your {{profile.season}} palette.'
+  },
+  {
+    title: 'Jewelry & Metals',
+    body: '{{style.jewelry}}'
+  },
+  {
+    title: 'Fabrics & Patterns',
+    body: 'Fabrics: {{style.fabrics}}\n\nPatterns: {{style.patterns}}'
+  },
+  {
+    title: 'Colors to Use Carefully',
+    body: 'These shades can make your complexion look dull or uneven. If you love them, wear them away from your face.',
+    swatches: analysis => analysis.colors_to_avoid
+  },
+  {
+    title: 'Shopping Guide',
+    body: 'Budget: start with one or two pieces in {{firstKeyColor}} and a neutral such as {{firstNeutral}}.\n\n' +
+      'Mid-range: invest in a coat or bag in one of your neutrals, and match your everyday lipstick to your makeup recommendations.\n\n' +
+      'Premium: build a capsule wardrobe from your complete palette so every piece works together.\n\n' +
+      'Tip: take the wallet card on the next page with you and hold fabrics against it in natural light.'
+  },
+  {
+    layout: 'wallet',
+    title: 'Your Wallet Color Card',
+    body: 'Print this page and cut along the dotted line.',
+    swatches: analysis => [
+      ...analysis.color_palettes.key_colors,
+      ...analysis.color_palettes.neutrals.slice(0, 2)
+    ]
+  }
+];
+
+class PDFGenerator {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || process.env.PDF_OUTPUT_DIR || path.join(process.cwd(), 'pdfs');
+
+    // Ensure output directory exists
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    this.pages = PAGES.map(page => ({
+      ...page,
+      render: Handlebars.compile(page.body, { noEscape: true })
+    }));
+  }
+
+  async generate(analysis, phoneNumber) {
+    const fileName = `${this.getFilePrefix(phoneNumber)}-${Date.now()}.pdf`;
+    const filePath = path.join(this.outputDir, fileName);
+
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const context = this.buildContext(analysis);
+
+    this.pages.forEach((page, index) => {
+      if (index > 0) {
+        doc.addPage();
+      }
+
+      const swatches = page.swatches ? (page.swatches(analysis) || []) : [];
+
+      if (page.layout === 'cover') {
+        this.renderCover(doc, page, context);
+      } else if (page.layout === 'wallet') {
+        this.renderWalletCard(doc, page, context, swatches);
+      } else {
+        this.renderPage(doc, page, context, swatches);
+      }
+    });
+
+    // Long swatch lists can run onto extra pages, so footers go on last
+    const pageCount = doc.getNumberOfPages();
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      doc.setPage(pageNumber);
+      this.renderFooter(doc, pageNumber, pageCount);
+    }
+
+    fs.writeFileSync(filePath, Buffer.from(doc.output('arraybuffer')));
+    console.log(`📄 Generated style guide: ${fileName}`);
+
+    return { fileName, filePath };
+  }
+
+  buildContext(analysis) {
+    const palettes = analysis.color_palettes || {};
+    const recommendations = analysis.recommendations || {};
+
+    return {
+      profile: analysis.personal_profile || {},
+      makeup: recommendations.makeup || {},
+      style: recommendations.style || {},
+      hairColors: recommendations.hair_colors || [],
+      firstKeyColor: palettes.key_colors?.[0]?.name || 'your key colors',
+      firstNeutral: palettes.neutrals?.[0]?.name || 'a soft neutral',
+      generatedOn: new Date().toDateString()
+    };
+  }
+
+  renderCover(doc, page, context) {
+    doc.setFillColor(BRAND_PINK);
+    doc.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT, 'F');
+
+    doc.setTextColor('#FFFFFF');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(30);
+    doc.text(this.toPdfText(page.title), PAGE_WIDTH / 2, 110, { align: 'center' });
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(16);
+    const lines = doc.splitTextToSize(this.toPdfText(page.render(context)), CONTENT_WIDTH);
+    doc.text(lines, PAGE_WIDTH / 2, 130, { align: 'center' });
+  }
+
+  renderPage(doc, page, context, swatches) {
+    let y = this.renderHeading(doc, page.title);
+
+    doc.setTextColor(TEXT_DARK);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(12);
+    const lines = doc.splitTextToSize(this.toPdfText(page.render(context)), CONTENT_WIDTH);
+    doc.text(lines, MARGIN, y);
+    y += lines.length * 6 + 8;
+
+    if (swatches.length) {
+      if (page.compact) {
+        this.renderSwatchGrid(doc, swatches, y);
+      } else {
+        this.renderSwatchList(doc, page, swatches, y);
+      }
+    }
+  }
+
+  renderHeading(doc, title) {
+    doc.setFillColor(BRAND_PINK);
+    doc.rect(0, 0, PAGE_WIDTH, 8, 'F');
+
+    doc.setTextColor(TEXT_DARK);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(22);
+    doc.text(this.toPdfText(title), MARGIN, 30);
+
+    return 45;
+  }
+
+  // One swatch per row with name, hex code, description and, for key colours
+  // close to a colour to avoid, a note saying so. Rows that don't fit go on a
+  // continuation page.
+  renderSwatchList(doc, page, swatches, startY) {
+    let y = startY;
+
+    swatches.forEach(color => {
+      const descriptionLines = color.description ?
+        doc.splitTextToSize(this.toPdfText(color.description), CONTENT_WIDTH - 35) : [];
+      const conflict = color.close_to_avoid;
+      const conflictLines = conflict ?
+        doc.splitTextToSize(this.toPdfText(
+          `Close to ${conflict.name} (${conflict.hex}) from your colors to use carefully: choose this exact shade, not a near match.`
+        ), CONTENT_WIDTH - 35) : [];
+      const rowHeight = Math.max(24, 14 + (descriptionLines.length + conflictLines.length) * 5);
+
+      if (y + rowHeight > PAGE_HEIGHT - MARGIN) {
+        doc.addPage();
+        y = this.renderHeading(doc, `${page.title} (continued)`);
+      }
+
+      this.drawSwatch(doc, color.hex, MARGIN, y, 25, 20);
+
+      doc.setTextColor(TEXT_DARK);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(12);
+      doc.text(this.toPdfText(color.name || ''), MARGIN + 30, y + 5);
+
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      doc.setTextColor(TEXT_MUTED);
+      doc.text(this.toPdfText(color.hex || ''), MARGIN + 30, y + 10);
+
+      if (descriptionLines.length) {
+        doc.setTextColor(TEXT_DARK);
+        doc.text(descriptionLines, MARGIN + 30, y + 15);
+      }
+
+      if (conflictLines.length) {
+        doc.setTextColor(BRAND_PINK);
+        doc.text(conflictLines, MARGIN + 30, y + 15 + descriptionLines.length * 5);
+      }
+
+      y += rowHeight;
+    });
+  }
+
+  // Compact grid of swatches, four per row
+  renderSwatchGrid(doc, swatches, startY) {
+    const columns = 4;
+    const cellWidth = CONTENT_WIDTH / columns;
+
+    swatches.forEach((color, index) => {
+      const x = MARGIN + (index % columns) * cellWidth;
+      const y = startY + Math.floor(index / columns) * 45;
+
+      this.drawSwatch(doc, color.hex, x, y, cellWidth - 6, 28);
+
+      doc.setTextColor(TEXT_DARK);
+      doc.setFontSize(9);
+      doc.text(doc.splitTextToSize(this.toPdfText(color.name || ''), cellWidth - 6), x, y + 33);
+      doc.setTextColor(TEXT_MUTED);
+      doc.text(this.toPdfText(color.hex || ''), x, y + 41);
+    });
+  }
+
+  renderWalletCard(doc, page, context, swatches) {
+    let y = this.renderHeading(doc, page.title);
+
+    doc.setTextColor(TEXT_MUTED);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(11);
+    doc.text(this.toPdfText(page.render(context)), MARGIN, y);
+    y += 10;
+
+    // Credit card size: 85.6 x 54 mm
+    const cardWidth = 85.6;
+    const cardHeight = 54;
+
+    doc.setLineDashPattern([2, 2], 0);
+    doc.setDrawColor(TEXT_MUTED);
+    doc.rect(MARGIN, y, cardWidth, cardHeight);
+    doc.setLineDashPattern([], 0);
+
+    doc.setTextColor(TEXT_DARK);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text(this.toPdfText(context.profile.season || ''), MARGIN + 4, y + 7);
+
+    const swatchSize = 12;
+    swatches.slice(0, 8).forEach((color, index) => {
+      const x = MARGIN + 4 + (index % 4) * (swatchSize + 8);
+      const rowY = y + 12 + Math.floor(index / 4) * (swatchSize + 8);
+
+      this.drawSwatch(doc, color.hex, x, rowY, swatchSize, swatchSize);
+
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(6);
+      doc.text(this.toPdfText(color.hex || ''), x, rowY + swatchSize + 3);
+    });
+  }
+
+  renderFooter(doc, pageNumber, pageCount) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(pageNumber === 1 ? '#FFFFFF' : TEXT_MUTED);
+    doc.text(`Korean Color Analysis  |  Page ${pageNumber} of ${pageCount}`, PAGE_WIDTH / 2, PAGE_HEIGHT - 10, {
+      align: 'center'
+    });
+  }
+
+  drawSwatch(doc, hex, x, y, width, height) {
+    const fill = /^#[0-9a-f]{6}$/i.test(hex || '') ? hex : '#CCCCCC';
+
+    doc.setFillColor(fill);
+    doc.setDrawColor('#E5E7EB');
+    doc.roundedRect(x, y, width, height, 2, 2, 'FD');
+  }
+
+  // The built-in PDF fonts only cover Latin-1, so replace typographic
+  // characters and drop anything else (e.g. emoji) the font can't render.
+  toPdfText(text) {
+    return String(text)
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/[–—]/g, '-')
+      .replace(/•/g, '-')
+      .replace(/[^\n\x20-\x7E\u00A0-\u00FF]/g, '');
+  }
+
+  getFilePath(fileName) {
+    return path.join(this.outputDir, fileName);
+  }
+
+  // Deletes every guide generated for this number (file names start with
+  // its digits, see generate()). Returns how many files were removed.
+  deleteFilesFor(phoneNumber) {
+    const prefix = `${this.getFilePrefix(phoneNumber)}-`;
+    const files = fs.existsSync(this.outputDir) ? fs.readdirSync(this.outputDir) : [];
+    const owned = files.filter(file => file.startsWith(prefix) && file.endsWith('.pdf'));
+
+    owned.forEach(file => fs.rmSync(this.getFilePath(file), { force: true }));
+    return owned.length;
+  }
+
+  getFilePrefix(phoneNumber) {
+    return `color-analysis-${String(phoneNumber).replace(/[^\d]/g, '')}`;
+  }
+}
+
+module.exports = PDFGenerator;
@@ -0,0 +1,108 @@
+// utils/PaletteProcessor.js - Cleans up the colours in an analysis before anyone sees them
+const { normalizeHex, hexToLab, deltaE2000 } = require('./colorSpace');
+
+class PaletteProcessor {
+  constructor(options = {}) {
+    // CIEDE2000 distance below which two colours in a list count as the same
+    this.duplicateDistance = options.duplicateDistance ?? 3;
+    // Key colours closer than this to a colour to avoid get flagged
+    this.conflictDistance = options.conflictDistance ?? 10;
+  }
+
+  // Rewrites every hex as #RRGGBB, drops entries that have no usable hex
+  // and merges near-identical colours within each list (the first one
+  // stays). Runs before schema validation, so formatting slips like "#fff"
+  // don't cost a repair, while a list left short by dropped or merged
+  // colours does. Returns a note per removed entry.
+  sanitize(analysis) {
+    const notes = [];
+
+    this.colorLists(analysis).forEach(list => {
+      this.keep(list, (color, index) => {
+        const hex = color && typeof color === 'object' ? normalizeHex(color.hex) : null;
+
+        if (!hex) {
+          notes.push(`${list.path}/${index}: dropped, ${JSON.stringify(color?.hex ?? color)} is not a hex color`);
+          return false;
+        }
+
+        color.hex = hex;
+        return true;
+      });
+
+      const kept = [];
+      this.keep(list, color => {
+        const lab = hexToLab(color.hex);
+        const match = kept.find(other => deltaE2000(lab, other.lab) < this.duplicateDistance);
+
+        if (match) {
+          notes.push(`${list.path}: dropped "${color.name}" (${color.hex}), it is almost the same color as "${match.color.name}" (${match.color.hex})`);
+          return false;
+        }
+
+        kept.push({ color, lab });
+        return true;
+      });
+    });
+
+    return notes;
+  }
+
+  // Flags key colours that are close to a colour to avoid, as
+  // `close_to_avoid`. Expects a sanitized, valid analysis. Returns notes.
+  flagConflicts(analysis) {
+    const notes = [];
+    const avoid = analysis.colors_to_avoid.map(color => ({ color, lab: hexToLab(color.hex) }));
+
+    analysis.color_palettes.key_colors.forEach(color => {
+      const lab = hexToLab(color.hex);
+      const closest = avoid
+        .map(entry => ({ ...entry, distance: deltaE2000(lab, entry.lab) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+
+      if (closest && closest.distance < this.conflictDistance) {
+        color.close_to_avoid = {
+          name: closest.color.name,
+          hex: closest.color.hex,
+          delta_e: Math.round(closest.distance * 10) / 10
+        };
+        notes.push(`key color "${color.name}" (${color.hex}) is close to "${closest.color.name}" (${closest.color.hex}), which is on the avoid list`);
+      }
+    });
+
+    return notes;
+  }
+
+  // Filters a colour list in place. Translations in `localized` line up
+  // with the English lists by position, so they lose the same entries.
+  keep({ colors, translations }, predicate) {
+    const keptIndexes = colors.map((color, index) => predicate(color, index)).flatMap((kept, index) => (kept ? [index] : []));
+
+    [colors, translations].forEach(list => {
+      if (Array.isArray(list)) {
+        list.splice(0, list.length, ...keptIndexes.map(index => list[index] ?? null));
+      }
+    });
+  }
+
+  // The colour arrays of an analysis, with their JSON paths and translations
+  colorLists(analysis) {
+    const paths = [
+      ['color_palettes', 'key_colors'],
+      ['color_palettes', 'neutrals'],
+      ['color_palettes', 'accent_colors'],
+      ['colors_to_avoid']
+    ];
+    const lookup = (root, keys) => keys.reduce((node, key) => node?.[key], root);
+
+    return paths
+      .map(keys => ({
+        path: `/${keys.join('/')}`,
+        colors: lookup(analysis, keys),
+        translations: lookup(analysis?.localized, keys)
+      }))
+      .filter(({ colors }) => Array.isArray(colors));
+  }
+}
+
+module.exports = PaletteProcessor;
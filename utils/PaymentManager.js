@@ -1,22 +1,36 @@
 // utils/PaymentManager.js
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const FilePaymentRepository = require('./storage/FilePaymentRepository');
 
 class PaymentManager {
-  constructor() {
+  constructor(options = {}) {
     this.razorpay = new Razorpay({
       key_id: process.env.RAZORPAY_KEY_ID,
       key_secret: process.env.RAZORPAY_KEY_SECRET,
     });
 
-    this.pendingPayments = new Map(); // In production, use a proper database
+    // Any repository implementing the FilePaymentRepository interface works here
+    this.repository = options.repository || new FilePaymentRepository();
     this.baseUrl = process.env.BASE_URL || 'https://your-domain.com';
+    this.amount = 69900; // ₹699 in paise
+    this.currency = 'INR';
+    this.postPaymentHandler = null;
+  }
+
+  // Register the callback that delivers the product once a payment is captured
+  onPaymentCompleted(handler) {
+    this.postPaymentHandler = handler;
+  }
+
+  // Price as shown to users, e.g. "₹699"
+  getDisplayPrice() {
+    return `${this.currency === 'INR' ? '₹' : `${this.currency} `}${this.amount / 100}`;
   }
 
   async createPaymentLink(phoneNumber, analysis) {
     try {
-      const amount = 69900; // ₹699 in paise
-      const currency = 'INR';
+      const { amount, currency } = this;
       
       // Create order with Razorpay
       const orderOptions = {
@@ -45,7 +59,7 @@ class PaymentManager {
         analysis
       };
 
-      this.pendingPayments.set(order.id, paymentData);
+      this.repository.save(paymentData);
 
       // Create payment link
       const paymentUrl = `${this.baseUrl}/pay/${order.id}`;
@@ -81,14 +95,14 @@ class PaymentManager {
       }
 
       // Update payment status
-      const paymentData = this.pendingPayments.get(razorpayOrderId);
+      const paymentData = this.repository.get(razorpayOrderId);
       if (paymentData) {
         paymentData.status = 'completed';
         paymentData.paymentId = razorpayPaymentId;
         paymentData.completedAt = new Date().toISOString();
         paymentData.razorpayPayment = payment;
         
-        this.pendingPayments.set(razorpayOrderId, paymentData);
+        this.repository.save(paymentData);
       }
 
       return {
@@ -108,7 +122,7 @@ class PaymentManager {
 
   async checkPaymentStatus(orderId) {
     try {
-      const paymentData = this.pendingPayments.get(orderId);
+      const paymentData = this.repository.get(orderId);
       
       if (!paymentData) {
         return { success: false, error: 'Payment record not found' };
@@ -135,7 +149,7 @@ class PaymentManager {
             paymentData.completedAt = new Date().toISOString();
             paymentData.razorpayPayment = payment;
             
-            this.pendingPayments.set(orderId, paymentData);
+            this.repository.save(paymentData);
             
             return { success: true, status: 'completed', data: paymentData };
           }
@@ -157,31 +171,45 @@ class PaymentManager {
     }
   }
 
+  getPayment(orderId) {
+    return this.repository.get(orderId);
+  }
+
+  // Most recent payment for this number
   getPaymentByPhoneNumber(phoneNumber) {
-    for (const paymentData of this.pendingPayments.values()) {
-      if (paymentData.phoneNumber === phoneNumber) {
-        return paymentData;
-      }
-    }
-    return null;
+    return this.repository.findByPhoneNumber(phoneNumber)[0] || null;
   }
 
   getCompletedPaymentsByPhoneNumber(phoneNumber) {
-    const completedPayments = [];
-    
-    for (const paymentData of this.pendingPayments.values()) {
-      if (paymentData.phoneNumber === phoneNumber && paymentData.status === 'completed') {
-        completedPayments.push(paymentData);
-      }
-    }
-    
-    return completedPayments;
+    return this.repository.findByPhoneNumber(phoneNumber)
+      .filter(paymentData => paymentData.status === 'completed');
+  }
+
+  // One user's payment records, for their data export
+  exportPaymentsByPhoneNumber(phoneNumber) {
+    return this.repository.findByPhoneNumber(phoneNumber).map(payment => ({
+      orderId: payment.orderId,
+      amount: payment.amount / 100, // Convert to rupees
+      currency: payment.currency,
+      status: payment.status,
+      createdAt: payment.createdAt,
+      completedAt: payment.completedAt || null,
+      paymentId: payment.paymentId || null,
+      analysis: payment.analysis || null
+    }));
+  }
+
+  // Remove every payment record for this number (user data deletion)
+  deletePaymentsByPhoneNumber(phoneNumber) {
+    const payments = this.repository.findByPhoneNumber(phoneNumber);
+    payments.forEach(paymentData => this.repository.delete(paymentData.orderId));
+    return payments.length;
   }
 
   // Get payment statistics
   getPaymentStats() {
     const stats = {
-      total: this.pendingPayments.size,
+      total: this.repository.count(),
       completed: 0,
       pending: 0,
       failed: 0,
@@ -191,7 +219,7 @@ class PaymentManager {
 
     const today = new Date().toDateString();
 
-    for (const payment of this.pendingPayments.values()) {
+    for (const payment of this.repository.all()) {
       switch (payment.status) {
         case 'completed':
           stats.completed++;
@@ -250,22 +278,31 @@ class PaymentManager {
     }
   }
 
-  // Webhook handler for Razorpay events
-  handleWebhook(payload, signature) {
+  // Webhook handler for Razorpay events. The signature is computed over the
+  // raw request body, so it must be passed in exactly as received.
+  handleWebhook(rawBody, signature) {
     try {
+      if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+        console.error('Razorpay webhook secret not found. Please set RAZORPAY_WEBHOOK_SECRET in your environment variables.');
+        return { success: false, error: 'Webhook secret not configured' };
+      }
+
       // Verify webhook signature
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || '')
-        .update(JSON.stringify(payload))
-        .digest('hex');
+      const expectedSignature = Buffer.from(crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex'));
+      const receivedSignature = Buffer.from(String(signature));
 
-      const isSignatureValid = signature === expectedSignature;
+      const isSignatureValid = expectedSignature.length === receivedSignature.length &&
+        crypto.timingSafeEqual(expectedSignature, receivedSignature);
 
       if (!isSignatureValid) {
         console.error('Invalid webhook signature');
         return { success: false, error: 'Invalid signature' };
       }
 
+      const payload = JSON.parse(rawBody.toString('utf8'));
       const event = payload.event;
       const paymentEntity = payload.payload.payment?.entity;
       const orderEntity = payload.payload.order?.entity;
@@ -301,7 +338,7 @@ class PaymentManager {
   }
 
   updatePaymentFromWebhook(orderId, paymentEntity) {
-    const paymentData = this.pendingPayments.get(orderId);
+    const paymentData = this.repository.get(orderId);
     
     if (paymentData) {
       paymentData.status = 'completed';
@@ -309,7 +346,7 @@ class PaymentManager {
       paymentData.completedAt = new Date().toISOString();
       paymentData.razorpayPayment = paymentEntity;
       
-      this.pendingPayments.set(orderId, paymentData);
+      this.repository.save(paymentData);
       
       console.log(`✅ Payment completed for order ${orderId}`);
       
@@ -319,14 +356,14 @@ class PaymentManager {
   }
 
   markPaymentFailed(orderId, paymentEntity) {
-    const paymentData = this.pendingPayments.get(orderId);
+    const paymentData = this.repository.get(orderId);
     
     if (paymentData) {
       paymentData.status = 'failed';
       paymentData.failedAt = new Date().toISOString();
       paymentData.failureReason = paymentEntity.error_reason || 'Unknown error';
       
-      this.pendingPayments.set(orderId, paymentData);
+      this.repository.save(paymentData);
       
       console.log(`❌ Payment failed for order ${orderId}: ${paymentData.failureReason}`);
     }
@@ -334,17 +371,11 @@ class PaymentManager {
 
   async triggerPostPaymentActions(paymentData) {
     try {
-      // Here you can trigger actions like:
-      // - Send confirmation message to user
-      // - Generate PDF
-      // - Update analytics
-      // - Send notifications to admin
-
       console.log(`🎉 Post-payment actions triggered for ${paymentData.phoneNumber}`);
-      
-      // Example: You might want to notify your main bot about completed payment
-      // This would integrate with your conversation manager
-      
+
+      if (this.postPaymentHandler) {
+        await this.postPaymentHandler(paymentData);
+      }
     } catch (error) {
       console.error('Error in post-payment actions:', error);
     }
@@ -357,12 +388,12 @@ class PaymentManager {
     
     let cleanedCount = 0;
     
-    for (const [orderId, payment] of this.pendingPayments.entries()) {
+    for (const payment of this.repository.all()) {
       const createdAt = new Date(payment.createdAt);
       
       // Keep completed payments and recent payments
       if (createdAt < sevenDaysAgo && payment.status !== 'completed') {
-        this.pendingPayments.delete(orderId);
+        this.repository.delete(payment.orderId);
         cleanedCount++;
       }
     }
@@ -374,7 +405,7 @@ class PaymentManager {
 
   // Export payment data
   exportPayments(startDate = null, endDate = null) {
-    const payments = Array.from(this.pendingPayments.values());
+    const payments = this.repository.all();
     
     let filteredPayments = payments;
     
@@ -0,0 +1,56 @@
+// utils/SeasonRegistry.js - Maps free-text season names onto the 12 canonical seasons
+const defaultSeasons = require('./seasons');
+
+class SeasonRegistry {
+  constructor(options = {}) {
+    this.seasons = Object.entries(options.seasons || defaultSeasons).map(([id, season]) => ({ id, ...season }));
+
+    // Sorted-word keys, so "Autumn Soft" finds Soft Autumn too
+    this.aliases = this.seasons.flatMap(season =>
+      [season.name, ...(season.aliases || [])].map(alias => ({
+        season,
+        length: this.tokenize(alias).length,
+        key: this.toKey(this.tokenize(alias))
+      }))
+    );
+  }
+
+  list() {
+    return this.seasons;
+  }
+
+  get(id) {
+    return this.seasons.find(season => season.id === id) || null;
+  }
+
+  // "Soft Autumn (Muted)", "deep winter-ish", "Autumn, soft" -> the season,
+  // or null if no canonical season is named. When several are named the
+  // first one in the text wins.
+  resolve(text) {
+    const tokens = this.tokenize(text);
+    let best = null;
+
+    this.aliases.forEach(alias => {
+      for (let start = 0; start + alias.length <= tokens.length; start++) {
+        if (this.toKey(tokens.slice(start, start + alias.length)) !== alias.key) continue;
+
+        if (!best || start < best.start || (start === best.start && alias.length > best.length)) {
+          best = { start, length: alias.length, season: alias.season };
+        }
+        break;
+      }
+    });
+
+    return best ? best.season : null;
+  }
+
+  tokenize(text) {
+    return String(text || '').toLowerCase().match(/[a-z]+/g) || [];
+  }
+
+  toKey(tokens) {
+    return [...tokens].sort().join(' ');
+  }
+}
+
+module.exports = SeasonRegistry;
@@ -0,0 +1,186 @@
+// utils/StateMachine.js - Runs a declarative conversation flow
+//
+// A flow definition looks like:
+//   {
+//     initial: 'initial',
+//     global: { <event>: { action, target } },   // valid in every state
+//     states: {
+//       <name>: {
+//         description: 'Shown in the exported diagram',
+//         options: ['intentA', 'intentB'],   // what "1", "2"... mean in this state
+//         onEnter: 'actionName',             // runs whenever the state is entered
+//         on: {
+//           <event>: { action, target },
+//           fallback: { action, target }     // required: handles anything else
+//         }
+//       }
+//     }
+//   }
+//
+// `target` moves the conversation after the action runs. Actions that only
+// sometimes move it (e.g. when a payment succeeds) trigger an event instead.
+// Actions can be omitted when the machine is only used to export the diagram.
+class StateMachine {
+  constructor(definition, actions = null) {
+    this.initial = definition.initial;
+    this.states = definition.states;
+    this.global = definition.global || {};
+    this.actions = actions || {};
+    this.checkActions = !!actions;
+
+    this.validate();
+  }
+
+  // Fail fast at startup if the flow refers to unknown states or actions
+  validate() {
+    const errors = [];
+
+    if (!this.states[this.initial]) {
+      errors.push(`initial state "${this.initial}" is not defined`);
+    }
+
+    const checkTransition = (where, event, transition) => {
+      if (transition.target && !this.states[transition.target]) {
+        errors.push(`${where} "${event}" targets unknown state "${transition.target}"`);
+      }
+
+      if (this.checkActions && transition.action && !this.actions[transition.action]) {
+        errors.push(`${where} "${event}" uses unknown action "${transition.action}"`);
+      }
+    };
+
+    Object.entries(this.global).forEach(([event, transition]) => {
+      checkTransition('global event', event, transition);
+    });
+
+    Object.entries(this.states).forEach(([name, state]) => {
+      if (!state.on || !state.on.fallback) {
+        errors.push(`state "${name}" has no fallback handler`);
+      }
+
+      if (this.checkActions && state.onEnter && !this.actions[state.onEnter]) {
+        errors.push(`state "${name}" uses unknown entry action "${state.onEnter}"`);
+      }
+
+      Object.entries(state.on || {}).forEach(([event, transition]) => {
+        checkTransition(`state "${name}" event`, event, transition);
+      });
+    });
+
+    if (errors.length) {
+      throw new Error(`Invalid conversation flow:\n- ${errors.join('\n- ')}`);
+    }
+  }
+
+  getState(conversation) {
+    if (!this.states[conversation.state]) {
+      console.warn(`Unknown conversation state "${conversation.state}", resetting to "${this.initial}"`);
+      conversation.state = this.initial;
+    }
+
+    return this.states[conversation.state];
+  }
+
+  // Intents behind numbered replies ("1", "2"...) in the current state
+  getOptions(conversation) {
+    return this.getState(conversation).options || [];
+  }
+
+  // States the conversation may move to from its current state
+  getAllowedTargets(stateName) {
+    const transitions = [
+      ...Object.values(this.states[stateName]?.on || {}),
+      ...Object.values(this.global)
+    ];
+
+    return new Set(transitions.map(t => t.target).filter(Boolean));
+  }
+
+  // User input. `events` may be a list of candidate intents: the first one the
+  // current state handles wins, then the first global one, then the state's
+  // fallback.
+  async dispatch(conversation, events, context = {}) {
+    const state = this.getState(conversation);
+    const candidates = (Array.isArray(events) ? events : [events]).filter(event => event !== 'fallback');
+
+    const event = candidates.find(name => state.on[name]) ||
+      candidates.find(name => this.global[name]);
+    const transition = event ? (state.on[event] || this.global[event]) : state.on.fallback;
+
+    await this.run(conversation, transition, context);
+  }
+
+  // System events (e.g. analysis finished). Unlike dispatch there is no
+  // fallback: events that aren't valid in the current state are rejected.
+  async trigger(conversation, event, context = {}) {
+    const state = this.getState(conversation);
+    const transition = state.on[event] || this.global[event];
+
+    if (!transition || event === 'fallback') {
+      console.warn(`Rejected event "${event}" in state "${conversation.state}"`);
+      return false;
+    }
+
+    await this.run(conversation, transition, context);
+    return true;
+  }
+
+  async run(conversation, transition, context) {
+    if (transition.action) {
+      await this.actions[transition.action]({ ...context, conversation });
+    }
+
+    if (transition.target) {
+      await this.transition(conversation, transition.target, context);
+    }
+  }
+
+  // Moves the conversation, rejecting moves the flow doesn't declare
+  async transition(conversation, target, context = {}) {
+    const from = this.getState(conversation) && conversation.state;
+
+    if (from !== target && !this.getAllowedTargets(from).has(target)) {
+      throw new Error(`Invalid transition from "${from}" to "${target}"`);
+    }
+
+    conversation.state = target;
+
+    const onEnter = this.states[target].onEnter;
+    if (onEnter && from !== target) {
+      await this.actions[onEnter]({ ...context, conversation });
+    }
+  }
+
+  // Mermaid state diagram of the flow, for review
+  toMermaid() {
+    const lines = ['stateDiagram-v2', `  [*] --> ${this.initial}`];
+
+    Object.entries(this.states).forEach(([name, state]) => {
+      if (state.description) {
+        lines.push(`  ${name} : ${state.description}`);
+      }
+    });
+
+    const addEdges = (from, event, transition) => {
+      if (transition.target && transition.target !== from) {
+        lines.push(`  ${from} --> ${transition.target} : ${event}`);
+      }
+    };
+
+    Object.entries(this.states).forEach(([name, state]) => {
+      Object.entries(state.on).forEach(([event, transition]) => addEdges(name, event, transition));
+    });
+
+    Object.entries(this.global).forEach(([event, transition]) => {
+      Object.keys(this.states).forEach(name => {
+        if (!this.states[name].on[event]) {
+          addEdges(name, event, transition);
+        }
+      });
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = StateMachine;
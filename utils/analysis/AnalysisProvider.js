@@ -0,0 +1,58 @@
+// utils/analysis/AnalysisProvider.js - Interface every colour analysis backend implements
+//
+// analyzeFromBuffer(imageBuffer, mimeType, options) resolves to
+//   { success: true, analysis }
+//   { success: false, error, retryable }   retryable: worth queueing again
+// options: { language, measurements } (see utils/ColorMeasurer.js)
+//
+// Every provider's output goes through the same checks: palette cleanup,
+// the JSON Schema (utils/analysisSchema.js) and canonical seasons.
+const SeasonRegistry = require('../SeasonRegistry');
+const AnalysisValidator = require('../AnalysisValidator');
+const PaletteProcessor = require('../PaletteProcessor');
+
+class AnalysisProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.seasons = options.seasons || new SeasonRegistry();
+    this.validator = options.validator || new AnalysisValidator();
+    this.palettes = options.palettes || new PaletteProcessor();
+  }
+
+  async analyzeFromBuffer(imageBuffer, mimeType, options = {}) {
+    throw new Error(`${this.name} provider does not implement analyzeFromBuffer`);
+  }
+
+  // Schema errors after fixing what can be fixed (hex formats, duplicate
+  // colours). Colours dropped on the way only matter if they leave a list
+  // short, and then they explain the count error.
+  checkAnalysis(analysis) {
+    const paletteNotes = this.palettes.sanitize(analysis);
+    const { errors } = this.validator.validate(analysis);
+
+    return errors.length ? [...paletteNotes, ...errors] : [];
+  }
+
+  // Turns a valid analysis into a result: canonical season and key colours
+  // flagged when close to a colour to avoid. A season we can't place is
+  // worth asking for again.
+  finalize(analysis) {
+    const season = this.seasons.resolve(analysis.personal_profile.season);
+    if (!season) {
+      console.error(`Unrecognized season "${analysis.personal_profile.season}"`);
+      return { success: false, retryable: true, error: 'The analysis did not return a recognized season.' };
+    }
+
+    analysis.personal_profile.season = season.name;
+    analysis.personal_profile.season_id = season.id;
+
+    const paletteNotes = this.palettes.flagConflicts(analysis);
+    if (paletteNotes.length) {
+      console.log(`🎨 Palette conflicts:\n${paletteNotes.join('\n')}`);
+    }
+
+    return { success: true, analysis };
+  }
+}
+
+module.exports = AnalysisProvider;
@@ -0,0 +1,299 @@
+// utils/analysis/GeminiAnalysisProvider.js - Colour analysis with the Gemini API
+const fs = require('fs');
+const axios = require('axios');
+const AnalysisProvider = require('./AnalysisProvider');
+
+class GeminiAnalysisProvider extends AnalysisProvider {
+  constructor(options = {}) {
+    super('Gemini', options);
+    this.apiKey = options.apiKey || process.env.NEXT_PUBLIC_GEMINI_API_KEY;
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest';
+    
+    if (!this.apiKey) {
+      console.error('Gemini API key not found. Please set NEXT_PUBLIC_GEMINI_API_KEY in your environment variables.');
+    }
+  }
+
+  async fileToBase64(file) {
+    try {
+      if (file.arrayBuffer) {
+        // Handle File-like objects
+        const arrayBuffer = await file.arrayBuffer();
+        const buffer = Buffer.from(arrayBuffer);
+        return buffer.toString('base64');
+      } else if (Buffer.isBuffer(file)) {
+        // Handle Buffer directly
+        return file.toString('base64');
+      } else if (typeof file === 'string') {
+        // Handle file path
+        const buffer = fs.readFileSync(file);
+        return buffer.toString('base64');
+      } else {
+        throw new Error('Unsupported file format');
+      }
+    } catch (error) {
+      console.error('Error converting file to base64:', error);
+      throw error;
+    }
+  }
+
+  // options.language: the user's language (e.g. 'Hindi'), see localizationPrompt()
+  // options.measurements: ColorMeasurer results, see measurementPrompt()
+  async analyzeColors(file, mimeType = 'image/jpeg', options = {}) {
+    if (!this.apiKey) {
+      return { success: false, error: 'Gemini API key is not configured.' };
+    }
+
+    try {
+      const base64Image = await this.fileToBase64(file);
+      const seasonNames = this.seasons.list().map(season => season.name).join(', ');
+      
+      const prompt = `
+You are an expert Korean personal color analyst. Your task is to analyze the provided selfie to determine the user's personal color season based on the detailed 12-season system and provide actionable recommendations.
+
+**Analysis Steps:**
+1.  **Observe Skin Undertone:** Look for cool (pink, red, blueish), warm (yellow, peachy, golden), or neutral/olive tones.
+2.  **Determine Value & Chroma:** Assess the overall lightness/darkness and brightness/softness of their features.
+3.  **Synthesize:** Identify the most fitting of the 12 seasons: ${seasonNames}.
+
+**Output Format:**
+Respond with a single, valid JSON object only. Do not include any markdown formatting, comments, or surrounding text.
+
+**JSON Structure:**
+{
+  "personal_profile": {
+    "season": "Exactly one of the 12 season names above, with nothing added (e.g., 'Soft Autumn')",
+    "undertone": "A brief description of the undertone (e.g., 'Warm with golden hues')",
+    "summary": "An empowering and descriptive 2-3 sentence summary of their color profile."
+  },
+  "color_palettes": {
+    "key_colors": [ { "name": "Color Name", "hex": "#HEXCODE", "description": "Why this is a great color." } ],
+    "neutrals": [ { "name": "Color Name", "hex": "#HEXCODE", "description": "How to use this neutral." } ],
+    "accent_colors": [ { "name": "Color Name", "hex": "#HEXCODE", "description": "Best for accessories." } ]
+  },
+  "recommendations": {
+    "makeup": {
+      "vibe": "A short description of the ideal makeup style (e.g., 'Soft, natural, and warm').",
+      "foundation": "Tip for finding the right foundation undertone.",
+      "blush": "Recommended blush colors and tones.",
+      "eyeshadow": "Recommended eyeshadow colors and tones.",
+      "lipstick": "Recommended lipstick colors and tones."
+    },
+    "hair_colors": [
+      "Recommended Hair Color 1",
+      "Recommended Hair Color 2",
+      "Recommended Hair Color 3"
+    ],
+    "style": {
+      "jewelry": "Recommendation for metal tones (e.g., 'Silver and platinum are best. Avoid yellow gold.').",
+      "fabrics": "Advice on suitable fabric types and textures.",
+      "patterns": "Advice on suitable print and pattern styles (e.g., 'Low-contrast, delicate florals')."
+    }
+  },
+  "colors_to_avoid": [
+    { "name": "Color Name", "hex": "#HEXCODE" }
+  ]
+}
+
+**Important Constraints:**
+- Provide 6 'key_colors', 4 'neutrals', and 2 'accent_colors'.
+- Provide 3-4 'hair_colors'.
+- Provide 4 'colors_to_avoid'.
+- Colors within each list must be clearly different from each other.
+- Ensure all hex codes are valid. Before responding, double-check that your output is a single, complete JSON object with all specified keys.
+${this.measurementPrompt(options.measurements)}${this.localizationPrompt(options.language)}`;
+
+      const contents = [{
+        role: 'user',
+        parts: [
+          { text: prompt },
+          { inline_data: { mime_type: mimeType, data: base64Image } }
+        ]
+      }];
+
+      let responseText = await this.generate(contents);
+      let { analysis: analysisData, errors } = this.parseAnalysis(responseText);
+
+      // One repair round-trip: show the model what was wrong with its answer
+      if (errors.length) {
+        console.warn(`Analysis failed validation, asking for a repair:\n${errors.join('\n')}`);
+
+        contents.push(
+          { role: 'model', parts: [{ text: responseText }] },
+          { role: 'user', parts: [{ text: this.repairPrompt(errors) }] }
+        );
+
+        responseText = await this.generate(contents);
+        ({ analysis: analysisData, errors } = this.parseAnalysis(responseText));
+      }
+
+      if (errors.length) {
+        console.error(`Analysis still invalid after repair:\n${errors.join('\n')}`);
+        throw new Error('Analysis results are incomplete or invalid');
+      }
+
+      return this.finalize(analysisData);
+
+    } catch (error) {
+      console.error('Color analysis error:', error);
+      
+      // Timeouts, rate limits and server errors are worth retrying later
+      if (error.code === 'ECONNABORTED') {
+        return { success: false, retryable: true, error: 'Analysis timed out. Please try with a smaller image.' };
+      }
+      
+      if (error.response?.status === 429) {
+        return { success: false, retryable: true, error: 'Too many requests. Please try again in a few moments.' };
+      }
+
+      if (error.response?.status >= 500) {
+        return { success: false, retryable: true, error: 'The analysis service is temporarily unavailable.' };
+      }
+      
+      if (error.response?.status === 400) {
+        return { success: false, error: 'Invalid image format. Please try with a clear JPEG or PNG image.' };
+      }
+
+      return { 
+        success: false, 
+        error: error.message || 'An unknown error occurred during analysis. Please try again.' 
+      };
+    }
+  }
+
+  // Local CIELAB measurements, so the season doesn't rest on the model's
+  // impression of the photo alone
+  measurementPrompt(measurements) {
+    if (!measurements) return '';
+
+    const { skin, hair, contrast } = measurements;
+    const lines = [
+      `- Skin (median of forehead and cheeks): L* ${skin.lab.l}, a* ${skin.lab.a}, b* ${skin.lab.b} (${skin.hex})`,
+      `- Undertone: b*/a* ratio ${skin.undertoneRatio ?? 'n/a'}, which reads as ${skin.undertone}`,
+      `- Value: ${skin.value} (L* ${skin.lab.l})`,
+      `- Chroma: ${skin.chromaLevel} (C* ${skin.chroma})`
+    ];
+
+    if (hair) {
+      lines.push(`- Hair: L* ${hair.lab.l}, a* ${hair.lab.a}, b* ${hair.lab.b} (${hair.hex})`);
+    }
+    if (contrast) {
+      lines.push(`- Skin/hair contrast: ${contrast.level} (L* difference ${contrast.lightnessDifference})`);
+    }
+
+    return `
+**Measured Colour Evidence:**
+These values were measured from the photo's pixels in CIELAB (D65). Use them as evidence for undertone, value and chroma, weighed against what you see (lighting, makeup and shadows can shift them):
+${lines.join('\n')}
+`;
+  }
+
+  // The fields above always stay in English: the PDF guide's fonts are
+  // Latin-only and the rest of the app reads them. Chat replies in other
+  // languages use the translations in `localized` instead.
+  localizationPrompt(language) {
+    if (!language || language === 'English') return '';
+
+    return `
+**Translation:**
+The user reads ${language}. Add a "localized" key to the JSON object with ${language} translations of the chat text, keeping every field above in English:
+"localized": {
+  "personal_profile": { "undertone": "...", "summary": "..." },
+  "color_palettes": { "key_colors": [ { "name": "..." } ], "neutrals": [ { "name": "..." } ] },
+  "recommendations": { "makeup": { "vibe": "...", "lipstick": "..." }, "hair_colors": [ "..." ], "style": { "jewelry": "..." } },
+  "colors_to_avoid": [ { "name": "..." } ]
+}
+- Keep every array in the same order and length as its English counterpart.
+- Do not translate or include the season name.
+`;
+  }
+
+  // Sends the conversation to Gemini and returns the text of its reply
+  async generate(contents) {
+    const response = await axios.post(
+      `${this.baseUrl}:generateContent?key=${this.apiKey}`,
+      {
+        contents,
+        generationConfig: {
+          response_mime_type: "application/json",
+          temperature: 0.4,
+          topP: 0.95,
+          topK: 40,
+        }
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 60000 // 60 second timeout
+      }
+    );
+
+    if (response.status !== 200) {
+      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = response.data;
+
+    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+      throw new Error('Invalid response format from Gemini API');
+    }
+
+    return data.candidates[0].content.parts[0].text;
+  }
+
+  // Returns { analysis, errors }; errors lists every problem found (see utils/analysisSchema.js)
+  parseAnalysis(jsonString) {
+    let analysis;
+    try {
+      analysis = JSON.parse(jsonString);
+    } catch (parseError) {
+      console.error('Raw response:', jsonString);
+      return { analysis: null, errors: [`(root): not valid JSON (${parseError.message})`] };
+    }
+
+    return { analysis, errors: this.checkAnalysis(analysis) };
+  }
+
+  repairPrompt(errors) {
+    return `Your JSON does not match the required structure:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix these problems and respond with the complete corrected JSON object only, following the original instructions.`;
+  }
+
+  validateImage(file, maxSize = 5 * 1024 * 1024) {
+    try {
+      if (!file) {
+        return { valid: false, error: 'No file provided.' };
+      }
+
+      // Check file size
+      if (file.size && file.size > maxSize) {
+        return { valid: false, error: 'Image file size should be less than 5MB.' };
+      }
+
+      // Check file type if available
+      if (file.type) {
+        const validTypes = ['image/jpeg', 'image/png', 'image/webp'];
+        if (!validTypes.includes(file.type)) {
+          return { valid: false, error: 'Please upload a valid image file (JPEG, PNG, or WebP).' };
+        }
+      }
+
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: 'Failed to validate image.' };
+    }
+  }
+
+  // Helper method for WhatsApp media
+  async analyzeFromBuffer(imageBuffer, mimeType = 'image/jpeg', options = {}) {
+    const validation = this.validateImage({ size: imageBuffer.length, type: mimeType });
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    return this.analyzeColors(imageBuffer, mimeType, options);
+  }
+}
+
+module.exports = GeminiAnalysisProvider;
\ No newline at end of file
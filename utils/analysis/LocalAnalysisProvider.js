@@ -0,0 +1,77 @@
+// utils/analysis/LocalAnalysisProvider.js - Offline, deterministic analyses for development and tests
+//
+// No network: the season comes from the ColorMeasurer results (or a hash of
+// the image when there are none) and the palette from fixtures/<parent>.json.
+// ANALYSIS_FIXTURE=path/to/analysis.json returns that file for every photo.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AnalysisProvider = require('./AnalysisProvider');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Measured skin levels -> season attributes they point to, with weights
+const TEMPERATURE_SCORES = {
+  warm: { warm: 2, 'neutral-warm': 1 },
+  neutral: { 'neutral-warm': 1, 'neutral-cool': 1 },
+  cool: { cool: 2, 'neutral-cool': 1 }
+};
+const CHROMA_MATCHES = { muted: 'soft', moderate: 'medium', clear: 'bright' };
+
+class LocalAnalysisProvider extends AnalysisProvider {
+  constructor(options = {}) {
+    super('Local', options);
+    this.fixture = options.fixture || process.env.ANALYSIS_FIXTURE || null;
+  }
+
+  async analyzeFromBuffer(imageBuffer, mimeType = 'image/jpeg', options = {}) {
+    try {
+      const analysis = this.fixture ? this.readFixture(this.fixture) : this.fromSeason(this.pickSeason(imageBuffer, options.measurements));
+
+      const errors = this.checkAnalysis(analysis);
+      if (errors.length) {
+        return { success: false, error: `Local analysis fixture is invalid:\n${errors.join('\n')}` };
+      }
+
+      return this.finalize(analysis);
+    } catch (error) {
+      console.error('Local analysis error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Best match for the measured value and chroma among the seasons on the
+  // measured undertone's side; ties go to the first season in
+  // utils/seasons.js. Without measurements the image hash picks one, so
+  // the same photo always gets the same season.
+  pickSeason(imageBuffer, measurements) {
+    const seasons = this.seasons.list();
+    const skin = measurements?.skin;
+
+    if (!skin) {
+      const hash = crypto.createHash('sha256').update(imageBuffer).digest();
+      return seasons[hash.readUInt32BE(0) % seasons.length];
+    }
+
+    const temperatureScores = TEMPERATURE_SCORES[skin.undertone] || {};
+    const sameSide = seasons.filter(season => temperatureScores[season.temperature]);
+    const score = season =>
+      (temperatureScores[season.temperature] || 0) +
+      (season.value === skin.value ? 1 : 0) +
+      (season.chroma === CHROMA_MATCHES[skin.chromaLevel] ? 1 : 0);
+
+    return (sameSide.length ? sameSide : seasons).reduce((best, season) => (score(season) > score(best) ? season : best));
+  }
+
+  fromSeason(season) {
+    const analysis = this.readFixture(path.join(FIXTURE_DIR, `${season.parent}.json`));
+    analysis.personal_profile.season = season.name;
+    return analysis;
+  }
+
+  readFixture(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+}
+
+module.exports = LocalAnalysisProvider;
@@ -0,0 +1,22 @@
+// utils/analysis/createAnalysisProvider.js - Picks the colour analysis backend from config
+const GeminiAnalysisProvider = require('./GeminiAnalysisProvider');
+const LocalAnalysisProvider = require('./LocalAnalysisProvider');
+
+// ANALYSIS_PROVIDER=gemini (default) or local
+function createAnalysisProvider(options = {}) {
+  const type = (options.type || process.env.ANALYSIS_PROVIDER || 'gemini').toLowerCase();
+
+  switch (type) {
+    case 'gemini':
+      return new GeminiAnalysisProvider(options);
+
+    case 'local':
+    case 'mock':
+      return new LocalAnalysisProvider(options);
+
+    default:
+      throw new Error(`Unknown ANALYSIS_PROVIDER "${type}". Use "gemini" or "local".`);
+  }
+}
+
+module.exports = createAnalysisProvider;
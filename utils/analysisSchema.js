@@ -0,0 +1,80 @@
+// utils/analysisSchema.js - JSON Schema for a colour analysis
+//
+// Mirrors the JSON structure and constraints in the GeminiAnalysisProvider
+// prompt; change both together. Every provider's output is checked against it.
+const text = { type: 'string', minLength: 1 };
+const hex = { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' };
+
+const color = {
+  type: 'object',
+  required: ['name', 'hex', 'description'],
+  properties: {
+    name: text,
+    hex,
+    description: text,
+    // Added to key colours by PaletteProcessor.flagConflicts, not by the model
+    close_to_avoid: {
+      type: 'object',
+      required: ['name', 'hex', 'delta_e'],
+      properties: { name: text, hex, delta_e: { type: 'number', minimum: 0 } }
+    }
+  }
+};
+
+const colorList = count => ({ type: 'array', items: color, minItems: count, maxItems: count });
+
+module.exports = {
+  type: 'object',
+  required: ['personal_profile', 'color_palettes', 'recommendations', 'colors_to_avoid'],
+  additionalProperties: false,
+  properties: {
+    personal_profile: {
+      type: 'object',
+      required: ['season', 'undertone', 'summary'],
+      properties: { season: text, undertone: text, summary: text }
+    },
+
+    color_palettes: {
+      type: 'object',
+      required: ['key_colors', 'neutrals', 'accent_colors'],
+      properties: {
+        key_colors: colorList(6),
+        neutrals: colorList(4),
+        accent_colors: colorList(2)
+      }
+    },
+
+    recommendations: {
+      type: 'object',
+      required: ['makeup', 'hair_colors', 'style'],
+      properties: {
+        makeup: {
+          type: 'object',
+          required: ['vibe', 'foundation', 'blush', 'eyeshadow', 'lipstick'],
+          properties: { vibe: text, foundation: text, blush: text, eyeshadow: text, lipstick: text }
+        },
+        hair_colors: { type: 'array', items: text, minItems: 3, maxItems: 4 },
+        style: {
+          type: 'object',
+          required: ['jewelry', 'fabrics', 'patterns'],
+          properties: { jewelry: text, fabrics: text, patterns: text }
+        }
+      }
+    },
+
+    colors_to_avoid: {
+      type: 'array',
+      minItems: 4,
+      maxItems: 4,
+      items: {
+        type: 'object',
+        required: ['name', 'hex'],
+        properties: { name: text, hex }
+      }
+    },
+
+    // Translated chat text for non-English users (see localizationPrompt).
+    // Optional and loosely checked: anything missing falls back to English.
+    localized: { type: 'object' }
+  }
+};
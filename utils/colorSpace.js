@@ -0,0 +1,116 @@
+// utils/colorSpace.js - sRGB/hex/CIELAB conversions (D65 white point) and CIEDE2000
+
+// D65 reference white
+const WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+function srgbToLinear(channel) {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+// r, g, b: 0-255. Returns { l, a, b } with L* in 0-100
+function rgbToLab(r, g, b) {
+  const red = srgbToLinear(r);
+  const green = srgbToLinear(g);
+  const blue = srgbToLinear(b);
+
+  const x = (red * 0.4124 + green * 0.3576 + blue * 0.1805) / WHITE.x;
+  const y = (red * 0.2126 + green * 0.7152 + blue * 0.0722) / WHITE.y;
+  const z = (red * 0.0193 + green * 0.1192 + blue * 0.9505) / WHITE.z;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+  return {
+    l: 116 * f(y) - 16,
+    a: 500 * (f(x) - f(y)),
+    b: 200 * (f(y) - f(z))
+  };
+}
+
+function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(channel =>
+    Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0')
+  ).join('').toUpperCase();
+}
+
+// "#fc0", "FFCC00", "#ffcc00ff" -> "#FFCC00"; null if it isn't a hex colour
+function normalizeHex(value) {
+  const match = String(value ?? '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (!match) return null;
+
+  let digits = match[1].toUpperCase();
+  if (digits.length === 3) digits = digits.split('').map(digit => digit + digit).join('');
+
+  // Alpha doesn't apply to fabric or makeup
+  return `#${digits.slice(0, 6)}`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(normalizeHex(hex).slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function hexToLab(hex) {
+  return rgbToLab(...hexToRgb(hex));
+}
+
+// Perceptual distance between two CIELAB colours (Sharma et al. 2005).
+// Around 2 is barely noticeable; above 10 colours read as clearly different.
+function deltaE2000(lab1, lab2) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const degrees = value => {
+    const angle = value * 180 / Math.PI;
+    return angle < 0 ? angle + 360 : angle;
+  };
+
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const meanC = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7)));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const chroma1 = Math.hypot(a1, lab1.b);
+  const chroma2 = Math.hypot(a2, lab2.b);
+  const hue1 = chroma1 === 0 ? 0 : degrees(Math.atan2(lab1.b, a1));
+  const hue2 = chroma2 === 0 ? 0 : degrees(Math.atan2(lab2.b, a2));
+
+  const deltaL = lab2.l - lab1.l;
+  const deltaC = chroma2 - chroma1;
+  let deltaHue = 0;
+  if (chroma1 * chroma2 !== 0) {
+    deltaHue = hue2 - hue1;
+    if (deltaHue > 180) deltaHue -= 360;
+    else if (deltaHue < -180) deltaHue += 360;
+  }
+  const deltaH = 2 * Math.sqrt(chroma1 * chroma2) * Math.sin(radians(deltaHue / 2));
+
+  const meanL = (lab1.l + lab2.l) / 2;
+  const meanChroma = (chroma1 + chroma2) / 2;
+  let meanHue = hue1 + hue2;
+  if (chroma1 * chroma2 !== 0) {
+    if (Math.abs(hue1 - hue2) <= 180) meanHue = (hue1 + hue2) / 2;
+    else meanHue = hue1 + hue2 < 360 ? (hue1 + hue2 + 360) / 2 : (hue1 + hue2 - 360) / 2;
+  }
+
+  const t = 1 -
+    0.17 * Math.cos(radians(meanHue - 30)) +
+    0.24 * Math.cos(radians(2 * meanHue)) +
+    0.32 * Math.cos(radians(3 * meanHue + 6)) -
+    0.20 * Math.cos(radians(4 * meanHue - 63));
+  const deltaTheta = 30 * Math.exp(-(((meanHue - 275) / 25) ** 2));
+  const rc = 2 * Math.sqrt(meanChroma ** 7 / (meanChroma ** 7 + 25 ** 7));
+  const sl = 1 + (0.015 * (meanL - 50) ** 2) / Math.sqrt(20 + (meanL - 50) ** 2);
+  const sc = 1 + 0.045 * meanChroma;
+  const sh = 1 + 0.015 * meanChroma * t;
+  const rt = -Math.sin(radians(2 * deltaTheta)) * rc;
+
+  return Math.sqrt(
+    (deltaL / sl) ** 2 +
+    (deltaC / sc) ** 2 +
+    (deltaH / sh) ** 2 +
+    rt * (deltaC / sc) * (deltaH / sh)
+  );
+}
+
+module.exports = { rgbToLab, rgbToHex, normalizeHex, hexToRgb, hexToLab, deltaE2000 };
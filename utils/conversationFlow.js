@@ -0,0 +1,112 @@
+// utils/conversationFlow.js - The bot's conversation flow as a state machine definition
+//
+// Events are intents recognised from user messages (ready, pdf, ...), inbound
+// photos (photo) and system events (analysis_succeeded, payment_confirmed, ...).
+// Actions whose outcome decides the next state trigger an event for it once
+// they have done their part (payment_link_sent, guide_delivered).
+// Action names are implemented in server.js. See utils/StateMachine.js for the
+// format, and `npm run flow:diagram` for a Mermaid export.
+module.exports = {
+  initial: 'initial',
+
+  // Valid from every state unless the state handles the event itself
+  global: {
+    help: { action: 'sendHelp' },
+    restart: { action: 'resetAnalysis', target: 'guide_shown' },
+    status: { action: 'sendStatus' },
+    language: { action: 'changeLanguage' },
+    stop: { action: 'optOut' },
+    resume: { action: 'optIn' },
+    export_data: { action: 'sendDataExport' },
+    delete_data: { action: 'requestDataDeletion' },
+    confirm_delete: { action: 'deleteUserData' },
+    photo: { action: 'rejectPhoto' },
+    unsupported: { action: 'sendUnsupportedMessage' },
+    unknown_option: { action: 'sendUnknownOption' },
+    resend: { action: 'resendGuideLink' },
+    payment_confirmed: { target: 'payment_completed' }
+  },
+
+  states: {
+    initial: {
+      description: 'New conversation',
+      on: {
+        fallback: { action: 'sendWelcome', target: 'guide_shown' }
+      }
+    },
+
+    welcome: {
+      description: 'Legacy welcome state',
+      on: {
+        fallback: { action: 'sendWelcome', target: 'guide_shown' }
+      }
+    },
+
+    guide_shown: {
+      description: 'Welcome shown, waiting for the user to start',
+      options: ['ready'],
+      on: {
+        ready: { action: 'sendPhotoInstructions', target: 'waiting_for_photo' },
+        fallback: { action: 'sendGuide' }
+      }
+    },
+
+    waiting_for_photo: {
+      description: 'Waiting for a selfie',
+      on: {
+        photo: { action: 'queueAnalysis', target: 'analyzing' },
+        fallback: { action: 'remindPhoto' }
+      }
+    },
+
+    analyzing: {
+      description: 'Photo queued for analysis',
+      on: {
+        analysis_succeeded: { action: 'storeAnalysis', target: 'results_shown' },
+        analysis_failed: { action: 'sendAnalysisError', target: 'waiting_for_photo' },
+        photo_rejected: { action: 'sendPhotoProblem', target: 'waiting_for_photo' },
+        fallback: { action: 'sendStillAnalyzing' }
+      }
+    },
+
+    results_shown: {
+      description: 'Season and palette sent',
+      onEnter: 'sendAnalysisResults',
+      options: ['pdf', 'new_analysis', 'share'],
+      on: {
+        pdf: { action: 'requestPDF' },
+        payment_link_sent: { target: 'payment_pending' },
+        new_analysis: { action: 'resetAnalysis', target: 'guide_shown' },
+        share: { action: 'shareResults' },
+        fallback: { action: 'sendResultsOptions' }
+      }
+    },
+
+    payment_pending: {
+      description: 'Payment link sent',
+      options: ['paid'],
+      on: {
+        paid: { action: 'checkPayment' },
+        guide_delivered: { target: 'completed' },
+        fallback: { action: 'remindPayment' }
+      }
+    },
+
+    payment_completed: {
+      description: 'Paid, guide being delivered',
+      on: {
+        guide_delivered: { target: 'completed' },
+        paid: { action: 'checkPayment' },
+        fallback: { action: 'sendGuidePending' }
+      }
+    },
+
+    completed: {
+      description: 'Guide delivered',
+      on: {
+        new_analysis: { action: 'resetAnalysis', target: 'guide_shown' },
+        fallback: { action: 'sendWelcome', target: 'guide_shown' }
+      }
+    }
+  }
+};
@@ -0,0 +1,96 @@
+// utils/intents.js - Vocabulary for recognising intents in text messages
+//
+// Per intent:
+//   exact:   the whole message must be one of these (for short words like "ok")
+//   phrases: word sequences anywhere in the message
+//   words:   single words anywhere in the message; words of 5+ letters also
+//            match with small typos, as do one-word exact entries when they
+//            are the whole message
+//   typos:   false turns typo matching off, for words with real-word
+//            neighbours ("share" vs "shade", "shape")
+// Intents that create an order (pdf) use exact entries and phrases only, so
+// a passing mention ("thanks for the guide!") doesn't start a payment.
+// Intents are listed most specific first, which also breaks ties.
+// Check changes against __tests__/fixtures/intentExamples.js with `npm test`.
+module.exports = {
+  // Global commands
+  help: {
+    exact: ['help', 'menu', 'commands', 'मदद', 'सहायता', '도움말', '도움'],
+    phrases: ['help me', 'what can i do', 'how does this work', 'what do i do']
+  },
+
+  restart: {
+    exact: ['restart', 'reset', 'start again', 'start from scratch'],
+    words: ['restart']
+  },
+
+  status: {
+    exact: ['status', 'my status', 'where am i', 'स्थिति', '상태'],
+    phrases: ['my status', 'order status', 'payment status', "what's my status", 'what is my status']
+  },
+
+  language: {
+    exact: ['english', 'hindi', 'korean', 'हिंदी', 'हिन्दी', '한국어', '영어', 'भाषा', '언어'],
+    phrases: ['change language', 'change the language'],
+    words: ['language', 'lang']
+  },
+
+  stop: {
+    exact: ['stop', 'unsubscribe', 'opt out', 'stop messages'],
+    phrases: ['stop messaging me', 'stop sending me', "don't message me", 'do not message me']
+  },
+
+  resume: {
+    exact: ['resume', 'unstop', 'subscribe', 'opt in']
+  },
+
+  export_data: {
+    exact: ['my data', 'export', 'export data'],
+    phrases: ['export my data', 'download my data', 'copy of my data', 'see my data', 'what data do you have']
+  },
+
+  delete_data: {
+    phrases: ['delete my data', 'delete my account', 'delete my information', 'delete my photos', 'erase my data', 'remove my data', 'forget me']
+  },
+
+  confirm_delete: {
+    exact: ['delete', 'confirm delete', 'yes delete']
+  },
+
+  resend: {
+    phrases: ['send again', 'send it again', 'send the link', 'new link', 'link again', 'link expired', 'link not working'],
+    words: ['resend']
+  },
+
+  paid: {
+    exact: ['done', 'paid', 'payed', 'भुगतान हो गया', 'भुगतान कर दिया', '결제했어요', '결제 완료'],
+    phrases: ['i paid', 'i have paid', 'payment done', 'payment complete', 'payment completed', 'check payment', 'made the payment'],
+    words: ['paid', 'payed', 'payment']
+  },
+
+  new_analysis: {
+    exact: ['new', 'again', 'another'],
+    phrases: ['new analysis', 'new photo', 'another photo', 'another analysis', 'start over', 'try again', 'analyze again', 'do it again', 'one more'],
+    words: ['retake', 'reanalyze']
+  },
+
+  pdf: {
+    exact: ['pdf', 'guide', 'report', 'buy', 'purchase', 'get pdf', 'get guide', 'buy pdf', 'buy guide'],
+    phrases: [
+      'full guide', 'style guide', 'color guide', 'colour guide', 'full report', 'pdf report',
+      'send me the pdf', 'send the pdf', 'get the pdf', 'want the pdf', 'buy the guide', 'buy the pdf'
+    ]
+  },
+
+  share: {
+    exact: ['share', 'forward', 'share it', 'share this'],
+    phrases: ['share this', 'share it', 'share my', 'share the', 'share with', 'tell my friends', 'send to a friend', 'forward this', 'forward it'],
+    typos: false
+  },
+
+  ready: {
+    exact: ['y', 'ok', 'okay', 'go', 'sure', 'start', 'haan', 'han', 'हाँ', 'हां', 'ठीक है', 'शुरू', '네', '예', '응', '시작', '준비됐어요', '준비 완료'],
+    phrases: ["let's go", 'lets go', "let's start", 'lets start', 'get started', "i'm ready", 'im ready'],
+    words: ['ready', 'yes', 'yeah', 'yep', 'continue', 'begin']
+  }
+};
@@ -0,0 +1,160 @@
+// utils/messaging/AisensyProvider.js - Aisensy campaign API adapter
+const axios = require('axios');
+const MessagingProvider = require('./MessagingProvider');
+const MessageDeduplicator = require('../MessageDeduplicator');
+
+class AisensyProvider extends MessagingProvider {
+  constructor(options = {}) {
+    super('Aisensy');
+    this.apiKey = options.apiKey || process.env.AISENSY_API_KEY;
+    this.baseUrl = 'https://backend.aisensy.com/campaign/t1/api/v2';
+
+    if (!this.apiKey) {
+      console.error('Aisensy API key not found. Please set AISENSY_API_KEY in your environment variables.');
+    }
+  }
+
+  async sendMessage(to, messageData) {
+    try {
+      // Clean phone number format
+      const cleanNumber = to.replace(/[^\d]/g, '');
+
+      const payload = {
+        apiKey: this.apiKey,
+        campaignName: 'korean_color_analysis',
+        destination: cleanNumber,
+        userName: 'ColorBot',
+        templateParams: [],
+        source: 'whatsapp-bot',
+        media: messageData.media || {},
+        attributes: {
+          name: 'User'
+        },
+        message: messageData.text || messageData.message || ''
+      };
+
+      console.log('Sending to Aisensy:', {
+        ...payload,
+        apiKey: '[HIDDEN]'
+      });
+
+      const response = await axios.post(`${this.baseUrl}/send`, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-AiSensy-API-KEY': this.apiKey
+        },
+        timeout: 10000 // 10 second timeout
+      });
+
+      console.log('Aisensy response:', response.data);
+      return response.data;
+    } catch (error) {
+      console.error('Aisensy API error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  async sendTextMessage(to, text) {
+    return this.sendMessage(to, { text: text });
+  }
+
+  async sendImageMessage(to, imageUrl, caption = "") {
+    return this.sendMessage(to, {
+      text: caption,
+      media: {
+        type: 'image',
+        url: imageUrl
+      }
+    });
+  }
+
+  async downloadMedia(media) {
+    if (!media.url) {
+      throw new Error('No image URL provided');
+    }
+
+    try {
+      const response = await axios.get(media.url, {
+        responseType: 'arraybuffer',
+        timeout: 30000 // 30 second timeout for media download
+      });
+
+      return {
+        data: Buffer.from(response.data),
+        contentType: response.headers['content-type'] || 'image/jpeg'
+      };
+    } catch (error) {
+      console.error('Error downloading media:', error);
+      throw error;
+    }
+  }
+
+  // Aisensy has delivered messages both as a `messages` array and as a
+  // single flat object, with varying field names
+  parseWebhook(body) {
+    if (!(body.type === 'message' || body.event === 'message' || body.messages)) {
+      return [];
+    }
+
+    // Without a sender there is no one to reply to
+    const items = (Array.isArray(body.messages) ? body.messages.slice(0, 1) : [body])
+      .filter(msgData => msgData.from || msgData.sender || msgData.phone);
+
+    return items.map(msgData => {
+      // In the flat form `type: 'message'` is the event, not the message type
+      const type = (msgData.type !== 'message' && msgData.type) || msgData.messageType || 'text';
+      const interactive = this.parseInteractive(msgData);
+
+      return {
+        message: {
+          id: msgData.id || msgData.messageId || this.getMessageFingerprint(msgData),
+          from: msgData.from || msgData.sender || msgData.phone,
+          timestamp: msgData.timestamp || Date.now(),
+          type: interactive ? 'interactive' : type,
+          text: type === 'text' ? { body: msgData.text || msgData.message } : null,
+          interactive,
+          image: type === 'image' ? {
+            url: msgData.mediaUrl || msgData.media_url,
+            id: msgData.mediaId
+          } : null
+        },
+        contact: {
+          profile: { name: msgData.senderName || msgData.name || 'User' }
+        }
+      };
+    });
+  }
+
+  // Button/list replies, when Aisensy forwards them. Replies to our numbered
+  // text fallback arrive as plain text instead.
+  parseInteractive(msgData) {
+    if (msgData.interactive) {
+      return msgData.interactive;
+    }
+
+    if (msgData.type === 'button' && msgData.button) {
+      return { button_reply: { id: msgData.button.payload, title: msgData.button.text } };
+    }
+
+    return null;
+  }
+
+  // Dedup key for payloads without a message id, built on the provider
+  // timestamp. Without one there is no telling a retry from the user sending
+  // the same thing twice ("1", "1"), so the message isn't deduplicated (null).
+  getMessageFingerprint(msgData) {
+    if (!msgData.timestamp) {
+      return null;
+    }
+
+    return MessageDeduplicator.fingerprint([
+      msgData.from || msgData.sender || msgData.phone,
+      msgData.timestamp,
+      msgData.type || msgData.messageType,
+      msgData.text || msgData.message,
+      msgData.mediaUrl || msgData.media_url || msgData.mediaId
+    ]);
+  }
+}
+
+module.exports = AisensyProvider;
@@ -0,0 +1,95 @@
+// utils/messaging/MessagingProvider.js - Interface every WhatsApp provider implements
+//
+// Inbound messages are normalized to:
+//   {
+//     message: {
+//       id, from, timestamp, type,
+//       text: { body },
+//       image: { id, url, mimeType },
+//       interactive: { button_reply: { id, title } } or { list_reply: { id, title } }
+//     },
+//     contact: { profile: { name } }
+//   }
+// message.id is null when the provider gives nothing to deduplicate on.
+const DEFAULT_REPLY_HINT = 'Reply with the number of your choice.';
+
+class MessagingProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async sendTextMessage(to, text) {
+    throw new Error(`${this.name} provider does not implement sendTextMessage`);
+  }
+
+  async sendImageMessage(to, imageUrl, caption = '') {
+    throw new Error(`${this.name} provider does not implement sendImageMessage`);
+  }
+
+  // buttons: [{ id, text }]
+  // Providers with native reply buttons and lists override these two; the
+  // defaults send the options as a numbered text message.
+  // options.replyHint replaces the "Reply with the number" line (for translations)
+  async sendButtonMessage(to, bodyText, buttons, options = {}) {
+    return this.sendTextMessage(to, this.formatButtonsAsText(bodyText, buttons, options.replyHint));
+  }
+
+  // sections: [{ title, rows: [{ id, title, description }] }]
+  async sendListMessage(to, bodyText, buttonText, sections, options = {}) {
+    return this.sendTextMessage(to, this.formatListAsText(bodyText, sections, options.replyHint));
+  }
+
+  formatButtonsAsText(bodyText, buttons, replyHint = DEFAULT_REPLY_HINT) {
+    const buttonText = buttons.map((btn, index) =>
+      `${index + 1}. ${btn.text}`
+    ).join('\n');
+
+    return `${bodyText}\n\n${buttonText}\n\n${replyHint}`;
+  }
+
+  formatListAsText(bodyText, sections, replyHint = DEFAULT_REPLY_HINT) {
+    let listText = `${bodyText}\n\n`;
+
+    let optionNumber = 1;
+    sections.forEach(section => {
+      if (section.title) {
+        listText += `**${section.title}**\n`;
+      }
+      section.rows.forEach((row) => {
+        listText += `${optionNumber}. ${row.title}\n`;
+        if (row.description) {
+          listText += `   ${row.description}\n`;
+        }
+        optionNumber++;
+      });
+      listText += '\n';
+    });
+
+    listText += replyHint;
+    return listText;
+  }
+
+  // media: the normalized `image` object from an inbound message.
+  // Resolves to { data: Buffer, contentType }
+  async downloadMedia(media) {
+    throw new Error(`${this.name} provider does not implement downloadMedia`);
+  }
+
+  // Returns an array of normalized { message, contact } entries (possibly empty)
+  parseWebhook(body) {
+    throw new Error(`${this.name} provider does not implement parseWebhook`);
+  }
+
+  // Handles the provider's GET verification handshake.
+  // Returns { verified, challenge }
+  verifyWebhook(query) {
+    return { verified: true, challenge: 'Webhook verified' };
+  }
+
+  // Checks the authenticity of an inbound webhook request
+  verifySignature(rawBody, headers) {
+    return true;
+  }
+}
+
+module.exports = MessagingProvider;
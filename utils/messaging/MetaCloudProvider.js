@@ -0,0 +1,236 @@
+// utils/messaging/MetaCloudProvider.js - WhatsApp Cloud API (Meta Graph API) adapter
+const axios = require('axios');
+const crypto = require('crypto');
+const MessagingProvider = require('./MessagingProvider');
+
+class MetaCloudProvider extends MessagingProvider {
+  constructor(options = {}) {
+    super('Meta Cloud API');
+    this.accessToken = options.accessToken || process.env.WHATSAPP_ACCESS_TOKEN;
+    this.phoneNumberId = options.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.verifyToken = options.verifyToken || process.env.WEBHOOK_VERIFY_TOKEN;
+    this.appSecret = options.appSecret || process.env.WHATSAPP_APP_SECRET;
+    this.apiVersion = options.apiVersion || process.env.WHATSAPP_API_VERSION || 'v19.0';
+    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+
+    if (!this.accessToken || !this.phoneNumberId) {
+      console.error('WhatsApp Cloud API credentials not found. Please set WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID in your environment variables.');
+    }
+  }
+
+  getAuthHeaders() {
+    return { Authorization: `Bearer ${this.accessToken}` };
+  }
+
+  async sendMessage(to, messageData) {
+    try {
+      const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: to.replace(/[^\d]/g, ''),
+        ...messageData
+      };
+
+      console.log('Sending to WhatsApp Cloud API:', { to: payload.to, type: payload.type });
+
+      const response = await axios.post(`${this.baseUrl}/${this.phoneNumberId}/messages`, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders()
+        },
+        timeout: 10000 // 10 second timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('WhatsApp Cloud API error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  async sendTextMessage(to, text) {
+    return this.sendMessage(to, {
+      type: 'text',
+      text: { body: text, preview_url: true }
+    });
+  }
+
+  async sendImageMessage(to, imageUrl, caption = '') {
+    return this.sendMessage(to, {
+      type: 'image',
+      image: { link: imageUrl, caption }
+    });
+  }
+
+  async sendButtonMessage(to, bodyText, buttons, options = {}) {
+    // WhatsApp allows at most 3 reply buttons
+    if (buttons.length > 3) {
+      return super.sendButtonMessage(to, bodyText, buttons, options);
+    }
+
+    return this.sendMessage(to, {
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: { text: bodyText },
+        action: {
+          // Button titles are limited to 20 characters
+          buttons: buttons.map((btn, index) => ({
+            type: 'reply',
+            reply: {
+              id: btn.id || String(index + 1),
+              title: btn.text.slice(0, 20)
+            }
+          }))
+        }
+      }
+    });
+  }
+
+  async sendListMessage(to, bodyText, buttonText, sections) {
+    return this.sendMessage(to, {
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: { text: bodyText },
+        action: {
+          button: buttonText.slice(0, 20),
+          sections: sections.map(section => ({
+            title: section.title ? section.title.slice(0, 24) : undefined,
+            rows: section.rows.map(row => ({
+              id: row.id,
+              title: row.title.slice(0, 24),
+              description: row.description ? row.description.slice(0, 72) : undefined
+            }))
+          }))
+        }
+      }
+    });
+  }
+
+  // Media is referenced by id: look up its short-lived URL, then download it
+  // with the same credentials
+  async downloadMedia(media) {
+    if (!media.id && !media.url) {
+      throw new Error('No media id provided');
+    }
+
+    try {
+      let mediaUrl = media.url;
+      let contentType = media.mimeType;
+
+      if (media.id) {
+        const lookup = await axios.get(`${this.baseUrl}/${media.id}`, {
+          headers: this.getAuthHeaders(),
+          timeout: 10000
+        });
+        mediaUrl = lookup.data.url;
+        contentType = lookup.data.mime_type || contentType;
+      }
+
+      const response = await axios.get(mediaUrl, {
+        headers: this.getAuthHeaders(),
+        responseType: 'arraybuffer',
+        timeout: 30000 // 30 second timeout for media download
+      });
+
+      return {
+        data: Buffer.from(response.data),
+        contentType: contentType || response.headers['content-type'] || 'image/jpeg'
+      };
+    } catch (error) {
+      console.error('Error downloading media:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  parseWebhook(body) {
+    if (body.object !== 'whatsapp_business_account' || !Array.isArray(body.entry)) {
+      return [];
+    }
+
+    const results = [];
+
+    body.entry.forEach(entry => {
+      (entry.changes || []).forEach(change => {
+        const value = change.value || {};
+        const contacts = value.contacts || [];
+
+        // Status updates (sent/delivered/read) carry no messages
+        (value.messages || []).forEach(msgData => {
+          const contact = contacts.find(c => c.wa_id === msgData.from) || contacts[0];
+
+          const interactive = this.parseInteractive(msgData);
+
+          results.push({
+            message: {
+              id: msgData.id,
+              from: msgData.from,
+              timestamp: msgData.timestamp ? Number(msgData.timestamp) * 1000 : Date.now(),
+              type: interactive ? 'interactive' : msgData.type,
+              text: msgData.type === 'text' ? { body: msgData.text?.body } : null,
+              image: msgData.type === 'image' ? {
+                id: msgData.image?.id,
+                mimeType: msgData.image?.mime_type
+              } : null,
+              interactive
+            },
+            contact: {
+              profile: { name: contact?.profile?.name || 'User' }
+            }
+          });
+        });
+      });
+    });
+
+    return results;
+  }
+
+  // Reply buttons and list selections carry the ids we sent. Quick-reply
+  // buttons on template messages arrive as type 'button' with a payload.
+  parseInteractive(msgData) {
+    if (msgData.type === 'interactive' && msgData.interactive) {
+      const { button_reply: buttonReply, list_reply: listReply } = msgData.interactive;
+
+      if (buttonReply) {
+        return { button_reply: { id: buttonReply.id, title: buttonReply.title } };
+      }
+
+      if (listReply) {
+        return { list_reply: { id: listReply.id, title: listReply.title } };
+      }
+    }
+
+    if (msgData.type === 'button' && msgData.button) {
+      return { button_reply: { id: msgData.button.payload, title: msgData.button.text } };
+    }
+
+    return null;
+  }
+
+  verifyWebhook(query) {
+    const verified = query['hub.mode'] === 'subscribe' &&
+      !!this.verifyToken &&
+      query['hub.verify_token'] === this.verifyToken;
+
+    return { verified, challenge: verified ? query['hub.challenge'] : null };
+  }
+
+  // Meta signs webhook payloads with the app secret (X-Hub-Signature-256)
+  verifySignature(rawBody, headers) {
+    if (!this.appSecret) {
+      return true;
+    }
+
+    const header = headers['x-hub-signature-256'] || '';
+    const expected = Buffer.from('sha256=' + crypto
+      .createHmac('sha256', this.appSecret)
+      .update(rawBody || '')
+      .digest('hex'));
+    const received = Buffer.from(header);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+module.exports = MetaCloudProvider;
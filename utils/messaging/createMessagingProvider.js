@@ -0,0 +1,22 @@
+// utils/messaging/createMessagingProvider.js - Picks the WhatsApp provider from config
+const AisensyProvider = require('./AisensyProvider');
+const MetaCloudProvider = require('./MetaCloudProvider');
+
+// MESSAGING_PROVIDER=aisensy (default) or meta
+function createMessagingProvider(options = {}) {
+  const type = (options.type || process.env.MESSAGING_PROVIDER || 'aisensy').toLowerCase();
+
+  switch (type) {
+    case 'aisensy':
+      return new AisensyProvider(options);
+
+    case 'meta':
+    case 'cloud':
+      return new MetaCloudProvider(options);
+
+    default:
+      throw new Error(`Unknown MESSAGING_PROVIDER "${type}". Use "aisensy" or "meta".`);
+  }
+}
+
+module.exports = createMessagingProvider;
@@ -0,0 +1,111 @@
+// utils/seasons.js - The 12-season personal color system
+//
+// Per season:
+//   name:        canonical name, shown to users and stored on analyses
+//   parent:      one of the four base seasons
+//   aliases:     other names for it; word order doesn't matter ("Autumn Soft")
+//   temperature: warm, neutral-warm, neutral-cool or cool
+//   value:       light, medium or deep
+//   chroma:      bright, medium or soft
+// Ids are stored on analyses as personal_profile.season_id, so don't rename them.
+module.exports = {
+  light_spring: {
+    name: 'Light Spring',
+    parent: 'spring',
+    aliases: ['Warm Light Spring'],
+    temperature: 'neutral-warm',
+    value: 'light',
+    chroma: 'medium'
+  },
+  true_spring: {
+    name: 'True Spring',
+    parent: 'spring',
+    aliases: ['Warm Spring', 'Pure Spring'],
+    temperature: 'warm',
+    value: 'medium',
+    chroma: 'bright'
+  },
+  bright_spring: {
+    name: 'Bright Spring',
+    parent: 'spring',
+    aliases: ['Clear Spring', 'Vivid Spring'],
+    temperature: 'neutral-warm',
+    value: 'medium',
+    chroma: 'bright'
+  },
+
+  light_summer: {
+    name: 'Light Summer',
+    parent: 'summer',
+    aliases: ['Cool Light Summer'],
+    temperature: 'neutral-cool',
+    value: 'light',
+    chroma: 'soft'
+  },
+  true_summer: {
+    name: 'True Summer',
+    parent: 'summer',
+    aliases: ['Cool Summer', 'Pure Summer'],
+    temperature: 'cool',
+    value: 'medium',
+    chroma: 'soft'
+  },
+  soft_summer: {
+    name: 'Soft Summer',
+    parent: 'summer',
+    aliases: ['Muted Summer', 'Mute Summer'],
+    temperature: 'neutral-cool',
+    value: 'medium',
+    chroma: 'soft'
+  },
+
+  soft_autumn: {
+    name: 'Soft Autumn',
+    parent: 'autumn',
+    aliases: ['Muted Autumn', 'Mute Autumn', 'Soft Fall', 'Muted Fall'],
+    temperature: 'neutral-warm',
+    value: 'medium',
+    chroma: 'soft'
+  },
+  true_autumn: {
+    name: 'True Autumn',
+    parent: 'autumn',
+    aliases: ['Warm Autumn', 'Pure Autumn', 'True Fall', 'Warm Fall'],
+    temperature: 'warm',
+    value: 'medium',
+    chroma: 'medium'
+  },
+  deep_autumn: {
+    name: 'Deep Autumn',
+    parent: 'autumn',
+    aliases: ['Dark Autumn', 'Deep Fall', 'Dark Fall'],
+    temperature: 'neutral-warm',
+    value: 'deep',
+    chroma: 'medium'
+  },
+
+  bright_winter: {
+    name: 'Bright Winter',
+    parent: 'winter',
+    aliases: ['Clear Winter', 'Vivid Winter'],
+    temperature: 'neutral-cool',
+    value: 'medium',
+    chroma: 'bright'
+  },
+  true_winter: {
+    name: 'True Winter',
+    parent: 'winter',
+    aliases: ['Cool Winter', 'Pure Winter'],
+    temperature: 'cool',
+    value: 'deep',
+    chroma: 'bright'
+  },
+  deep_winter: {
+    name: 'Deep Winter',
+    parent: 'winter',
+    aliases: ['Dark Winter'],
+    temperature: 'neutral-cool',
+    value: 'deep',
+    chroma: 'bright'
+  }
+};
@@ -0,0 +1,96 @@
+// utils/storage/FilePaymentRepository.js - Durable JSON-file payment store
+//
+// Payment repositories implement:
+//   get(orderId)                  -> payment or null
+//   save(payment)                 -> stores/overwrites by payment.orderId
+//   delete(orderId)               -> true if a record was removed
+//   all()                         -> array of every payment
+//   findByPhoneNumber(phone)      -> array of payments, newest first
+//   count()                       -> number of stored payments
+//
+// Any object with these methods can be passed to PaymentManager, e.g. one
+// backed by a real database.
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./atomicWrite');
+
+class FilePaymentRepository {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+    this.paymentsFile = options.filePath || path.join(this.dataDir, 'payments.json');
+    this.payments = new Map();
+
+    // Ensure data directory exists
+    if (!fs.existsSync(path.dirname(this.paymentsFile))) {
+      fs.mkdirSync(path.dirname(this.paymentsFile), { recursive: true });
+    }
+
+    this.load();
+  }
+
+  get(orderId) {
+    return this.payments.get(orderId) || null;
+  }
+
+  save(payment) {
+    if (!payment || !payment.orderId) {
+      throw new Error('Payment records need an orderId');
+    }
+
+    this.payments.set(payment.orderId, payment);
+    this.persist();
+    return payment;
+  }
+
+  delete(orderId) {
+    const deleted = this.payments.delete(orderId);
+    if (deleted) {
+      this.persist();
+    }
+    return deleted;
+  }
+
+  all() {
+    return Array.from(this.payments.values());
+  }
+
+  findByPhoneNumber(phoneNumber) {
+    return this.all()
+      .filter(payment => payment.phoneNumber === phoneNumber)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  count() {
+    return this.payments.size;
+  }
+
+  load() {
+    if (!fs.existsSync(this.paymentsFile)) {
+      return;
+    }
+
+    try {
+      const paymentsArray = JSON.parse(fs.readFileSync(this.paymentsFile, 'utf8'));
+
+      this.payments = new Map(
+        paymentsArray.map(payment => [payment.orderId, payment])
+      );
+
+      console.log(`✅ Loaded ${this.payments.size} payments from disk`);
+    } catch (error) {
+      // Never overwrite a file we couldn't read - keep it for manual recovery
+      const corruptFile = `${this.paymentsFile}.corrupt-${Date.now()}`;
+      fs.renameSync(this.paymentsFile, corruptFile);
+      console.error(`Error loading payments, moved unreadable file to ${corruptFile}:`, error);
+      this.payments = new Map();
+    }
+  }
+
+  // Payments are low volume and must not be lost, so every change is
+  // written straight to disk.
+  persist() {
+    writeFileAtomicSync(this.paymentsFile, JSON.stringify(this.all(), null, 2));
+  }
+}
+
+module.exports = FilePaymentRepository;
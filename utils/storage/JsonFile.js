@@ -0,0 +1,67 @@
+// utils/storage/JsonFile.js - A JSON file on disk with batched, crash-safe writes
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./atomicWrite');
+
+class JsonFile {
+  // options.serialize: () => the data to write
+  // options.label: what the file holds, for log messages ("analysis cache")
+  // options.debounceMs: 0 writes on every change; otherwise changes within
+  // the window are batched
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.label = options.label || path.basename(this.filePath);
+    this.serialize = options.serialize;
+    this.debounceMs = options.debounceMs ?? 1000;
+    this.space = options.space;
+    this.writeTimer = null;
+
+    // Ensure data directory exists
+    if (!fs.existsSync(path.dirname(this.filePath))) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+  }
+
+  // The parsed file, or `fallback` when there is none yet. An unreadable
+  // file is moved aside for manual recovery instead of being overwritten.
+  read(fallback) {
+    if (!fs.existsSync(this.filePath)) {
+      return fallback;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      const corruptFile = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptFile);
+      console.error(`Error loading ${this.label}, moved unreadable file to ${corruptFile}:`, error);
+      return fallback;
+    }
+  }
+
+  scheduleWrite() {
+    if (this.debounceMs <= 0) {
+      this.flush();
+      return;
+    }
+
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+  }
+
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    try {
+      writeFileAtomicSync(this.filePath, JSON.stringify(this.serialize(), null, this.space));
+    } catch (error) {
+      console.error(`Error saving ${this.label}:`, error);
+    }
+  }
+}
+
+module.exports = JsonFile;
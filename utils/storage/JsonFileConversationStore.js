@@ -0,0 +1,63 @@
+// utils/storage/JsonFileConversationStore.js - Conversation store backed by a JSON file
+//
+// Conversation stores implement:
+//   loadAll()               -> array of conversations
+//   save(conversation)      -> persist one conversation (keyed by phoneNumber)
+//   delete(phoneNumber)     -> remove one conversation
+//   saveAll(conversations)  -> replace the stored set with this array
+//   flush()                 -> write anything still pending
+//   close()                 -> flush and release resources
+const path = require('path');
+const JsonFile = require('./JsonFile');
+
+class JsonFileConversationStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'conversations.json');
+    this.conversations = new Map();
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      label: 'conversations',
+      // 0 writes on every change; otherwise changes within the window are batched
+      debounceMs: options.debounceMs ?? 1000,
+      space: 2,
+      serialize: () => Array.from(this.conversations.values())
+    });
+  }
+
+  loadAll() {
+    const conversationsArray = this.file.read([]);
+
+    this.conversations = new Map(
+      conversationsArray.map(conv => [conv.phoneNumber, conv])
+    );
+
+    return conversationsArray;
+  }
+
+  save(conversation) {
+    this.conversations.set(conversation.phoneNumber, conversation);
+    this.file.scheduleWrite();
+  }
+
+  delete(phoneNumber) {
+    this.conversations.delete(phoneNumber);
+    this.file.scheduleWrite();
+  }
+
+  saveAll(conversations) {
+    this.conversations = new Map(
+      conversations.map(conv => [conv.phoneNumber, conv])
+    );
+    this.flush();
+  }
+
+  flush() {
+    this.file.flush();
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+module.exports = JsonFileConversationStore;
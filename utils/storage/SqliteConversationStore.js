@@ -0,0 +1,81 @@
+// utils/storage/SqliteConversationStore.js - Conversation store backed by embedded SQLite
+//
+// Implements the same interface as JsonFileConversationStore. Each change is
+// a single-row upsert, so nothing is lost between writes. Requires the
+// optional better-sqlite3 dependency.
+const fs = require('fs');
+const path = require('path');
+
+class SqliteConversationStore {
+  constructor(options = {}) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite conversation storage needs the better-sqlite3 package. Run "npm install better-sqlite3".');
+    }
+
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'conversations.db');
+
+    // Ensure data directory exists
+    if (!fs.existsSync(path.dirname(this.filePath))) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        phone_number TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.statements = {
+      selectAll: this.db.prepare('SELECT data FROM conversations'),
+      upsert: this.db.prepare(`
+        INSERT INTO conversations (phone_number, data, updated_at)
+        VALUES (@phoneNumber, @data, @updatedAt)
+        ON CONFLICT(phone_number) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM conversations WHERE phone_number = ?'),
+      deleteAll: this.db.prepare('DELETE FROM conversations')
+    };
+  }
+
+  loadAll() {
+    return this.statements.selectAll.all().map(row => JSON.parse(row.data));
+  }
+
+  save(conversation) {
+    this.statements.upsert.run({
+      phoneNumber: conversation.phoneNumber,
+      data: JSON.stringify(conversation),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  delete(phoneNumber) {
+    this.statements.delete.run(phoneNumber);
+  }
+
+  saveAll(conversations) {
+    const replaceAll = this.db.transaction(items => {
+      this.statements.deleteAll.run();
+      items.forEach(conversation => this.save(conversation));
+    });
+
+    replaceAll(conversations);
+  }
+
+  flush() {
+    // Every write is already committed
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteConversationStore;
@@ -0,0 +1,30 @@
+// utils/storage/atomicWrite.js - Crash-safe file writes
+const fs = require('fs');
+const path = require('path');
+
+// Write to a temporary file in the same directory, flush it to disk and then
+// rename it over the target. A crash at any point leaves either the old or
+// the new file in place, never a half-written one.
+function writeFileAtomicSync(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeFileSync(fd, data, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomicSync };
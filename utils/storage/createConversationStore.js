@@ -0,0 +1,28 @@
+// utils/storage/createConversationStore.js - Picks the conversation store from config
+const path = require('path');
+const JsonFileConversationStore = require('./JsonFileConversationStore');
+const SqliteConversationStore = require('./SqliteConversationStore');
+
+// CONVERSATION_STORE=json (default) or sqlite
+function createConversationStore(options = {}) {
+  const type = (options.type || process.env.CONVERSATION_STORE || 'json').toLowerCase();
+  const dataDir = options.dataDir || path.join(process.cwd(), 'data');
+
+  switch (type) {
+    case 'json':
+      return new JsonFileConversationStore({
+        filePath: path.join(dataDir, 'conversations.json'),
+        debounceMs: options.debounceMs ?? Number(process.env.CONVERSATION_STORE_DEBOUNCE_MS ?? 1000)
+      });
+
+    case 'sqlite':
+      return new SqliteConversationStore({
+        filePath: path.join(dataDir, 'conversations.db')
+      });
+
+    default:
+      throw new Error(`Unknown CONVERSATION_STORE "${type}". Use "json" or "sqlite".`);
+  }
+}
+
+module.exports = createConversationStore;
@@ -0,0 +1,86 @@
+// utils/userDataExport.js - "MY DATA" export: everything stored about a user
+//
+// buildUserDataExport() combines the conversation (ConversationManager.exportUserData)
+// with the user's payment records; renderUserDataSummary() turns the result
+// into a plain-text summary for people rather than machines.
+
+function buildUserDataExport(conversationData, payments = []) {
+  const { analysis, userActions, ...conversation } = conversationData;
+  const analyses = [];
+
+  if (analysis) {
+    analyses.push({
+      source: 'latest analysis',
+      analyzedAt: conversation.analyzedAt || null,
+      season: analysis.personal_profile?.season || null,
+      analysis
+    });
+  }
+
+  // Each order keeps a copy of the analysis the guide was bought for
+  const paymentRecords = payments.map(({ analysis: orderAnalysis, ...payment }) => {
+    if (orderAnalysis) {
+      analyses.push({
+        source: `order ${payment.orderId}`,
+        analyzedAt: null,
+        season: orderAnalysis.personal_profile?.season || null,
+        analysis: orderAnalysis
+      });
+    }
+    return payment;
+  });
+
+  return {
+    exportedAt: new Date().toISOString(),
+    conversation,
+    analyses,
+    actions: userActions || [],
+    payments: paymentRecords
+  };
+}
+
+function renderUserDataSummary(exportData) {
+  const { conversation, analyses, actions, payments } = exportData;
+  const formatDate = value => (value ? new Date(value).toUTCString() : 'unknown');
+
+  const lines = [
+    'Korean Color Analysis - your data',
+    `Exported: ${formatDate(exportData.exportedAt)}`,
+    '',
+    'PROFILE',
+    `Phone number: ${conversation.phoneNumber}`,
+    `Name: ${conversation.userInfo?.name || 'unknown'}`,
+    `First message: ${formatDate(conversation.createdAt)}`,
+    `Last active: ${formatDate(conversation.lastActive)}`,
+    `Messages: ${conversation.messageCount || 0}`,
+    `Current step: ${conversation.state}`,
+    `Updates and reminders: ${conversation.optedOut ? 'off' : 'on'}`,
+    '',
+    `COLOR ANALYSES (${analyses.length})`
+  ];
+
+  analyses.forEach(entry => {
+    const undertone = entry.analysis.personal_profile?.undertone;
+    lines.push(`- ${entry.season || 'unknown season'}${undertone ? `, ${undertone} undertone` : ''} (${entry.source}${entry.analyzedAt ? `, ${formatDate(entry.analyzedAt)}` : ''})`);
+  });
+
+  lines.push('', `PAYMENTS (${payments.length})`);
+  payments.forEach(payment => {
+    lines.push(`- ${formatDate(payment.createdAt)}: ${payment.currency || 'INR'} ${payment.amount} - ${payment.status} (order ${payment.orderId})`);
+  });
+
+  lines.push('', `RECORDED ACTIONS (${actions.length})`);
+  actions.forEach(action => {
+    lines.push(`- ${formatDate(action.timestamp)}: ${action.action}`);
+  });
+
+  lines.push(
+    '',
+    'The JSON version of this export contains every stored field, including your full palettes and recommendations.',
+    'Send DELETE MY DATA on WhatsApp to erase all of it.'
+  );
+
+  return lines.join('\n');
+}
+
+module.exports = { buildUserDataExport, renderUserDataSummary };